@@ -0,0 +1,268 @@
+/**
+ * Hash chain for the audit log. Mirrors cli/lib/audit-chain.js; both follow
+ * the audit log section of VAULT_FORMAT.md.
+ *
+ * A log is three storage items: `auditLog` (entries, newest first),
+ * `auditAnchor` (the point before the oldest kept entry) and `auditHead` (the
+ * newest entry written with the audit key). Each entry carries `seq`, the
+ * `prev` hash, its own `hash`, and a `mac` over that hash made with the
+ * vault's audit key, or null when written while locked. Entries written while
+ * locked leave the head where it is, so it always carries a MAC once the
+ * vault has an audit key.
+ */
+
+export const MAX_ENTRIES = 1000;
+export const GENESIS_HASH = '0'.repeat(64);
+const GENESIS_ANCHOR = { seq: 0, hash: GENESIS_HASH, pruned: 0, mac: null };
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * JSON with object keys sorted, so equal entries always hash the same
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(name => value[name] !== undefined)
+      .map(name => `${JSON.stringify(name)}:${canonicalJson(value[name])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of every field of an entry except `hash` and `mac`
+ */
+export async function hashEntry(entry) {
+  const { hash, mac, ...fields } = entry;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJson(fields)));
+  return toHex(digest);
+}
+
+/**
+ * Import raw audit key bytes as an HMAC-SHA256 key
+ */
+export async function importMacKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * HMAC-SHA256 under the audit key, or null without one. `kind` keeps entry,
+ * anchor and head MACs from being swapped for each other.
+ */
+async function sign(macKey, kind, data) {
+  if (!macKey) {
+    return null;
+  }
+  const mac = await crypto.subtle.sign('HMAC', macKey, new TextEncoder().encode(`${kind}:${data}`));
+  return toHex(mac);
+}
+
+function signAnchor(macKey, { seq, hash, pruned }) {
+  return sign(macKey, 'anchor', canonicalJson({ seq, hash, pruned }));
+}
+
+function signHead(macKey, { seq, hash }) {
+  return sign(macKey, 'head', canonicalJson({ seq, hash }));
+}
+
+function missing(from, to) {
+  return from === to ? `entry ${from} is missing` : `entries ${from} to ${to} are missing`;
+}
+
+/**
+ * The entry (or anchor) a head points at, or null when it is not in the log
+ */
+function headTarget(log, anchor, head) {
+  if (head.seq === anchor.seq) {
+    return anchor.hash === head.hash ? anchor : null;
+  }
+  const entry = log.length > 0 ? log[log[0].seq - head.seq] : null;
+  return entry && entry.seq === head.seq && entry.hash === head.hash ? entry : null;
+}
+
+/**
+ * Whether a head can be moved forward: it carries a valid MAC and still
+ * points into the log, or it was written by a version that left it without a
+ * MAC (`legacy`, set by a storage migration). A head that is missing or fails
+ * these checks stays as it is, so verification keeps reporting the tampering.
+ */
+async function canAdvanceHead(log, anchor, head, macKey) {
+  if (!head) {
+    return false;
+  }
+  if (head.legacy) {
+    return true;
+  }
+  return head.mac !== null && head.mac === await signHead(macKey, head) && headTarget(log, anchor, head) !== null;
+}
+
+/**
+ * A head for the current end of a log, signed with the audit key. Used when
+ * the audit key is created and to re-sign a legacy head.
+ */
+export async function sealHead(state, macKey) {
+  const newest = (state.auditLog || [])[0] || state.auditAnchor || GENESIS_ANCHOR;
+  const auditHead = { seq: newest.seq, hash: newest.hash };
+  auditHead.mac = await signHead(macKey, auditHead);
+  return { auditHead };
+}
+
+/**
+ * Append an entry to a log and return the new `{ auditLog, auditAnchor,
+ * auditHead }`. Entries beyond maxEntries are dropped from the old end and
+ * recorded in the anchor, so pruning is visible rather than silent. Without
+ * the audit key, entries are kept back to the head so it is never pruned.
+ */
+export async function appendEntry(state, fields, macKey, maxEntries = MAX_ENTRIES) {
+  const log = state.auditLog || [];
+  const anchor = state.auditAnchor || GENESIS_ANCHOR;
+  const head = state.auditHead || null;
+  const previous = log[0] || anchor;
+
+  const entry = { ...fields, seq: previous.seq + 1, prev: previous.hash };
+  entry.hash = await hashEntry(entry);
+  entry.mac = await sign(macKey, 'entry', entry.hash);
+
+  let auditLog = [entry, ...log];
+  let auditAnchor = anchor;
+
+  const keep = !macKey && head ? Math.max(maxEntries, entry.seq - head.seq + 1) : maxEntries;
+  if (auditLog.length > keep) {
+    const dropped = auditLog.slice(keep);
+    auditLog = auditLog.slice(0, keep);
+    auditAnchor = {
+      seq: dropped[0].seq,
+      hash: dropped[0].hash,
+      pruned: anchor.pruned + dropped.length
+    };
+    auditAnchor.mac = await signAnchor(macKey, auditAnchor);
+  }
+
+  let auditHead = head;
+  if (macKey && await canAdvanceHead(log, anchor, head, macKey)) {
+    auditHead = { seq: entry.seq, hash: entry.hash };
+    auditHead.mac = await signHead(macKey, auditHead);
+  }
+
+  return { auditLog, auditAnchor, auditHead };
+}
+
+/**
+ * Chain unchained entries (newest first, from before the log was chained)
+ * without a key; they verify as unauthenticated.
+ */
+export async function chainEntries(entries) {
+  let state = { auditLog: [], auditAnchor: GENESIS_ANCHOR, auditHead: null };
+
+  for (const entry of [...entries].reverse()) {
+    state = await appendEntry(state, entry, null, Infinity);
+  }
+
+  return state;
+}
+
+/**
+ * Check a log from its anchor to its head. Without macKey only the hashes and
+ * links are checked. With it the head must be present, carry a valid MAC and
+ * point into the log, so a wiped or cut-off log fails. Stops at the first
+ * problem and reports its sequence number. `unauthenticated` lists entries
+ * without a MAC (written while the vault was locked, or before the log was
+ * chained); an unauthenticated anchor means pruning at that end cannot be
+ * ruled out, and `headAuthenticated` is false when entries newer than the
+ * head could have been removed.
+ */
+export async function verifyChain(state, macKey = null) {
+  const log = state.auditLog || [];
+  const anchor = state.auditAnchor || GENESIS_ANCHOR;
+  const head = state.auditHead;
+
+  const result = {
+    valid: true,
+    entries: log.length,
+    pruned: anchor.pruned,
+    authenticated: 0,
+    unauthenticated: [],
+    anchorAuthenticated: true,
+    headAuthenticated: true,
+    macsChecked: !!macKey,
+    problem: null
+  };
+
+  const fail = (seq, message) => {
+    result.valid = false;
+    result.problem = { seq, message };
+    return result;
+  };
+
+  if (anchor.seq > 0) {
+    if (anchor.mac === null) {
+      result.anchorAuthenticated = false;
+    } else if (macKey && anchor.mac !== await signAnchor(macKey, anchor)) {
+      return fail(anchor.seq, `Pruning record before entry ${anchor.seq + 1} was modified`);
+    }
+  }
+
+  let expected = anchor;
+
+  for (const entry of [...log].reverse()) {
+    if (entry.seq !== expected.seq + 1) {
+      return entry.seq > expected.seq + 1
+        ? fail(expected.seq + 1, `Chain broken: ${missing(expected.seq + 1, entry.seq - 1)}`)
+        : fail(entry.seq, `Entry ${entry.seq} is duplicated or out of order`);
+    }
+
+    if (entry.prev !== expected.hash) {
+      return fail(entry.seq, `Chain broken: entry ${entry.seq} does not follow entry ${expected.seq}`);
+    }
+
+    if (await hashEntry(entry) !== entry.hash) {
+      return fail(entry.seq, `Entry ${entry.seq} was modified`);
+    }
+
+    if (entry.mac === null) {
+      result.unauthenticated.push(entry.seq);
+    } else if (macKey && entry.mac !== await sign(macKey, 'entry', entry.hash)) {
+      return fail(entry.seq, `Entry ${entry.seq} has an invalid MAC (forged, or written with another vault's key)`);
+    } else if (macKey) {
+      result.authenticated++;
+    }
+
+    expected = entry;
+  }
+
+  if (!head) {
+    if (macKey) {
+      return fail(expected.seq, 'Log head is missing');
+    }
+    result.headAuthenticated = false;
+    return result;
+  }
+
+  if (macKey && head.mac === null) {
+    return fail(head.seq, 'Log head is not authenticated');
+  }
+
+  if (macKey && head.mac !== await signHead(macKey, head)) {
+    return fail(head.seq, 'Log head was modified');
+  }
+
+  if (head.seq > expected.seq) {
+    return fail(expected.seq + 1, `Log truncated: ${missing(expected.seq + 1, head.seq)}`);
+  }
+
+  if (head.seq < anchor.seq || !headTarget(log, anchor, head)) {
+    return fail(head.seq, `Log head does not match entry ${head.seq}`);
+  }
+
+  if (head.mac === null || head.seq < expected.seq) {
+    result.headAuthenticated = false;
+  }
+
+  return result;
+}
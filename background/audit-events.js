@@ -0,0 +1,104 @@
+/**
+ * Structured audit events. Mirrors cli/lib/audit-events.js; the fields and
+ * event types are listed in the audit log section of VAULT_FORMAT.md.
+ */
+
+export const SOURCES = ['popup', 'options', 'content-script', 'context-menu', 'background', 'cli', 'mcp'];
+
+const EVENT_FIELDS = ['source', 'outcome', 'keyId', 'serviceName', 'environment', 'field', 'domain', 'url', 'error'];
+
+// Fields sealed under the audit key when metadata encryption is on
+export const SEALED_FIELDS = ['action', 'keyId', 'serviceName', 'environment', 'field', 'domain', 'url', 'error'];
+
+// Fields matched by the free-text filter
+const TEXT_FIELDS = ['action', 'type', 'keyId', 'serviceName', 'environment', 'field', 'source', 'domain', 'url', 'error'];
+
+/**
+ * Build an audit entry. `action` is the human-readable description and
+ * `event` holds the `type` plus any of EVENT_FIELDS; outcome defaults to
+ * success. Empty fields are left out.
+ */
+export function createAuditEntry(id, action, event) {
+  const entry = {
+    id,
+    type: event.type,
+    action,
+    timestamp: Date.now(),
+    outcome: 'success'
+  };
+
+  for (const field of EVENT_FIELDS) {
+    if (event[field] !== undefined && event[field] !== null && event[field] !== '') {
+      entry[field] = event[field];
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Split an entry into the fields kept in plaintext (id, type, timestamp,
+ * source, outcome) and the metadata sealed when metadata encryption is on
+ */
+export function splitSealedFields(entry) {
+  const plain = {};
+  const metadata = {};
+
+  for (const [name, value] of Object.entries(entry)) {
+    (SEALED_FIELDS.includes(name) ? metadata : plain)[name] = value;
+  }
+
+  return { plain, metadata };
+}
+
+/**
+ * Event fields identifying a key
+ */
+export function keyFields(key) {
+  return {
+    keyId: key.id,
+    serviceName: key.serviceName,
+    environment: key.environment
+  };
+}
+
+function toTime(value, name) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return time;
+}
+
+function matchesText(entry, text) {
+  return TEXT_FIELDS.some(field => typeof entry[field] === 'string' && entry[field].toLowerCase().includes(text));
+}
+
+/**
+ * Entries matching every given filter, in log order (newest first).
+ * Filters: keyId, source, type, outcome, since and until (timestamps or
+ * dates, inclusive), text (case-insensitive, in any text field), and
+ * offset and limit for paging.
+ */
+export function filterAuditLog(entries, filter = {}) {
+  const since = filter.since != null ? toTime(filter.since, 'since') : -Infinity;
+  const until = filter.until != null ? toTime(filter.until, 'until') : Infinity;
+  const text = filter.text ? filter.text.trim().toLowerCase() : '';
+
+  if (filter.source && !SOURCES.includes(filter.source)) {
+    throw new Error(`Unknown audit source: ${filter.source} (expected ${SOURCES.join(', ')})`);
+  }
+
+  const matches = entries.filter(entry =>
+    (!filter.keyId || entry.keyId === filter.keyId) &&
+    (!filter.source || entry.source === filter.source) &&
+    (!filter.type || entry.type === filter.type) &&
+    (!filter.outcome || entry.outcome === filter.outcome) &&
+    entry.timestamp >= since &&
+    entry.timestamp <= until &&
+    (!text || matchesText(entry, text))
+  );
+
+  const offset = filter.offset || 0;
+  return filter.limit > 0 ? matches.slice(offset, offset + filter.limit) : matches.slice(offset);
+}
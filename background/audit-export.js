@@ -0,0 +1,58 @@
+/**
+ * Audit log export as JSON Lines or CSV. JSONL keeps every field, including
+ * the chain fields, so an export can be checked against the hash chain; CSV
+ * has one column per event field for spreadsheets.
+ */
+
+export const EXPORT_FORMATS = {
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CSV_COLUMNS = [
+  'seq', 'timestamp', 'type', 'action', 'source', 'outcome',
+  'keyId', 'serviceName', 'environment', 'field', 'domain', 'url', 'error', 'authenticated'
+];
+
+/**
+ * Quote a CSV field. Text starting with a formula character gets a leading
+ * apostrophe so spreadsheets show it instead of evaluating it.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let str = String(value);
+  if (/^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+function csvRow(entry) {
+  return CSV_COLUMNS.map(column => {
+    if (column === 'timestamp') {
+      return csvField(new Date(entry.timestamp).toISOString());
+    }
+    if (column === 'authenticated') {
+      return csvField(entry.mac ? 'yes' : 'no');
+    }
+    return csvField(entry[column]);
+  }).join(',');
+}
+
+/**
+ * Serialize audit entries (newest first, as stored) in the given format
+ */
+export function formatAuditLog(entries, format) {
+  if (format === 'jsonl') {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+  }
+
+  if (format === 'csv') {
+    return [CSV_COLUMNS.join(','), ...entries.map(csvRow)].join('\r\n') + '\r\n';
+  }
+
+  throw new Error(`Unknown audit export format: ${format}`);
+}
@@ -1,16 +1,21 @@
+import { scrypt } from './scrypt.js';
+import { mapSecretFields } from './key-fields.js';
+
 export class EncryptionService {
   constructor() {
     this.algorithm = 'AES-GCM';
     this.keyLength = 256;
     this.ivLength = 12;
     this.saltLength = 16;
-    this.iterations = 100000;
+    this.iterations = 100000; // Legacy per-secret encryption and password hash
+    this.formatName = 'keyvault';
+    this.formatVersion = 2;
   }
 
   /**
    * Derive encryption key from master password using PBKDF2
    */
-  async deriveKey(password, salt) {
+  async deriveKey(password, salt, iterations = this.iterations) {
     const encoder = new TextEncoder();
     const passwordKey = await crypto.subtle.importKey(
       'raw',
@@ -24,7 +29,7 @@ export class EncryptionService {
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: this.iterations,
+        iterations: iterations,
         hash: 'SHA-256'
       },
       passwordKey,
@@ -90,49 +95,295 @@ export class EncryptionService {
   }
 
   /**
-   * Hash master password for verification
+   * Encrypt data with an already derived or unwrapped key (iv + ciphertext)
    */
-  async hashPassword(password) {
+  async encryptWithKey(data, key) {
     const encoder = new TextEncoder();
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+
+    const encryptedData = await crypto.subtle.encrypt(
+      { name: this.algorithm, iv: iv },
+      key,
+      encoder.encode(data)
+    );
+
+    const combined = new Uint8Array(iv.length + encryptedData.byteLength);
+    combined.set(iv, 0);
+    combined.set(new Uint8Array(encryptedData), iv.length);
+
+    return this.arrayBufferToBase64(combined);
+  }
+
+  /**
+   * Decrypt data produced by encryptWithKey
+   */
+  async decryptWithKey(encryptedBase64, key) {
+    const combined = this.base64ToArrayBuffer(encryptedBase64);
+    const iv = combined.slice(0, this.ivLength);
+    const encryptedData = combined.slice(this.ivLength);
+
+    const decryptedData = await crypto.subtle.decrypt(
+      { name: this.algorithm, iv: iv },
+      key,
+      encryptedData
+    );
+
+    return new TextDecoder().decode(decryptedData);
+  }
+
+  /**
+   * Build vault KDF parameters (without salt) from settings.
+   * scrypt is memory-hard and the default; PBKDF2 remains selectable.
+   */
+  kdfOptions(settings = {}) {
+    const algorithm = settings.kdfAlgorithm || 'scrypt';
+
+    if (algorithm === 'pbkdf2-sha256') {
+      return { algorithm, iterations: settings.pbkdf2Iterations || 600000 };
+    }
+    if (algorithm === 'scrypt') {
+      return { algorithm, N: 2 ** (settings.scryptCost || 15), r: 8, p: 1 };
+    }
+
+    throw new Error(`Unsupported KDF: ${algorithm}`);
+  }
+
+  /**
+   * Check whether a header's KDF already uses the given parameters
+   */
+  kdfMatches(kdf, options) {
+    return Object.keys(options).every(name => kdf[name] === options[name]);
+  }
+
+  /**
+   * Describe a header's KDF for display and audit entries
+   */
+  describeKdf(kdf) {
+    if (kdf.algorithm === 'scrypt') {
+      return `scrypt (N=2^${Math.log2(kdf.N)}, r=${kdf.r}, p=${kdf.p})`;
+    }
+    return `${kdf.algorithm} (${kdf.iterations} iterations)`;
+  }
+
+  /**
+   * Derive the key that wraps the vault data key, per the header's KDF
+   */
+  async deriveWrappingKey(password, kdf) {
+    const salt = this.base64ToArrayBuffer(kdf.salt);
+
+    if (kdf.algorithm === 'pbkdf2-sha256') {
+      return await this.deriveKey(password, salt, kdf.iterations);
+    }
+
+    if (kdf.algorithm === 'scrypt') {
+      const keyBytes = await scrypt(password, salt, kdf, this.keyLength / 8);
+      return await crypto.subtle.importKey(
+        'raw',
+        keyBytes,
+        { name: this.algorithm },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    }
+
+    throw new Error(`Unsupported KDF: ${kdf.algorithm}`);
+  }
+
+  /**
+   * Wrap raw data key bytes under a password. Returns the header fields
+   * (kdf, cipher, keyWrap) that describe the wrap.
+   */
+  async wrapDataKey(rawDataKey, password, options = this.kdfOptions()) {
     const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
-    
-    const passwordKey = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(password),
-      'PBKDF2',
-      false,
-      ['deriveBits']
+    const iv = crypto.getRandomValues(new Uint8Array(this.ivLength));
+    const kdf = { ...options, salt: this.arrayBufferToBase64(salt) };
+
+    const wrappingKey = await this.deriveWrappingKey(password, kdf);
+    const wrapped = await crypto.subtle.encrypt(
+      { name: this.algorithm, iv: iv },
+      wrappingKey,
+      rawDataKey
     );
 
-    const hashBits = await crypto.subtle.deriveBits(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: this.iterations,
-        hash: 'SHA-256'
+    return {
+      kdf,
+      cipher: {
+        algorithm: 'aes-256-gcm',
+        nonceLength: this.ivLength,
+        tagLength: 16
       },
-      passwordKey,
-      256
+      keyWrap: {
+        nonce: this.arrayBufferToBase64(iv),
+        ciphertext: this.arrayBufferToBase64(wrapped)
+      }
+    };
+  }
+
+  /**
+   * Unwrap the raw data key bytes from a v2 vault header. Throws on a wrong password.
+   */
+  async unwrapDataKey(header, password) {
+    if (!this.isVaultHeader(header)) {
+      throw new Error('Unsupported vault format');
+    }
+    if (header.cipher.algorithm !== 'aes-256-gcm') {
+      throw new Error(`Unsupported vault cipher: ${header.cipher.algorithm}`);
+    }
+
+    const wrappingKey = await this.deriveWrappingKey(password, header.kdf);
+
+    try {
+      const rawDataKey = await crypto.subtle.decrypt(
+        { name: this.algorithm, iv: this.base64ToArrayBuffer(header.keyWrap.nonce) },
+        wrappingKey,
+        this.base64ToArrayBuffer(header.keyWrap.ciphertext)
+      );
+      return new Uint8Array(rawDataKey);
+    } catch (error) {
+      throw new Error('Invalid master password');
+    }
+  }
+
+  /**
+   * Create a v2 vault header (see VAULT_FORMAT.md) with a fresh data key
+   * wrapped under the password. Returns the header, the usable data key and
+   * its raw bytes (needed to re-wrap it for a recovery kit).
+   */
+  async createVaultHeader(password, options = this.kdfOptions()) {
+    const rawDataKey = crypto.getRandomValues(new Uint8Array(this.keyLength / 8));
+
+    const header = {
+      format: this.formatName,
+      version: this.formatVersion,
+      created: new Date().toISOString(),
+      ...await this.wrapDataKey(rawDataKey, password, options)
+    };
+
+    const dataKey = await this.importDataKey(rawDataKey);
+    return { header, dataKey, rawDataKey };
+  }
+
+  /**
+   * Unwrap the data key from a v2 vault header. Throws on a wrong password.
+   */
+  async openVaultHeader(header, password) {
+    return await this.importDataKey(await this.unwrapDataKey(header, password));
+  }
+
+  /**
+   * Build the header's `recovery` block: the data key wrapped under a recovery
+   * secret (which is split into shares), and the secret wrapped under the data
+   * key so the kit can follow the vault to a new data key
+   */
+  async sealRecovery(rawDataKey, secret, kit) {
+    return {
+      ...kit,
+      keyWrap: await this.encryptWithKey(this.arrayBufferToBase64(rawDataKey), await this.importDataKey(secret)),
+      secret: await this.encryptWithKey(this.arrayBufferToBase64(secret), await this.importDataKey(rawDataKey))
+    };
+  }
+
+  /**
+   * Unwrap the raw data key with a rebuilt recovery secret. Throws if the secret is wrong.
+   */
+  async openRecovery(recovery, secret) {
+    return this.base64ToArrayBuffer(await this.decryptWithKey(recovery.keyWrap, await this.importDataKey(secret)));
+  }
+
+  /**
+   * Get the recovery secret back from the header with the unlocked data key
+   */
+  async openRecoverySecret(recovery, dataKey) {
+    return this.base64ToArrayBuffer(await this.decryptWithKey(recovery.secret, dataKey));
+  }
+
+  /**
+   * Import raw data key bytes as a non-extractable AES-GCM key
+   */
+  async importDataKey(rawDataKey) {
+    return await crypto.subtle.importKey(
+      'raw',
+      rawDataKey,
+      { name: this.algorithm },
+      false,
+      ['encrypt', 'decrypt']
     );
+  }
 
-    const combined = new Uint8Array(salt.length + hashBits.byteLength);
-    combined.set(salt, 0);
-    combined.set(new Uint8Array(hashBits), salt.length);
+  /**
+   * Check whether an object is a v2 vault header or document
+   */
+  isVaultHeader(header) {
+    return !!header && header.format === this.formatName && header.version === this.formatVersion;
+  }
 
-    return this.arrayBufferToBase64(combined);
+  /**
+   * Parse text as a v2 vault document, returning null for anything else
+   * (e.g. legacy base64 .kvp backups)
+   */
+  parseVaultDocument(text) {
+    try {
+      const doc = JSON.parse(text);
+      return this.isVaultHeader(doc) && Array.isArray(doc.keys) ? doc : null;
+    } catch {
+      return null;
+    }
   }
 
   /**
-   * Verify master password against stored hash
+   * Seal decrypted keys into a v2 vault document under the given password
+   */
+  async sealVaultDocument(keys, password, extra = {}, options = this.kdfOptions()) {
+    const { header, dataKey } = await this.createVaultHeader(password, options);
+
+    // Exports follow the vault's metadata encryption setting
+    const encryptMetadata = !!(extra.settings && extra.settings.encryptMetadata);
+
+    const sealedKeys = [];
+    for (const key of keys) {
+      const { id, ...record } = {
+        ...key,
+        keyValue: await this.encryptWithKey(key.keyValue, dataKey),
+        fields: await mapSecretFields(key.fields, value => this.encryptWithKey(value, dataKey))
+      };
+      sealedKeys.push(encryptMetadata
+        ? { id, sealed: await this.encryptWithKey(JSON.stringify(record), dataKey) }
+        : { id, ...record });
+    }
+
+    return JSON.stringify({ ...header, ...extra, keys: sealedKeys }, null, 2);
+  }
+
+  /**
+   * Open a v2 vault document and return its keys with decrypted values and fields
+   */
+  async openVaultDocument(doc, password) {
+    const dataKey = await this.openVaultHeader(doc, password);
+
+    const keys = [];
+    for (const record of doc.keys) {
+      const key = record.sealed
+        ? { id: record.id, ...JSON.parse(await this.decryptWithKey(record.sealed, dataKey)) }
+        : record;
+      keys.push({
+        ...key,
+        keyValue: await this.decryptWithKey(key.keyValue, dataKey),
+        fields: await mapSecretFields(key.fields, value => this.decryptWithKey(value, dataKey))
+      });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Verify master password against the stored hash of a pre-v2 vault.
+   * Current vaults are verified by unwrapping the data key instead.
    */
   async verifyMasterPassword(password) {
     try {
       const stored = await this.getStoredPasswordHash();
       if (!stored) {
-        // First time setup - create hash
-        const hash = await this.hashPassword(password);
-        await this.storePasswordHash(hash);
-        return true;
+        return false;
       }
 
       const combined = this.base64ToArrayBuffer(stored);
@@ -186,21 +437,41 @@ export class EncryptionService {
   }
 
   /**
-   * Store password hash in chrome storage
+   * Get stored password hash
+   */
+  async getStoredPasswordHash() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['passwordHash'], (result) => {
+        resolve(result.passwordHash || null);
+      });
+    });
+  }
+
+  /**
+   * Remove the legacy password hash once the vault has a wrapped data key
    */
-  async storePasswordHash(hash) {
+  async clearStoredPasswordHash() {
     return new Promise((resolve) => {
-      chrome.storage.local.set({ passwordHash: hash }, resolve);
+      chrome.storage.local.remove(['passwordHash'], resolve);
     });
   }
 
   /**
-   * Get stored password hash
+   * Store the vault key header (KDF parameters and wrapped data key)
    */
-  async getStoredPasswordHash() {
+  async storeVaultKey(header) {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['passwordHash'], (result) => {
-        resolve(result.passwordHash || null);
+      chrome.storage.local.set({ vaultKey: header }, resolve);
+    });
+  }
+
+  /**
+   * Get the stored vault key header
+   */
+  async getStoredVaultKey() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['vaultKey'], (result) => {
+        resolve(result.vaultKey || null);
       });
     });
   }
@@ -0,0 +1,262 @@
+/**
+ * Ranked fuzzy search for the popup and the content-script key selector.
+ *
+ * Text terms of a search query (see search-query.js) match a key's service
+ * name, tags, folder, env var name or environment when they are a substring,
+ * an abbreviation or a word with letters left out ("oai", "strpe"), or within
+ * one typo (two for long terms) such as a swapped letter ("stirpe"). Domains
+ * and notes only match substrings. Field terms still filter exactly.
+ *
+ * Results are ordered by match quality, then usage count, how recently the
+ * key was used, favorites and whether the key belongs to the current site.
+ */
+
+import { parseQuery, textTerms } from './search-query.js';
+
+// Fields text terms are matched against: weight, and whether fuzzy matching applies
+const FIELDS = [
+  { name: 'serviceName', weight: 1, fuzzy: true },
+  { name: 'tags', weight: 0.8, fuzzy: true },
+  { name: 'folder', weight: 0.6, fuzzy: true },
+  { name: 'envVar', weight: 0.6, fuzzy: true },
+  { name: 'environment', weight: 0.5, fuzzy: true },
+  { name: 'domains', weight: 0.6, fuzzy: false },
+  { name: 'notes', weight: 0.4, fuzzy: false }
+];
+
+// Points added to the match score (0-100) when ranking
+const RANK_WEIGHTS = {
+  domain: 20,
+  favorite: 10,
+  usage: 10,
+  recency: 10
+};
+
+const RECENCY_HALF_LIFE = 14 * 24 * 60 * 60 * 1000;
+
+function isWordStart(text, index) {
+  if (index === 0) {
+    return true;
+  }
+  const previous = text[index - 1];
+  const current = text[index];
+  return !/[a-z0-9]/i.test(previous) || (/[a-z]/.test(previous) && /[A-Z]/.test(current));
+}
+
+function range(start, end) {
+  return Array.from({ length: end - start }, (_, i) => start + i);
+}
+
+/**
+ * Characters of `lower` matched in order, starting at a word start. Scores
+ * consecutive and word-start matches higher.
+ */
+function matchSubsequence(pattern, text, lower) {
+  for (let start = lower.indexOf(pattern[0]); start !== -1; start = lower.indexOf(pattern[0], start + 1)) {
+    if (!isWordStart(text, start)) {
+      continue;
+    }
+
+    const positions = [start];
+    for (let i = 1, j = start + 1; i < pattern.length; j++) {
+      if (j >= lower.length) {
+        return null;
+      }
+      if (lower[j] === pattern[i]) {
+        positions.push(j);
+        i++;
+      }
+    }
+
+    let points = 0;
+    positions.forEach((position, i) => {
+      points += 1;
+      if (i > 0 && position === positions[i - 1] + 1) points += 1;
+      if (isWordStart(text, position)) points += 1;
+    });
+
+    return { score: 0.3 + 0.4 * (points / (3 * pattern.length)), positions };
+  }
+
+  return null;
+}
+
+/**
+ * Best substring of `lower` within `maxErrors` edits of the pattern
+ * (insertions, deletions, substitutions and swapped neighbours)
+ */
+function matchApproximate(pattern, lower, maxErrors) {
+  const m = pattern.length;
+  // Each error accounts for at most one pattern character missing from the text
+  if ([...pattern].filter(char => lower.includes(char)).length < m - maxErrors) {
+    return null;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: m + 1 }, (_, i) => i);
+  let best = { errors: maxErrors + 1, end: -1 };
+
+  for (let j = 1; j <= lower.length; j++) {
+    const row = [0];
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === lower[j - 1] ? 0 : 1;
+      row[i] = Math.min(previous[i] + 1, row[i - 1] + 1, previous[i - 1] + cost);
+      if (beforePrevious && i > 1 && pattern[i - 1] === lower[j - 2] && pattern[i - 2] === lower[j - 1]) {
+        row[i] = Math.min(row[i], beforePrevious[i - 2] + 1);
+      }
+    }
+    if (row[m] < best.errors) {
+      best = { errors: row[m], end: j };
+    }
+    beforePrevious = previous;
+    previous = row;
+  }
+
+  if (best.errors > maxErrors) {
+    return null;
+  }
+
+  const start = Math.max(0, best.end - m);
+  const positions = range(start, best.end).filter(position => pattern.includes(lower[position]));
+  return { score: 0.25 * (1 - best.errors / (maxErrors + 1)), positions };
+}
+
+/**
+ * Match a lowercase pattern against text. Returns `{ score, positions }`
+ * (score up to 1, positions of the matched characters) or null.
+ */
+export function fuzzyMatch(pattern, text, fuzzy = true) {
+  if (!pattern || !text) {
+    return null;
+  }
+
+  const lower = text.toLowerCase();
+  const index = lower.indexOf(pattern);
+  if (index !== -1) {
+    const placement = index === 0 ? 1 : isWordStart(text, index) ? 0.9 : 0.8;
+    return {
+      score: placement * (0.9 + 0.1 * pattern.length / lower.length),
+      positions: range(index, index + pattern.length)
+    };
+  }
+
+  if (!fuzzy) {
+    return null;
+  }
+
+  return matchSubsequence(pattern, text, lower)
+    || (pattern.length >= 4 ? matchApproximate(pattern, lower, pattern.length >= 8 ? 2 : 1) : null);
+}
+
+/**
+ * A key's best match for a term: `{ field, index, score, positions }`, where
+ * `index` is the position in list fields (tags, domains), or null
+ */
+function bestMatch(key, term) {
+  let best = null;
+
+  for (const field of FIELDS) {
+    const value = key[field.name];
+    const values = Array.isArray(value) ? value : [value];
+
+    values.forEach((text, index) => {
+      if (typeof text !== 'string') {
+        return;
+      }
+      const match = fuzzyMatch(term, text, field.fuzzy);
+      if (match && (!best || match.score * field.weight > best.score)) {
+        best = {
+          field: field.name,
+          index: Array.isArray(value) ? index : null,
+          score: match.score * field.weight,
+          positions: match.positions
+        };
+      }
+    });
+  }
+
+  return best;
+}
+
+function isSiteKey(key, domain) {
+  return !!domain && (key.domains || []).some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+/**
+ * Search keys with a query and rank them. Returns `{ key, score, matches }`
+ * best first, where `matches.serviceName` holds matched character positions
+ * in the service name and `matches.tags` maps tag index to positions.
+ * `domain` is the current site's hostname, if any.
+ */
+export function rankKeys(keys, query, { domain = null, now = Date.now() } = {}) {
+  const cache = new Map();
+  const match = (key, term) => {
+    const id = `${key.id}\u0000${term}`;
+    if (!cache.has(id)) {
+      cache.set(id, bestMatch(key, term));
+    }
+    return cache.get(id);
+  };
+
+  const test = parseQuery(query, { matchText: (key, text) => match(key, text) !== null });
+  const terms = textTerms(query);
+  const results = [];
+
+  for (const key of keys) {
+    if (!test(key, now)) {
+      continue;
+    }
+
+    const matches = { serviceName: [], tags: {} };
+    let matchScore = 0;
+
+    for (const term of terms) {
+      const best = match(key, term);
+      if (!best) {
+        continue;
+      }
+      matchScore += best.score / terms.length;
+      if (best.field === 'serviceName') {
+        matches.serviceName.push(...best.positions);
+      } else if (best.field === 'tags') {
+        matches.tags[best.index] = [...(matches.tags[best.index] || []), ...best.positions];
+      }
+    }
+
+    const lastUsed = key.lastUsed ? new Date(key.lastUsed).getTime() : null;
+    const score = matchScore * 100
+      + (isSiteKey(key, domain) ? RANK_WEIGHTS.domain : 0)
+      + (key.favorite ? RANK_WEIGHTS.favorite : 0)
+      + Math.min(RANK_WEIGHTS.usage, 2 * Math.log2(1 + (key.usageCount || 0)))
+      + (lastUsed ? RANK_WEIGHTS.recency * Math.pow(0.5, Math.max(0, now - lastUsed) / RECENCY_HALF_LIFE) : 0);
+
+    results.push({ key, score, matches });
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * HTML for text with the characters at `positions` (UTF-16 indexes, as
+ * fuzzyMatch returns them) wrapped in <mark>. A character outside the BMP
+ * is marked as a whole when either half of it is.
+ */
+export function highlightMatches(text, positions = []) {
+  const marked = new Set(positions);
+  const escape = (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char] || char);
+  let html = '';
+  let open = false;
+  let index = 0;
+
+  for (const char of text) {
+    const isMarked = marked.has(index) || (char.length > 1 && marked.has(index + 1));
+    if (isMarked !== open) {
+      html += open ? '</mark>' : '<mark>';
+      open = !open;
+    }
+    html += escape(char);
+    index += char.length;
+  }
+
+  return open ? `${html}</mark>` : html;
+}
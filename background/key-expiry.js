@@ -0,0 +1,78 @@
+/**
+ * Expiration and rotation checks behind the service worker's notifications
+ * and badge. Mirrors cli/lib/key-expiry.js.
+ *
+ * A key is due when its `expiresAt` has passed or falls within the warning
+ * period (the `expirationWarningDays` setting), or when its rotation policy
+ * (see key-rotation.js) makes it due within that period or overdue.
+ */
+
+import { rotationDueAt } from './key-rotation.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The most pressing notice for a key, or null. Expiry comes before rotation;
+ * either is reported once it is within the warning period. `days` counts whole
+ * days until the date, or since it for an overdue notice.
+ */
+function dueNotice(key, settings, now = Date.now()) {
+  const warningDays = settings.expirationWarningDays;
+  const rotationDue = rotationDueAt(key, settings);
+  const candidates = [];
+
+  if (key.expiresAt) {
+    candidates.push({ kind: 'expiry', dueAt: new Date(key.expiresAt).getTime() });
+  }
+  if (rotationDue) {
+    candidates.push({ kind: 'rotation', dueAt: rotationDue });
+  }
+
+  const notice = candidates.find(({ dueAt }) => Number.isFinite(dueAt) && dueAt - now <= warningDays * DAY);
+  if (!notice) {
+    return null;
+  }
+
+  return {
+    id: key.id,
+    serviceName: key.serviceName,
+    environment: key.environment,
+    ...notice,
+    overdue: notice.dueAt <= now,
+    days: Math.floor(Math.abs(notice.dueAt - now) / DAY)
+  };
+}
+
+/**
+ * Notices for every key that has expired, expires within the warning period
+ * or is due for rotation, soonest first
+ */
+export function findDueKeys(keys, settings, now = Date.now()) {
+  return keys
+    .map(key => dueNotice(key, settings, now))
+    .filter(Boolean)
+    .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+function inDays(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * One-line description of a notice, e.g. "Expires in 3 days"
+ */
+export function describeNotice(notice) {
+  const when = inDays(notice.days);
+
+  if (notice.kind === 'expiry') {
+    if (notice.overdue) {
+      return notice.days === 0 ? 'Expired today' : `Expired ${when} ago`;
+    }
+    return notice.days === 0 ? 'Expires today' : `Expires in ${when}`;
+  }
+
+  if (notice.overdue) {
+    return notice.days === 0 ? 'Rotation due today' : `Rotation overdue by ${when}`;
+  }
+  return notice.days === 0 ? 'Rotation due today' : `Rotation due in ${when}`;
+}
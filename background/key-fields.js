@@ -0,0 +1,49 @@
+/**
+ * Named fields on a key, for credentials with more than one part (client ID
+ * and secret, access key and secret key, webhook signing secret). Mirrors
+ * cli/lib/key-fields.js.
+ *
+ * `fields` is a list of `{ name, value, secret }` next to the key's primary
+ * `keyValue`. Secret values are encrypted under the vault data key like
+ * `keyValue`; plain values (an account ID, a region) are stored as entered.
+ */
+
+/**
+ * Validate fields and return them in stored form: trimmed names, unique
+ * regardless of case, string values, `secret` true unless set to false
+ */
+export function normalizeFields(fields = []) {
+  if (!Array.isArray(fields)) {
+    throw new Error('Key fields must be a list');
+  }
+
+  const seen = new Set();
+
+  return fields.map(field => {
+    const name = typeof field.name === 'string' ? field.name.trim() : '';
+    if (!name) {
+      throw new Error('Key field name is required');
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Duplicate key field: ${name}`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (typeof field.value !== 'string') {
+      throw new Error(`Key field ${name} needs a value`);
+    }
+
+    return { name, value: field.value, secret: field.secret !== false };
+  });
+}
+
+/**
+ * Apply `transform` (async encrypt or decrypt) to the value of every secret field
+ */
+export async function mapSecretFields(fields, transform) {
+  const mapped = [];
+  for (const field of fields || []) {
+    mapped.push(field.secret ? { ...field, value: await transform(field.value) } : field);
+  }
+  return mapped;
+}
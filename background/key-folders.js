@@ -0,0 +1,115 @@
+/**
+ * Folders: a key's `folder` is a slash-separated path such as `acme/backend`,
+ * or '' for keys at the top level. Mirrors cli/lib/key-folders.js.
+ *
+ * Folders are not stored on their own; they exist while a key is in them or
+ * in one of their subfolders.
+ */
+
+/**
+ * Validate a folder path and return it in stored form: segments trimmed,
+ * empty segments dropped, '' for the top level
+ */
+export function normalizeFolder(folder) {
+  if (folder === undefined || folder === null) {
+    return '';
+  }
+  if (typeof folder !== 'string') {
+    throw new Error('Folder must be a path like acme/backend');
+  }
+
+  const segments = folder.split('/').map(segment => segment.trim()).filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`Invalid folder: ${folder}`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Whether a key is in `folder`, or in one of its subfolders unless
+ * `recursive` is false. Every key is in the top level ('') recursively.
+ */
+export function inFolder(key, folder, recursive = true) {
+  const path = normalizeFolder(folder);
+  const keyFolder = key.folder || '';
+
+  if (keyFolder === path) {
+    return true;
+  }
+  return recursive && (path === '' || keyFolder.startsWith(`${path}/`));
+}
+
+/**
+ * The folder one level up, '' for top-level folders
+ */
+export function parentFolder(folder) {
+  const path = normalizeFolder(folder);
+  return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+/**
+ * Every folder that holds keys, with its ancestors, sorted
+ */
+export function listFolders(keys) {
+  const folders = new Set();
+
+  for (const key of keys) {
+    let folder = key.folder || '';
+    while (folder) {
+      folders.add(folder);
+      folder = parentFolder(folder);
+    }
+  }
+
+  return [...folders].sort();
+}
+
+/**
+ * Folders as a tree of `{ name, path, count, children }`, where `count`
+ * includes the keys in subfolders. Returns the top-level folders.
+ */
+export function folderTree(keys) {
+  const nodes = new Map();
+  const roots = [];
+
+  for (const path of listFolders(keys)) {
+    const node = {
+      name: path.slice(path.lastIndexOf('/') + 1),
+      path,
+      count: keys.filter(key => inFolder(key, path)).length,
+      children: []
+    };
+    nodes.set(path, node);
+
+    const parent = parentFolder(path);
+    (parent ? nodes.get(parent).children : roots).push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * The folder a key ends up in when folder `from` is renamed to `to`; keys
+ * outside `from` keep theirs. Deleting a folder is renaming it to its parent.
+ */
+export function renameFolderPath(keyFolder, from, to) {
+  const source = normalizeFolder(from);
+  const target = normalizeFolder(to);
+  const current = keyFolder || '';
+
+  if (!source) {
+    throw new Error('The top level cannot be renamed');
+  }
+  if (target === source || target.startsWith(`${source}/`)) {
+    throw new Error(`Cannot move ${source} into itself`);
+  }
+
+  if (current === source) {
+    return target;
+  }
+  if (current.startsWith(`${source}/`)) {
+    return [target, current.slice(source.length + 1)].filter(Boolean).join('/');
+  }
+  return current;
+}
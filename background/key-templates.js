@@ -0,0 +1,196 @@
+/**
+ * Key templates: presets for adding a key. Mirrors cli/lib/key-templates.js.
+ *
+ * A template fills in a new key's service name, tags, domains, rate limit,
+ * env var name and rotation period, lays out its extra fields (names and
+ * whether each is secret, never values) and gives the expected format of the
+ * main value. Built-in templates cover the providers BreachDetector
+ * validates; user templates are stored with the vault, unencrypted.
+ */
+
+import { normalizeFields } from './key-fields.js';
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'openai',
+    serviceName: 'OpenAI',
+    keyFormat: '^sk-[a-zA-Z0-9]{48}$',
+    placeholder: 'sk-...',
+    tags: ['ai'],
+    domains: ['platform.openai.com'],
+    rateLimit: '3500 req/min',
+    envVar: 'OPENAI_API_KEY',
+    rotationDays: 90,
+    fields: [{ name: 'organization_id', secret: false }]
+  },
+  {
+    id: 'stripe',
+    serviceName: 'Stripe',
+    keyFormat: '^(sk|pk)_(test|live)_[a-zA-Z0-9]{24,}$',
+    placeholder: 'sk_live_...',
+    tags: ['payment'],
+    domains: ['dashboard.stripe.com'],
+    rateLimit: '100 req/s',
+    envVar: 'STRIPE_SECRET_KEY',
+    rotationDays: 90,
+    fields: [
+      { name: 'publishable_key', secret: false },
+      { name: 'webhook_secret', secret: true }
+    ]
+  },
+  {
+    id: 'aws',
+    serviceName: 'AWS',
+    keyFormat: '^AKIA[0-9A-Z]{16}$',
+    placeholder: 'AKIA...',
+    tags: ['cloud'],
+    domains: ['console.aws.amazon.com'],
+    rateLimit: '10 req/s',
+    envVar: 'AWS_ACCESS_KEY_ID',
+    rotationDays: 90,
+    fields: [
+      { name: 'secret_access_key', secret: true },
+      { name: 'region', secret: false }
+    ]
+  },
+  {
+    id: 'github',
+    serviceName: 'GitHub',
+    keyFormat: '^gh[ps]_[a-zA-Z0-9]{36,}$',
+    placeholder: 'ghp_...',
+    tags: ['code'],
+    domains: ['github.com'],
+    rateLimit: '5000 req/hour',
+    envVar: 'GITHUB_TOKEN',
+    rotationDays: 90,
+    fields: []
+  },
+  {
+    id: 'google',
+    serviceName: 'Google',
+    keyFormat: '^AIza[0-9A-Za-z\\-_]{35}$',
+    placeholder: 'AIza...',
+    tags: ['cloud'],
+    domains: ['console.cloud.google.com'],
+    rateLimit: '',
+    envVar: 'GOOGLE_API_KEY',
+    rotationDays: 90,
+    fields: []
+  },
+  {
+    id: 'anthropic',
+    serviceName: 'Anthropic',
+    keyFormat: '^sk-ant-[a-zA-Z0-9\\-_]{95}$',
+    placeholder: 'sk-ant-...',
+    tags: ['ai'],
+    domains: ['console.anthropic.com'],
+    rateLimit: '1000 req/min',
+    envVar: 'ANTHROPIC_API_KEY',
+    rotationDays: 90,
+    fields: []
+  }
+];
+
+/**
+ * Template id for a name: lowercase letters, digits and dashes
+ */
+export function templateId(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function stringList(value) {
+  return (Array.isArray(value) ? value : []).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a user template and return it in stored form
+ */
+export function normalizeTemplate(template) {
+  const serviceName = typeof template.serviceName === 'string' ? template.serviceName.trim() : '';
+  if (!serviceName) {
+    throw new Error('Template service name is required');
+  }
+
+  const id = templateId(template.id || serviceName);
+  if (!id) {
+    throw new Error(`Invalid template id: ${template.id}`);
+  }
+
+  const keyFormat = template.keyFormat || '';
+  if (keyFormat) {
+    try {
+      new RegExp(keyFormat);
+    } catch (error) {
+      throw new Error(`Invalid key format for template ${id}: ${error.message}`);
+    }
+  }
+
+  const envVar = (template.envVar || '').trim();
+  if (envVar && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(envVar)) {
+    throw new Error(`Invalid env var name: ${envVar}`);
+  }
+
+  const rotationDays = template.rotationDays ? Number(template.rotationDays) : null;
+  if (rotationDays !== null && !(Number.isInteger(rotationDays) && rotationDays > 0)) {
+    throw new Error('Rotation period must be a whole number of days');
+  }
+
+  // Only the layout is kept: names and secret flags, never values
+  const fields = normalizeFields((template.fields || []).map(field => ({ ...field, value: '' })))
+    .map(({ name, secret }) => ({ name, secret }));
+
+  return {
+    id,
+    serviceName,
+    keyFormat,
+    placeholder: template.placeholder || '',
+    tags: stringList(template.tags),
+    domains: stringList(template.domains),
+    rateLimit: template.rateLimit || '',
+    envVar,
+    rotationDays,
+    fields
+  };
+}
+
+/**
+ * Built-in templates followed by the user's, each marked with `builtIn`
+ */
+export function listTemplates(userTemplates = []) {
+  return [
+    ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+    ...userTemplates.map(template => ({ ...template, builtIn: false }))
+  ];
+}
+
+/**
+ * Check a key value against a template's expected format. `isValid` is null
+ * when the template has no format.
+ */
+export function checkKeyFormat(template, keyValue) {
+  if (!template.keyFormat) {
+    return { isValid: null, message: 'No format validation available for this service' };
+  }
+
+  const isValid = new RegExp(template.keyFormat).test(keyValue);
+  return {
+    isValid,
+    message: isValid ? 'Key format is valid' : `Key format doesn't match expected pattern for ${template.serviceName}`
+  };
+}
+
+/**
+ * A template capturing an existing key's layout and metadata (no values)
+ */
+export function templateFromKey(key, id = key.serviceName) {
+  return normalizeTemplate({
+    id,
+    serviceName: key.serviceName,
+    tags: key.tags,
+    domains: key.domains,
+    rateLimit: key.rateLimit,
+    envVar: key.envVar,
+    rotationDays: key.rotationDays,
+    fields: key.fields
+  });
+}
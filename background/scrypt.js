@@ -0,0 +1,138 @@
+/**
+ * scrypt (RFC 7914) for the extension.
+ * Web Crypto has no memory-hard KDF, so the ROMix core is implemented here and
+ * the PBKDF2-HMAC-SHA256 steps use crypto.subtle. Output matches Node's
+ * crypto.scrypt, which the CLI and MCP server use for the same vault headers.
+ */
+
+/**
+ * Derive dkLen bytes from password and salt
+ */
+export async function scrypt(password, salt, { N, r, p }, dkLen = 32) {
+  if (N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two');
+  }
+
+  const passwordBytes = typeof password === 'string' ? new TextEncoder().encode(password) : password;
+  const blockWords = 32 * r;
+
+  const B = bytesToWords(await pbkdf2Sha256(passwordBytes, salt, p * 128 * r));
+  const V = new Uint32Array(blockWords * N);
+  const X = new Uint32Array(blockWords);
+  const Y = new Uint32Array(blockWords);
+
+  for (let i = 0; i < p; i++) {
+    const block = B.subarray(i * blockWords, (i + 1) * blockWords);
+    roMix(block, r, N, V, X, Y);
+  }
+
+  return await pbkdf2Sha256(passwordBytes, wordsToBytes(B), dkLen);
+}
+
+/**
+ * Single-iteration PBKDF2-HMAC-SHA256 via Web Crypto
+ */
+async function pbkdf2Sha256(passwordBytes, salt, length) {
+  const key = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: salt, iterations: 1, hash: 'SHA-256' },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * scryptROMix, operating in place on one 128*r byte block
+ */
+function roMix(block, r, N, V, X, Y) {
+  const blockWords = 32 * r;
+  X.set(block);
+
+  for (let i = 0; i < N; i++) {
+    V.set(X, i * blockWords);
+    blockMix(X, Y, r);
+  }
+
+  for (let i = 0; i < N; i++) {
+    const j = X[(2 * r - 1) * 16] & (N - 1);
+    for (let k = 0; k < blockWords; k++) {
+      X[k] ^= V[j * blockWords + k];
+    }
+    blockMix(X, Y, r);
+  }
+
+  block.set(X);
+}
+
+/**
+ * scryptBlockMix with Salsa20/8; B is replaced by the mixed output, Y is scratch
+ */
+function blockMix(B, Y, r) {
+  const T = B.slice((2 * r - 1) * 16, 2 * r * 16);
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) {
+      T[k] ^= B[i * 16 + k];
+    }
+    salsa20_8(T);
+
+    // Even blocks go to the first half of the output, odd blocks to the second
+    const offset = ((i & 1) * r + (i >> 1)) * 16;
+    Y.set(T, offset);
+  }
+
+  B.set(Y);
+}
+
+function rotl(a, b) {
+  return (a << b) | (a >>> (32 - b));
+}
+
+function salsa20_8(B) {
+  const x = B.slice();
+
+  for (let i = 0; i < 8; i += 2) {
+    // Columns
+    x[4] ^= rotl(x[0] + x[12], 7);   x[8] ^= rotl(x[4] + x[0], 9);
+    x[12] ^= rotl(x[8] + x[4], 13);  x[0] ^= rotl(x[12] + x[8], 18);
+    x[9] ^= rotl(x[5] + x[1], 7);    x[13] ^= rotl(x[9] + x[5], 9);
+    x[1] ^= rotl(x[13] + x[9], 13);  x[5] ^= rotl(x[1] + x[13], 18);
+    x[14] ^= rotl(x[10] + x[6], 7);  x[2] ^= rotl(x[14] + x[10], 9);
+    x[6] ^= rotl(x[2] + x[14], 13);  x[10] ^= rotl(x[6] + x[2], 18);
+    x[3] ^= rotl(x[15] + x[11], 7);  x[7] ^= rotl(x[3] + x[15], 9);
+    x[11] ^= rotl(x[7] + x[3], 13);  x[15] ^= rotl(x[11] + x[7], 18);
+
+    // Rows
+    x[1] ^= rotl(x[0] + x[3], 7);    x[2] ^= rotl(x[1] + x[0], 9);
+    x[3] ^= rotl(x[2] + x[1], 13);   x[0] ^= rotl(x[3] + x[2], 18);
+    x[6] ^= rotl(x[5] + x[4], 7);    x[7] ^= rotl(x[6] + x[5], 9);
+    x[4] ^= rotl(x[7] + x[6], 13);   x[5] ^= rotl(x[4] + x[7], 18);
+    x[11] ^= rotl(x[10] + x[9], 7);  x[8] ^= rotl(x[11] + x[10], 9);
+    x[9] ^= rotl(x[8] + x[11], 13);  x[10] ^= rotl(x[9] + x[8], 18);
+    x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+    x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+  }
+
+  for (let i = 0; i < 16; i++) {
+    B[i] += x[i];
+  }
+}
+
+function bytesToWords(bytes) {
+  const words = new Uint32Array(bytes.length / 4);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+  return words;
+}
+
+function wordsToBytes(words) {
+  const bytes = new Uint8Array(words.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < words.length; i++) {
+    view.setUint32(i * 4, words[i], true);
+  }
+  return bytes;
+}
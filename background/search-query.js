@@ -0,0 +1,284 @@
+/**
+ * Key search queries, used by the popup, the content-script selector (via
+ * the service worker's searchKeys) and mirrored by cli/lib/search-query.js
+ * for `keyvault search` and the MCP search_api_keys tool (`npm run
+ * check:mirrors` in cli/ keeps the two equal).
+ *
+ *   stripe                   text in the service name, environment, tags,
+ *                            folder, notes, domains or env var name
+ *   env:production           environment
+ *   tag:ai                   one of the tags
+ *   service:"google maps"    service name contains (quotes for spaces)
+ *   folder:acme              folder or one of its subfolders
+ *   domain:example.com       an allowed domain contains
+ *   notes:billing            notes contain
+ *   favorite:true            favorite (true/false, yes/no)
+ *   expires:<30d             expires within 30 days (expired keys too);
+ *                            expires:>1y, expires:none
+ *   unused:>90d              not used for over 90 days (never-used keys count
+ *                            from when they were added); unused:<7d
+ *
+ * Terms are ANDed; `OR` joins alternatives and binds looser than AND, so
+ * `tag:ai OR tag:ml env:production` is `tag:ai OR (tag:ml AND env:production)`.
+ * `-term` or `NOT term` negates, and parentheses group. Matching ignores case.
+ * Durations take h, d, w or y (days when no unit is given). A prefix that is
+ * not one of these fields is plain text, so `redis:6379` and URLs search as
+ * written.
+ */
+
+import { inFolder } from './key-folders.js';
+
+const UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+    } else if (query[i] === '(' || query[i] === ')') {
+      tokens.push({ type: query[i++] });
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          if (end === -1) {
+            throw new Error('Unclosed quote in search');
+          }
+          i = end;
+        }
+        i++;
+      }
+      tokens.push({ type: 'word', raw: query.slice(start, i) });
+    }
+  }
+
+  return tokens;
+}
+
+function unquote(text) {
+  return text.replace(/"([^"]*)"/g, '$1');
+}
+
+function parseDuration(field, value, defaultOperator) {
+  const match = /^([<>]=?)?(\d+(?:\.\d+)?)([hdwy]?)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid ${field} duration: ${value} (e.g. ${field}:${defaultOperator}30d)`);
+  }
+  return {
+    compare: COMPARE[match[1] || defaultOperator],
+    limit: Number(match[2]) * UNITS[match[3] || 'd']
+  };
+}
+
+/**
+ * Build the test for one term: `field:value`, or text when field is null.
+ * `matchText(key, text)` replaces the substring test for text terms.
+ */
+function compileTerm(field, value, matchText) {
+  const text = value.toLowerCase();
+  if (!text) {
+    throw new Error(field ? `${field}: needs a value` : 'Empty search term');
+  }
+
+  switch (field) {
+    case null:
+      if (matchText) {
+        return (key) => matchText(key, text);
+      }
+      return (key) => [
+        key.serviceName,
+        key.environment,
+        key.folder,
+        key.notes,
+        key.envVar,
+        ...(key.tags || []),
+        ...(key.domains || [])
+      ].some(candidate => typeof candidate === 'string' && candidate.toLowerCase().includes(text));
+
+    case 'env':
+    case 'environment':
+      return (key) => (key.environment || '').toLowerCase() === text;
+
+    case 'tag':
+      return (key) => (key.tags || []).some(tag => tag.toLowerCase() === text);
+
+    case 'service':
+      return (key) => key.serviceName.toLowerCase().includes(text);
+
+    case 'folder':
+      return (key) => inFolder({ folder: (key.folder || '').toLowerCase() }, text);
+
+    case 'domain':
+      return (key) => (key.domains || []).some(domain => domain.toLowerCase().includes(text));
+
+    case 'notes':
+      return (key) => (key.notes || '').toLowerCase().includes(text);
+
+    case 'favorite': {
+      if (!['true', 'false', 'yes', 'no'].includes(text)) {
+        throw new Error(`Invalid favorite value: ${value} (use true or false)`);
+      }
+      const favorite = text === 'true' || text === 'yes';
+      return (key) => !!key.favorite === favorite;
+    }
+
+    case 'expires': {
+      if (text === 'none' || text === 'never') {
+        return (key) => !key.expiresAt;
+      }
+      const { compare, limit } = parseDuration(field, text, '<');
+      return (key, now) => !!key.expiresAt && compare(toTime(key.expiresAt) - now, limit);
+    }
+
+    case 'unused': {
+      const { compare, limit } = parseDuration(field, text, '>');
+      return (key, now) => compare(now - toTime(key.lastUsed || key.createdAt), limit);
+    }
+  }
+}
+
+const FIELDS = ['env', 'environment', 'tag', 'service', 'folder', 'domain', 'notes', 'favorite', 'expires', 'unused'];
+const FIELD_TERM = /^([a-z]+):(.*)$/i;
+
+/**
+ * `{ field, value }` for a term starting with a known field, otherwise null
+ */
+function fieldTerm(raw) {
+  const match = FIELD_TERM.exec(raw);
+  if (!match || !FIELDS.includes(match[1].toLowerCase())) {
+    return null;
+  }
+  return { field: match[1].toLowerCase(), value: match[2] };
+}
+
+function parseTerm(raw, matchText) {
+  const term = fieldTerm(raw);
+  return term
+    ? compileTerm(term.field, unquote(term.value), matchText)
+    : compileTerm(null, unquote(raw), matchText);
+}
+
+/**
+ * Parse a query into a test `(key, now) => boolean`. Throws on syntax errors
+ * and invalid field values. An empty query matches every key. `options.matchText`
+ * changes how text terms match (see fuzzy-match.js).
+ */
+export function parseQuery(query, options = {}) {
+  const tokens = tokenize(query || '');
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isWord = (token, word) => token && token.type === 'word' && token.raw === word;
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Search ends where a term was expected');
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error('Missing ) in search');
+      }
+      position++;
+      return inner;
+    }
+    if (token.type === ')') {
+      throw new Error('Unexpected ) in search');
+    }
+    if (token.raw === 'NOT' || token.raw === '-') {
+      const negated = parseUnary();
+      return (key, now) => !negated(key, now);
+    }
+    if (token.raw.startsWith('-')) {
+      const negated = parseTerm(token.raw.slice(1), options.matchText);
+      return (key, now) => !negated(key, now);
+    }
+    return parseTerm(token.raw, options.matchText);
+  };
+
+  const parseAnd = () => {
+    const terms = [];
+    while (peek() && peek().type !== ')' && !isWord(peek(), 'OR')) {
+      if (isWord(peek(), 'AND')) {
+        position++;
+        continue;
+      }
+      terms.push(parseUnary());
+    }
+    if (terms.length === 0) {
+      throw new Error('Expected a search term');
+    }
+    return (key, now) => terms.every(term => term(key, now));
+  };
+
+  const parseOr = () => {
+    const alternatives = [parseAnd()];
+    while (isWord(peek(), 'OR')) {
+      position++;
+      alternatives.push(parseAnd());
+    }
+    return (key, now) => alternatives.some(alternative => alternative(key, now));
+  };
+
+  if (tokens.length === 0) {
+    return () => true;
+  }
+
+  const test = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Unexpected ) in search');
+  }
+  return test;
+}
+
+/**
+ * The text terms a key should match, for ranking and highlighting: not
+ * field terms, operators or terms negated directly
+ */
+export function textTerms(query) {
+  const terms = [];
+  let negated = false;
+
+  for (const token of tokenize(query || '')) {
+    if (token.type !== 'word') {
+      negated = false;
+    } else if (token.raw === 'NOT' || token.raw === '-') {
+      negated = true;
+    } else {
+      if (!negated && token.raw !== 'OR' && token.raw !== 'AND' && !token.raw.startsWith('-') && !fieldTerm(token.raw)) {
+        terms.push(unquote(token.raw).toLowerCase());
+      }
+      negated = false;
+    }
+  }
+
+  return terms.filter(Boolean);
+}
+
+/**
+ * Keys matching a query, in their original order
+ */
+export function searchKeys(keys, query, now = Date.now()) {
+  const test = parseQuery(query);
+  return keys.filter(key => test(key, now));
+}
@@ -1,16 +1,26 @@
 import { StorageManager } from './storage-manager.js';
 import { EncryptionService } from './encryption.js';
+import { keyFields } from './audit-events.js';
+import { EXPORT_FORMATS, formatAuditLog } from './audit-export.js';
+import { describeNotice } from './key-expiry.js';
+import { inFolder } from './key-folders.js';
+import { rankKeys } from './fuzzy-match.js';
+import { lockoutMessage } from './unlock-throttle.js';
 
 const storageManager = new StorageManager();
 const encryptionService = new EncryptionService();
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(async (details) => {
+  // Creates default data on install and runs schema migrations after an update
+  await storageManager.initialize();
+
   if (details.reason === 'install') {
     console.log('KeyVault Pro installed');
     await initializeExtension();
   } else if (details.reason === 'update') {
     console.log('KeyVault Pro updated');
+    scheduleTrashPurge();
   }
 });
 
@@ -24,6 +34,21 @@ async function initializeExtension() {
 
   // Set up auto-lock alarm
   chrome.alarms.create('check-auto-lock', { periodInMinutes: 1 });
+
+  scheduleTrashPurge();
+  await scheduleExpiryCheck();
+}
+
+function scheduleTrashPurge() {
+  // Trashed keys past their retention period are purged hourly, locked or not
+  chrome.alarms.create('purge-trash', { periodInMinutes: 60 });
+}
+
+async function scheduleExpiryCheck() {
+  // Created once: re-creating it on every worker start would keep pushing it back
+  if (!(await chrome.alarms.get('check-expirations'))) {
+    chrome.alarms.create('check-expirations', { delayInMinutes: 1, periodInMinutes: 60 });
+  }
 }
 
 // Handle context menu clicks
@@ -65,15 +90,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true; // Keep channel open for async response
 });
 
+/**
+ * Audit source of a message, and for content scripts the page it came from
+ * (query and fragment dropped). A content script may report that the fill
+ * was started from the context menu.
+ */
+function messageOrigin(sender, data) {
+  const page = sender.url || '';
+
+  if (!sender.tab || page.startsWith(chrome.runtime.getURL(''))) {
+    return { source: page.includes('/options/') ? 'options' : 'popup' };
+  }
+
+  const { origin, pathname } = new URL(page || sender.tab.url);
+  return {
+    source: data?.trigger === 'context-menu' ? 'context-menu' : 'content-script',
+    url: `${origin}${pathname}`
+  };
+}
+
 async function handleMessage(request, sender) {
   const { action, data } = request;
+  const origin = messageOrigin(sender, data);
 
   switch (action) {
     case 'unlockVault':
-      return await unlockVault(data.masterPassword);
+      return await unlockVault(data.masterPassword, origin);
     
     case 'lockVault':
-      return await lockVault();
+      return await lockVault(origin);
+    
+    case 'changeMasterPassword':
+      return await changeMasterPassword(data.currentPassword, data.newPassword, origin);
+    
+    case 'getRecoveryKit':
+      return await storageManager.getRecoveryKit();
+    
+    case 'createRecoveryKit':
+      return await createRecoveryKit(data.masterPassword, data.threshold, data.shares, origin);
+    
+    case 'removeRecoveryKit':
+      return await removeRecoveryKit(origin);
+    
+    case 'recoverVault':
+      return await recoverVault(data.shares, data.newPassword, origin);
     
     case 'isVaultUnlocked':
       return await storageManager.isVaultUnlocked();
@@ -85,34 +145,103 @@ async function handleMessage(request, sender) {
       return await getKeyById(data.id);
     
     case 'addKey':
-      return await addKey(data.key);
+      return await addKey(data.key, origin);
     
     case 'updateKey':
-      return await updateKey(data.id, data.updates);
+      return await updateKey(data.id, data.updates, data.reason, origin);
+    
+    case 'rotateKey':
+      return await rotateKey(data.id, data.keyValue, data.fields, origin);
+    
+    case 'moveKeys':
+      return await moveKeys(data.ids, data.folder, origin);
+    
+    case 'tagKeys':
+      return await tagKeys(data.ids, data.add, data.remove, origin);
+    
+    case 'setKeysEnvironment':
+      return await setKeysEnvironment(data.ids, data.environment, origin);
+    
+    case 'deleteKeys':
+      return await deleteKeys(data.ids, origin);
+    
+    case 'exportKeys':
+      return await exportKeys(data.ids, data.masterPassword, origin);
+    
+    case 'findDuplicates':
+      return await findDuplicates();
+    
+    case 'mergeKeys':
+      return await mergeKeys(data.keepId, data.ids, origin);
+    
+    case 'renameFolder':
+      return await renameFolder(data.from, data.to, origin);
+    
+    case 'deleteFolder':
+      return await deleteFolder(data.folder, origin);
+    
+    case 'getRotationReport':
+      return await getRotationReport();
+    
+    case 'getKeyHistory':
+      return await getKeyHistory(data.id);
+    
+    case 'restoreKeyVersion':
+      return await restoreKeyVersion(data.id, data.version, origin);
     
     case 'deleteKey':
-      return await deleteKey(data.id);
+      return await deleteKey(data.id, origin);
+    
+    case 'getTrash':
+      return await getTrash();
+    
+    case 'restoreFromTrash':
+      return await restoreFromTrash(data.id, origin);
+    
+    case 'emptyTrash':
+      return await emptyTrash(data?.id, origin);
     
     case 'recordKeyUsage':
-      return await recordKeyUsage(data.id, data.domain);
+      return await recordKeyUsage(data, origin);
     
     case 'searchKeys':
-      return await searchKeys(data.query);
+      return await searchKeys(data.query, data.filter, data.domain);
     
     case 'getSettings':
       return await storageManager.getSettings();
     
     case 'updateSettings':
-      return await storageManager.updateSettings(data.settings);
+      return await updateSettings(data.settings);
     
     case 'exportVault':
-      return await exportVault(data.masterPassword);
+      return await exportVault(data.masterPassword, origin);
     
     case 'importVault':
-      return await importVault(data.encryptedData, data.masterPassword);
+      return await importVault(data.encryptedData, data.masterPassword, origin);
     
     case 'getAuditLog':
-      return await storageManager.getAuditLog();
+      return await getAuditLog();
+    
+    case 'queryAuditLog':
+      return await queryAuditLog(data?.filter);
+    
+    case 'getAuditFilterOptions':
+      return await getAuditFilterOptions();
+    
+    case 'exportAuditLog':
+      return await exportAuditLog(data.format, data.filter, origin);
+    
+    case 'verifyAuditLog':
+      return await storageManager.verifyAuditLog();
+    
+    case 'getTemplates':
+      return await getTemplates();
+    
+    case 'saveTemplate':
+      return await saveTemplate(data.template, origin);
+    
+    case 'deleteTemplate':
+      return await deleteTemplate(data.id, origin);
     
     case 'generateKey':
       return generateSecureKey(data.length || 32);
@@ -122,55 +251,157 @@ async function handleMessage(request, sender) {
   }
 }
 
-async function unlockVault(masterPassword) {
+async function unlockVault(masterPassword, origin) {
   try {
-    const isValid = await encryptionService.verifyMasterPassword(masterPassword);
-    if (!isValid) {
-      return { success: false, error: 'Invalid master password' };
-    }
-    
     await storageManager.unlockVault(masterPassword);
-    await storageManager.addAuditLog('Vault unlocked');
-    
-    // Set up auto-lock
-    const settings = await storageManager.getSettings();
-    if (settings.autoLockMinutes > 0) {
-      chrome.alarms.create('auto-lock', { delayInMinutes: settings.autoLockMinutes });
-    }
-    
+    await storageManager.addAuditLog('Vault unlocked', { type: 'vault.unlock', ...origin });
+    await scheduleAutoLock();
+    await checkExpirations();
     return { success: true };
   } catch (error) {
+    // Attempts refused while throttled never reach the password check
+    if (error.code !== 'EUNLOCKTHROTTLED') {
+      await storageManager.addAuditLog(`Unlock failed: ${error.message}`, {
+        type: 'vault.unlock',
+        ...origin,
+        outcome: 'failure',
+        error: error.message
+      });
+    }
+    await auditLockout(error, origin);
     return { success: false, error: error.message };
   }
 }
 
-async function lockVault() {
+/**
+ * Log a lockout started by a failed master password check
+ */
+async function auditLockout(error, origin) {
+  if (error.lockedOut) {
+    await storageManager.addAuditLog(lockoutMessage(await storageManager.getSettings()), {
+      type: 'vault.lockout',
+      ...origin,
+      outcome: 'failure'
+    });
+  }
+}
+
+async function scheduleAutoLock() {
+  const settings = await storageManager.getSettings();
+  if (settings.autoLockMinutes > 0) {
+    chrome.alarms.create('auto-lock', { delayInMinutes: settings.autoLockMinutes });
+  }
+}
+
+async function lockVault(origin) {
+  // Logged before locking so the entry is still authenticated
+  await storageManager.addAuditLog('Vault locked', { type: 'vault.lock', ...origin });
   await storageManager.lockVault();
-  await storageManager.addAuditLog('Vault locked');
   chrome.alarms.clear('auto-lock');
+  await checkExpirations({ notify: false });
   return { success: true };
 }
 
+async function changeMasterPassword(currentPassword, newPassword, origin) {
+  try {
+    await storageManager.changeMasterPassword(currentPassword, newPassword);
+    await storageManager.addAuditLog('Master password changed', { type: 'vault.change_password', ...origin });
+    return { success: true };
+  } catch (error) {
+    // Attempts refused while throttled never reach the password check
+    if (error.code !== 'EUNLOCKTHROTTLED') {
+      await storageManager.addAuditLog(`Master password change failed: ${error.message}`, {
+        type: 'vault.change_password',
+        ...origin,
+        outcome: 'failure',
+        error: error.message
+      });
+    }
+    await auditLockout(error, origin);
+    return { success: false, error: error.message };
+  }
+}
+
+async function createRecoveryKit(masterPassword, threshold, shares, origin) {
+  try {
+    const kit = await storageManager.createRecoveryKit(masterPassword, threshold, shares);
+    await storageManager.addAuditLog(`Recovery kit created (${threshold} of ${shares} shares)`, {
+      type: 'recovery_kit.create',
+      ...origin
+    });
+    return { success: true, ...kit };
+  } catch (error) {
+    if (error.message === 'Invalid master password') {
+      await storageManager.addAuditLog(`Recovery kit creation failed: ${error.message}`, {
+        type: 'recovery_kit.create',
+        ...origin,
+        outcome: 'failure',
+        error: error.message
+      });
+    }
+    await auditLockout(error, origin);
+    return { success: false, error: error.message };
+  }
+}
+
+async function removeRecoveryKit(origin) {
+  try {
+    await storageManager.removeRecoveryKit();
+    await storageManager.addAuditLog('Recovery kit removed', { type: 'recovery_kit.remove', ...origin });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function recoverVault(shares, newPassword, origin) {
+  try {
+    await storageManager.recoverVault(shares, newPassword);
+    await storageManager.addAuditLog('Master password reset with recovery kit', { type: 'vault.recover', ...origin });
+    await scheduleAutoLock();
+    return { success: true };
+  } catch (error) {
+    await storageManager.addAuditLog(`Vault recovery failed: ${error.message}`, {
+      type: 'vault.recover',
+      ...origin,
+      outcome: 'failure',
+      error: error.message
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Keys matching a getKeys/searchKeys filter: domain, favorite, environment
+ * and folder (with subfolders unless recursive is false)
+ */
+function filterKeys(keys, filter) {
+  let filteredKeys = keys;
+  
+  if (filter) {
+    if (filter.domain) {
+      filteredKeys = keys.filter(key => 
+        key.domains && key.domains.includes(filter.domain)
+      );
+    }
+    if (filter.favorite) {
+      filteredKeys = filteredKeys.filter(key => key.favorite);
+    }
+    if (filter.environment) {
+      filteredKeys = filteredKeys.filter(key => key.environment === filter.environment);
+    }
+    if (typeof filter.folder === 'string') {
+      filteredKeys = filteredKeys.filter(key => inFolder(key, filter.folder, filter.recursive !== false));
+    }
+  }
+  
+  return filteredKeys;
+}
+
 async function getKeys(filter) {
   try {
     const keys = await storageManager.getAllKeys();
-    let filteredKeys = keys;
-    
-    if (filter) {
-      if (filter.domain) {
-        filteredKeys = keys.filter(key => 
-          key.domains && key.domains.includes(filter.domain)
-        );
-      }
-      if (filter.favorite) {
-        filteredKeys = filteredKeys.filter(key => key.favorite);
-      }
-      if (filter.environment) {
-        filteredKeys = filteredKeys.filter(key => key.environment === filter.environment);
-      }
-    }
-    
-    return { success: true, keys: filteredKeys };
+    return { success: true, keys: filterKeys(keys, filter) };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -185,81 +416,433 @@ async function getKeyById(id) {
   }
 }
 
-async function addKey(keyData) {
+async function addKey(keyData, origin) {
   try {
     const id = await storageManager.addKey(keyData);
-    await storageManager.addAuditLog(`Key added: ${keyData.serviceName}`);
+    await storageManager.addAuditLog(`Key added: ${keyData.serviceName}`, {
+      type: 'key.add',
+      ...origin,
+      ...keyFields({ ...keyData, id })
+    });
+    await checkExpirations({ notify: false });
     return { success: true, id };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function updateKey(id, updates) {
+async function updateKey(id, updates, reason, origin) {
   try {
-    await storageManager.updateKey(id, updates);
-    await storageManager.addAuditLog(`Key updated: ${id}`);
+    const key = await storageManager.updateKey(id, updates, reason || undefined);
+    await storageManager.addAuditLog(`Key updated: ${key.serviceName}`, {
+      type: 'key.update',
+      ...origin,
+      ...keyFields(key)
+    });
+    await checkExpirations({ notify: false });
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function deleteKey(id) {
+async function rotateKey(id, keyValue, fields, origin) {
   try {
-    const key = await storageManager.getKey(id);
-    await storageManager.deleteKey(id);
-    await storageManager.addAuditLog(`Key deleted: ${key.serviceName}`);
+    const key = await storageManager.rotateKey(id, keyValue, fields);
+    const graceUntil = key.history[0].validUntil;
+    await storageManager.addAuditLog(
+      `Key rotated: ${key.serviceName} (old value valid until ${new Date(graceUntil).toISOString()})`,
+      { type: 'key.rotate', ...origin, ...keyFields(key) }
+    );
+    await checkExpirations({ notify: false });
+    return { success: true, graceUntil };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * One audit entry for an operation on several keys, naming them; it carries
+ * the key fields when only one key was involved
+ */
+async function auditKeys(action, type, keys, origin) {
+  const names = keys.map(key => key.serviceName).join(', ');
+  await storageManager.addAuditLog(`${action} (${keys.length} ${keys.length === 1 ? 'key' : 'keys'}: ${names})`, {
+    type,
+    ...origin,
+    ...(keys.length === 1 ? keyFields(keys[0]) : {})
+  });
+}
+
+async function moveKeys(ids, folder, origin) {
+  try {
+    const moved = await storageManager.moveKeys(ids, folder);
+    await auditKeys(`Keys moved to ${moved[0].folder || 'top level'}`, 'keys.move', moved, origin);
+    return { success: true, moved: moved.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function tagKeys(ids, add = [], remove = [], origin) {
+  try {
+    const tagged = await storageManager.tagKeys(ids, { add, remove });
+    const changes = [
+      ...add.map(tag => `+${tag.trim()}`),
+      ...remove.map(tag => `-${tag.trim()}`)
+    ].join(' ');
+    await auditKeys(`Keys tagged ${changes}`, 'keys.tag', tagged, origin);
+    return { success: true, changed: tagged.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function setKeysEnvironment(ids, environment, origin) {
+  try {
+    const changed = await storageManager.setKeysEnvironment(ids, environment);
+    await auditKeys(`Keys moved to environment ${changed[0].environment}`, 'keys.environment', changed, origin);
+    await checkExpirations({ notify: false });
+    return { success: true, changed: changed.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteKeys(ids, origin) {
+  try {
+    const deleted = await storageManager.deleteKeys(ids);
+    await auditKeys('Keys moved to trash', 'keys.delete', deleted, origin);
+    await checkExpirations({ notify: false });
+    return { success: true, deleted: deleted.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function renameFolder(from, to, origin) {
+  try {
+    const moved = await storageManager.renameFolder(from, to);
+    await storageManager.addAuditLog(`Folder renamed: ${from} to ${to || 'top level'} (${moved} keys)`, {
+      type: 'folder.rename',
+      ...origin
+    });
+    return { success: true, moved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteFolder(folder, origin) {
+  try {
+    const moved = await storageManager.deleteFolder(folder);
+    await storageManager.addAuditLog(`Folder deleted: ${folder} (${moved} keys moved up)`, {
+      type: 'folder.delete',
+      ...origin
+    });
+    return { success: true, moved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getRotationReport() {
+  try {
+    const report = await storageManager.getRotationReport();
+    return { success: true, report };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getKeyHistory(id) {
+  try {
+    const history = await storageManager.getKeyHistory(id);
+    return { success: true, ...history };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function restoreKeyVersion(id, version, origin) {
+  try {
+    const key = await storageManager.restoreKeyVersion(id, version);
+    await storageManager.addAuditLog(`Key restored to version ${version}: ${key.serviceName}`, {
+      type: 'key.restore_version',
+      ...origin,
+      ...keyFields(key)
+    });
+    await checkExpirations({ notify: false });
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function recordKeyUsage(id, domain) {
+async function deleteKey(id, origin) {
+  try {
+    const key = await storageManager.deleteKey(id);
+    await storageManager.addAuditLog(`Key moved to trash: ${key.serviceName}`, {
+      type: 'key.delete',
+      ...origin,
+      ...keyFields(key)
+    });
+    await checkExpirations({ notify: false });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTrash() {
+  try {
+    const keys = await storageManager.getTrash();
+    return { success: true, keys };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function restoreFromTrash(id, origin) {
+  try {
+    const key = await storageManager.restoreFromTrash(id);
+    await storageManager.addAuditLog(`Key restored from trash: ${key.serviceName}`, {
+      type: 'key.restore',
+      ...origin,
+      ...keyFields(key)
+    });
+    await checkExpirations({ notify: false });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function emptyTrash(id, origin) {
+  try {
+    const count = await storageManager.emptyTrash(id);
+    if (id) {
+      await storageManager.addAuditLog('Key permanently deleted from trash', { type: 'trash.delete', ...origin, keyId: id });
+    } else {
+      await storageManager.addAuditLog(`Trash emptied (${count} keys)`, { type: 'trash.empty', ...origin });
+    }
+    return { success: true, count };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record that a key was copied or filled (`use`), and log it. A copy of an
+ * earlier value gives its `version`, and a named field its `field`.
+ */
+async function recordKeyUsage({ id, domain, use = 'fill', version, field }, origin) {
   try {
-    await storageManager.recordKeyUsage(id, domain);
+    const key = await storageManager.recordKeyUsage(id, domain);
+    if (key) {
+      const what = [
+        version ? `Key version ${version}` : 'Key',
+        field ? `field ${field}` : ''
+      ].filter(Boolean).join(' ');
+      await storageManager.addAuditLog(`${what} ${use === 'copy' ? 'copied' : 'filled'}: ${key.serviceName}`, {
+        type: use === 'copy' ? 'key.copy' : 'key.fill',
+        ...origin,
+        ...keyFields(key),
+        field,
+        domain
+      });
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function searchKeys(query) {
+/**
+ * Keys matching a search query (see search-query.js), within `filter` if given,
+ * best first (see fuzzy-match.js). `domain` ranks that site's keys higher.
+ * `matches` maps key ids to the matched characters, for highlighting.
+ */
+async function searchKeys(query, filter, domain) {
   try {
     const keys = await storageManager.getAllKeys();
-    const lowerQuery = query.toLowerCase();
-    
-    const results = keys.filter(key => 
-      key.serviceName.toLowerCase().includes(lowerQuery) ||
-      key.tags.some(tag => tag.toLowerCase().includes(lowerQuery)) ||
-      key.notes.toLowerCase().includes(lowerQuery) ||
-      key.environment.toLowerCase().includes(lowerQuery)
-    );
-    
-    return { success: true, keys: results };
+    const results = rankKeys(filterKeys(keys, filter), query, { domain: domain || null });
+    return {
+      success: true,
+      keys: results.map(result => result.key),
+      matches: Object.fromEntries(results.map(result => [result.key.id, result.matches]))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTemplates() {
+  try {
+    const templates = await storageManager.getTemplates();
+    return { success: true, templates };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function saveTemplate(template, origin) {
+  try {
+    const saved = await storageManager.saveTemplate(template);
+    await storageManager.addAuditLog(`Key template saved: ${saved.id}`, { type: 'template.save', ...origin });
+    return { success: true, template: saved };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function exportVault(masterPassword) {
+async function deleteTemplate(id, origin) {
+  try {
+    const template = await storageManager.deleteTemplate(id);
+    await storageManager.addAuditLog(`Key template deleted: ${template.id}`, { type: 'template.delete', ...origin });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function queryAuditLog(filter) {
+  try {
+    const result = await storageManager.queryAuditLog(filter);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getAuditLog() {
+  try {
+    const entries = await storageManager.getAuditLog();
+    return { success: true, entries };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getAuditFilterOptions() {
+  try {
+    const options = await storageManager.getAuditFilterOptions();
+    return { success: true, ...options };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export the audit entries matching a filter (all pages) as JSONL or CSV
+ */
+async function exportAuditLog(format, filter = {}, origin) {
+  try {
+    const { offset, limit, ...criteria } = filter;
+    const { entries } = await storageManager.queryAuditLog(criteria);
+    const data = formatAuditLog(entries, format);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+
+    await storageManager.addAuditLog(`Audit log exported (${entries.length} entries, ${format.toUpperCase()})`, {
+      type: 'audit.export',
+      ...origin
+    });
+    return { success: true, data, mimeType, filename: `keyvault-audit-${Date.now()}.${extension}` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateSettings(settings) {
+  try {
+    await storageManager.updateSettings(settings);
+    await checkExpirations({ notify: false });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function exportVault(masterPassword, origin) {
   try {
     const data = await storageManager.exportData();
-    const encrypted = await encryptionService.encryptData(JSON.stringify(data), masterPassword);
-    await storageManager.addAuditLog('Vault exported');
-    return { success: true, data: encrypted };
+    const document = await encryptionService.sealVaultDocument(data.keys, masterPassword, {
+      settings: data.settings,
+      templates: data.templates,
+      exportedAt: new Date(data.exportedAt).toISOString()
+    }, await storageManager.getKdfOptions());
+    await storageManager.addAuditLog('Vault exported', { type: 'vault.export', ...origin });
+    return { success: true, data: document };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function findDuplicates() {
+  try {
+    const findings = await storageManager.findDuplicateKeys();
+    return { success: true, findings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function mergeKeys(keepId, ids, origin) {
+  try {
+    const { kept, merged } = await storageManager.mergeKeys(keepId, ids || []);
+    await storageManager.addAuditLog(
+      `Keys merged into ${kept.serviceName}, others moved to trash: ${merged.map(key => key.serviceName).join(', ')}`,
+      { type: 'keys.merge', ...origin, ...keyFields(kept) }
+    );
+    await checkExpirations({ notify: false });
+    return { success: true, merged: merged.length };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-async function importVault(encryptedData, masterPassword) {
+/**
+ * Export selected keys as a vault document sealed with `masterPassword`,
+ * in the same format as a full backup
+ */
+async function exportKeys(ids, masterPassword, origin) {
   try {
-    const decrypted = await encryptionService.decryptData(encryptedData, masterPassword);
-    const data = JSON.parse(decrypted);
+    const data = await storageManager.exportData(ids || []);
+    const document = await encryptionService.sealVaultDocument(data.keys, masterPassword, {
+      settings: data.settings,
+      templates: data.templates,
+      exportedAt: new Date(data.exportedAt).toISOString()
+    }, await storageManager.getKdfOptions());
+    await auditKeys('Keys exported', 'keys.export', data.keys, origin);
+    return { success: true, data: document, exported: data.keys.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function importVault(encryptedData, masterPassword, origin) {
+  try {
+    const document = encryptionService.parseVaultDocument(encryptedData);
+    let data;
+
+    if (document) {
+      // v2 vault document: .kvp backups and CLI/MCP vault.json files
+      data = {
+        keys: await encryptionService.openVaultDocument(document, masterPassword),
+        settings: document.settings,
+        templates: document.templates
+      };
+    } else {
+      // Legacy .kvp: password-encrypted JSON whose key values are password-encrypted too
+      data = JSON.parse(await encryptionService.decryptData(encryptedData, masterPassword));
+      for (const key of data.keys) {
+        key.keyValue = await encryptionService.decryptData(key.keyValue, masterPassword);
+      }
+    }
+
     await storageManager.importData(data);
-    await storageManager.addAuditLog('Vault imported');
+    await storageManager.addAuditLog('Vault imported', { type: 'vault.import', ...origin });
+    await checkExpirations({ notify: false });
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -279,10 +862,105 @@ function generateSecureKey(length) {
   return { success: true, key };
 }
 
-// Handle auto-lock alarm
+const EXPIRY_NOTIFICATION_PREFIX = 'expiry:';
+const EXPIRY_RENOTIFY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_SNOOZE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Show the number of expired, expiring and rotation-due keys on the action
+ * badge and raise a notification for each, at most once a day per key and
+ * not while it is snoozed. With `notify: false` only the badge is updated.
+ */
+async function checkExpirations({ notify = true } = {}) {
+  const settings = await storageManager.getSettings();
+  const due = settings.showExpirationWarnings ? await storageManager.getDueKeys() : [];
+
+  await chrome.action.setBadgeText({ text: due.length > 0 ? String(due.length) : '' });
+  if (due.length > 0) {
+    await chrome.action.setBadgeBackgroundColor({ color: due.some(notice => notice.overdue) ? '#dc2626' : '#f59e0b' });
+  }
+
+  if (!notify) {
+    return;
+  }
+
+  const now = Date.now();
+  const toNotify = [];
+
+  // Keys no longer due are dropped, so they notify again if they become due
+  await storageManager.updateExpiryAlerts((alerts) => {
+    const next = {};
+    for (const notice of due) {
+      const alert = alerts[notice.id] || {};
+      if ((alert.snoozedUntil || 0) > now || now - (alert.notifiedAt || 0) < EXPIRY_RENOTIFY_MS) {
+        next[notice.id] = alert;
+      } else {
+        next[notice.id] = { ...alert, notifiedAt: now };
+        toNotify.push(notice);
+      }
+    }
+    return next;
+  });
+
+  for (const notice of toNotify) {
+    chrome.notifications.create(`${EXPIRY_NOTIFICATION_PREFIX}${notice.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icons/icon128.png'),
+      title: `${notice.serviceName} (${notice.environment})`,
+      message: describeNotice(notice),
+      buttons: [{ title: 'Snooze for a day' }, { title: 'Open key' }],
+      priority: notice.overdue ? 2 : 0
+    });
+  }
+}
+
+async function snoozeExpiry(id) {
+  await storageManager.updateExpiryAlerts(alerts => ({
+    ...alerts,
+    [id]: { ...alerts[id], snoozedUntil: Date.now() + EXPIRY_SNOOZE_MS }
+  }));
+}
+
+function openKey(id) {
+  // The popup opens the key's form once the vault is unlocked
+  chrome.tabs.create({ url: chrome.runtime.getURL(`popup/popup.html?key=${encodeURIComponent(id)}`) });
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(EXPIRY_NOTIFICATION_PREFIX)) {
+    return;
+  }
+
+  const id = notificationId.slice(EXPIRY_NOTIFICATION_PREFIX.length);
+  if (buttonIndex === 0) {
+    await snoozeExpiry(id);
+  } else {
+    openKey(id);
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(EXPIRY_NOTIFICATION_PREFIX)) {
+    openKey(notificationId.slice(EXPIRY_NOTIFICATION_PREFIX.length));
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+// Handle auto-lock, trash purge and expiry check alarms
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'auto-lock') {
-    await lockVault();
+    await lockVault({ source: 'background' });
+  } else if (alarm.name === 'purge-trash') {
+    const purged = await storageManager.purgeTrash();
+    if (purged > 0) {
+      await storageManager.addAuditLog(`Purged ${purged} expired keys from trash`, {
+        type: 'trash.purge',
+        source: 'background'
+      });
+    }
+  } else if (alarm.name === 'check-expirations') {
+    await checkExpirations();
   } else if (alarm.name === 'check-auto-lock') {
     const isUnlocked = await storageManager.isVaultUnlocked();
     if (isUnlocked) {
@@ -291,7 +969,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       const now = Date.now();
       
       if (now - lastActivity > settings.autoLockMinutes * 60 * 1000) {
-        await lockVault();
+        await lockVault({ source: 'background' });
       }
     }
   }
@@ -1,26 +1,45 @@
 import { EncryptionService } from './encryption.js';
+import { MIGRATIONS, SCHEMA_VERSION } from './storage-migrations.js';
+import { split, combine, encodeShare, decodeShare } from './shamir.js';
+import { appendEntry, verifyChain, importMacKey, sealHead } from './audit-chain.js';
+import { createAuditEntry, filterAuditLog, splitSealedFields } from './audit-events.js';
+import { normalizeFields, mapSecretFields } from './key-fields.js';
+import { BUILT_IN_TEMPLATES, normalizeTemplate, listTemplates } from './key-templates.js';
+import { findDueKeys } from './key-expiry.js';
+import { markRotated, rotationReport } from './key-rotation.js';
+import { normalizeFolder, parentFolder, renameFolderPath } from './key-folders.js';
+import { findDuplicates, mergeKeyMetadata } from './key-duplicates.js';
+import { THROTTLE_SETTINGS_DEFAULTS, emptyThrottle, assertUnlockAllowed, recordFailure, withdrawFailure } from './unlock-throttle.js';
+
+// Settings that protect the vault itself. An import keeps the current values:
+// the stored records must match encryptMetadata, and a backup must not be
+// able to weaken the KDF, the audit log or unlock throttling.
+const PROTECTED_SETTINGS = [
+  'encryptMetadata',
+  'enableAuditLog',
+  'kdfAlgorithm',
+  'scryptCost',
+  'pbkdf2Iterations',
+  ...Object.keys(THROTTLE_SETTINGS_DEFAULTS)
+];
 
 export class StorageManager {
   constructor() {
     this.encryptionService = new EncryptionService();
-    this.sessionKey = null;
+    this.dataKey = null; // Unwrapped vault data key; the master password is never kept
+    this.auditKey = null; // HMAC key for audit log entries, loaded on unlock
+    this.auditSealKey = null; // AES key for sealed audit entry metadata, derived from the audit key
     this.isUnlocked = false;
+    this.writeQueue = Promise.resolve();
+    this.storageReady = null;
   }
 
   /**
-   * Initialize vault with default settings
+   * Bring stored data up to the current schema. On a fresh install this
+   * creates the index, default settings and audit log.
    */
   async initialize() {
-    const data = await this.getStorageData();
-    if (!data.initialized) {
-      await this.setStorageData({
-        initialized: true,
-        keys: [],
-        settings: this.getDefaultSettings(),
-        auditLog: [],
-        lastActivity: Date.now()
-      });
-    }
+    await this.ensureStorage();
   }
 
   /**
@@ -35,31 +54,456 @@ export class StorageManager {
       enableAutoFill: true,
       showExpirationWarnings: true,
       expirationWarningDays: 7,
+      rotationGraceDays: 7,
+      rotationPolicies: {},
       maskKeys: true,
-      enableAuditLog: true
+      enableAuditLog: true,
+      encryptMetadata: false,
+      historyMaxVersions: 10,
+      historyRetentionDays: 0,
+      trashRetentionDays: 30,
+      kdfAlgorithm: 'scrypt',
+      scryptCost: 15,
+      pbkdf2Iterations: 600000,
+      ...THROTTLE_SETTINGS_DEFAULTS
     };
   }
 
   /**
-   * Unlock vault with master password
+   * Unlock vault with master password.
+   * Derives the wrapping key once and unwraps the vault data key; secrets are
+   * encrypted under the data key so reads don't re-run PBKDF2.
+   * Failed attempts are throttled (see unlock-throttle.js); an error that
+   * starts a lockout has `lockedOut` set.
    */
   async unlockVault(masterPassword) {
-    const isValid = await this.encryptionService.verifyMasterPassword(masterPassword);
-    if (!isValid) {
-      throw new Error('Invalid master password');
+    const attempt = await this.beginUnlockAttempt();
+
+    try {
+      await this.openVault(masterPassword);
+    } catch (error) {
+      if (error.message !== 'Invalid master password') {
+        await this.cancelUnlockAttempt(attempt);
+        throw error;
+      }
+      error.lockedOut = attempt.lockedOut;
+      throw error;
     }
-    
-    this.sessionKey = masterPassword;
+
+    await this.serialize(() => this.setStorageItems({ unlockAttempts: emptyThrottle() }));
+    return true;
+  }
+
+  /**
+   * Refuse an unlock attempt while throttled, otherwise record it as failed
+   * until the password turns out to be right. Returns the recorded state,
+   * with the one before it as `previous`.
+   */
+  async beginUnlockAttempt() {
+    return this.serialize(() => this.recordUnlockAttempt());
+  }
+
+  /**
+   * Take back an unlock attempt that failed for a reason other than a wrong
+   * password, so it does not count towards a lockout
+   */
+  async cancelUnlockAttempt(attempt) {
+    await this.serialize(() => this.withdrawUnlockAttempt(attempt));
+  }
+
+  /**
+   * beginUnlockAttempt, for callers already inside the write queue
+   */
+  async recordUnlockAttempt() {
+    const settings = await this.getSettings();
+    const { unlockAttempts } = await this.getStorageItems(['unlockAttempts']);
+    assertUnlockAllowed(unlockAttempts);
+
+    const attempt = recordFailure(unlockAttempts, settings);
+    await this.setStorageItems({ unlockAttempts: attempt });
+    return { ...attempt, previous: unlockAttempts };
+  }
+
+  /**
+   * cancelUnlockAttempt, for callers already inside the write queue
+   */
+  async withdrawUnlockAttempt(attempt) {
+    const { unlockAttempts } = await this.getStorageItems(['unlockAttempts']);
+    await this.setStorageItems({ unlockAttempts: withdrawFailure(unlockAttempts, attempt, attempt.previous) });
+  }
+
+  /**
+   * Check the master password again for an operation on an unlocked vault
+   * (changing the password, creating a recovery kit). The check is throttled
+   * like unlocking, so it cannot be used to guess the password: an error that
+   * starts a lockout has `lockedOut` set. Must run inside the write queue.
+   * Returns the raw data key unwrapped from `header`.
+   */
+  async checkMasterPassword(header, masterPassword) {
+    const attempt = await this.recordUnlockAttempt();
+    let rawDataKey;
+
+    try {
+      rawDataKey = await this.encryptionService.unwrapDataKey(header, masterPassword);
+    } catch (error) {
+      if (error.message !== 'Invalid master password') {
+        await this.withdrawUnlockAttempt(attempt);
+        throw error;
+      }
+      error.lockedOut = attempt.lockedOut;
+      throw error;
+    }
+
+    await this.setStorageItems({ unlockAttempts: emptyThrottle() });
+    return rawDataKey;
+  }
+
+  /**
+   * Unwrap the data key with the master password, migrating a legacy vault
+   * or creating the vault on first use
+   */
+  async openVault(masterPassword) {
+    const header = await this.encryptionService.getStoredVaultKey();
+
+    if (header) {
+      const rawDataKey = await this.encryptionService.unwrapDataKey(header, masterPassword);
+      this.dataKey = await this.encryptionService.importDataKey(rawDataKey);
+      await this.openAuditKey();
+      await this.upgradeKdf(rawDataKey, masterPassword);
+    } else if (await this.encryptionService.getStoredPasswordHash()) {
+      const isValid = await this.encryptionService.verifyMasterPassword(masterPassword);
+      if (!isValid) {
+        throw new Error('Invalid master password');
+      }
+      this.dataKey = await this.migrateLegacyVault(masterPassword);
+      await this.openAuditKey();
+    } else {
+      // First time setup - create the vault data key
+      const created = await this.encryptionService.createVaultHeader(
+        masterPassword,
+        await this.getKdfOptions()
+      );
+      await this.encryptionService.storeVaultKey(created.header);
+      this.dataKey = created.dataKey;
+      await this.openAuditKey();
+    }
+
     this.isUnlocked = true;
     await this.updateLastActivity();
+  }
+
+  /**
+   * KDF parameters the vault should be wrapped with, from settings
+   */
+  async getKdfOptions() {
+    return this.encryptionService.kdfOptions(await this.getSettings());
+  }
+
+  /**
+   * Re-wrap the data key if the stored KDF differs from the configured one.
+   * Secrets stay under the same data key, so only the header is rewritten.
+   */
+  async upgradeKdf(rawDataKey, masterPassword) {
+    const header = await this.encryptionService.getStoredVaultKey();
+    const options = await this.getKdfOptions();
+    if (this.encryptionService.kdfMatches(header.kdf, options)) {
+      return false;
+    }
+
+    const wrap = await this.encryptionService.wrapDataKey(rawDataKey, masterPassword, options);
+    await this.encryptionService.storeVaultKey({ ...header, ...wrap });
+    await this.addAuditLog(`Key derivation upgraded to ${this.encryptionService.describeKdf(wrap.kdf)}`, {
+      type: 'vault.upgrade_kdf',
+      source: 'background'
+    });
     return true;
   }
 
+  /**
+   * Load the audit log MAC key, stored in the vault header encrypted under
+   * the data key. Vaults created before the log was chained get one here,
+   * along with a signed head for the log as it is; a head left without a MAC
+   * by an earlier version (storage migration 7) is signed here too.
+   */
+  async openAuditKey() {
+    await this.serialize(async () => {
+      const header = await this.encryptionService.getStoredVaultKey();
+      const state = await this.getStorageItems(['auditLog', 'auditAnchor', 'auditHead']);
+      const items = {};
+
+      if (!header.auditKey) {
+        items.vaultKey = {
+          ...header,
+          auditKey: await this.encryptionService.encryptWithKey(
+            this.encryptionService.generateRandomKey(32),
+            this.dataKey
+          )
+        };
+      }
+
+      const raw = await this.encryptionService.decryptWithKey((items.vaultKey || header).auditKey, this.dataKey);
+      this.auditKey = await importMacKey(this.encryptionService.base64ToArrayBuffer(raw));
+      this.auditSealKey = await this.encryptionService.importDataKey(
+        await crypto.subtle.sign('HMAC', this.auditKey, new TextEncoder().encode('seal-key'))
+      );
+
+      if (items.vaultKey || (state.auditHead && state.auditHead.legacy)) {
+        Object.assign(items, await sealHead(state, this.auditKey));
+        await this.setStorageItems(items);
+      }
+    });
+  }
+
+  /**
+   * Move a vault from per-secret password encryption to a wrapped data key.
+   * The re-encrypted keys and the new header are written in one storage call.
+   */
+  async migrateLegacyVault(masterPassword) {
+    return this.serialize(async () => {
+      const { header, dataKey } = await this.encryptionService.createVaultHeader(
+        masterPassword,
+        await this.getKdfOptions()
+      );
+      const items = { vaultKey: header };
+
+      for (const key of await this.getRecords()) {
+        const value = await this.encryptionService.decryptData(key.keyValue, masterPassword);
+        items[this.recordItem(key.id)] = {
+          ...key,
+          keyValue: await this.encryptionService.encryptWithKey(value, dataKey)
+        };
+      }
+
+      await this.setStorageItems(items);
+      await this.encryptionService.clearStoredPasswordHash();
+      return dataKey;
+    });
+  }
+
+  /**
+   * Change master password.
+   * Every secret is re-encrypted under a new data key wrapped by the new
+   * password. Nothing is written until all keys re-encrypt, and the keys and
+   * header are then written in one storage call, so a failure leaves the
+   * vault on the old password. The current password is throttled like
+   * unlocking (see checkMasterPassword).
+   */
+  async changeMasterPassword(currentPassword, newPassword) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+      throw new Error('New master password must be at least 8 characters');
+    }
+
+    await this.serialize(async () => {
+      const header = await this.encryptionService.getStoredVaultKey();
+      const currentKey = await this.encryptionService.importDataKey(
+        await this.checkMasterPassword(header, currentPassword)
+      );
+      const { header: newHeader, dataKey: newKey, rawDataKey } = await this.encryptionService.createVaultHeader(
+        newPassword,
+        await this.getKdfOptions()
+      );
+
+      const settings = await this.getSettings();
+      const items = { vaultKey: { ...newHeader, created: header.created } };
+
+      // An existing recovery kit keeps working: its secret now wraps the new data key
+      if (header.recovery) {
+        const { keyWrap, secret, ...kit } = header.recovery;
+        items.vaultKey.recovery = await this.encryptionService.sealRecovery(
+          rawDataKey,
+          await this.encryptionService.openRecoverySecret(header.recovery, currentKey),
+          kit
+        );
+      }
+
+      if (header.auditKey) {
+        items.vaultKey.auditKey = await this.encryptionService.encryptWithKey(
+          await this.encryptionService.decryptWithKey(header.auditKey, currentKey),
+          newKey
+        );
+      }
+
+      for (const record of await this.getRecords()) {
+        const key = await this.rekeyRecord(record, currentKey, newKey);
+        items[this.recordItem(key.id)] = await this.sealRecord(key, settings.encryptMetadata, newKey);
+      }
+
+      for (const record of await this.getTrashRecords()) {
+        const key = await this.rekeyRecord(record, currentKey, newKey);
+        items[this.trashItem(key.id)] = {
+          ...(await this.sealRecord(key, true, newKey)),
+          deletedAt: record.deletedAt
+        };
+      }
+
+      await this.setStorageItems(items);
+      this.dataKey = newKey;
+    });
+
+    await this.updateLastActivity();
+  }
+
+  /**
+   * Open a stored record and re-encrypt its value and history from one data key to another
+   */
+  async rekeyRecord(record, currentKey, newKey) {
+    try {
+      const key = await this.openRecord(record, currentKey);
+      const reencrypt = async (encoded) => this.encryptionService.encryptWithKey(
+        await this.encryptionService.decryptWithKey(encoded, currentKey),
+        newKey
+      );
+
+      const history = [];
+      for (const entry of key.history || []) {
+        history.push({
+          ...entry,
+          keyValue: await reencrypt(entry.keyValue),
+          fields: await mapSecretFields(entry.fields, reencrypt)
+        });
+      }
+
+      return {
+        ...key,
+        keyValue: await reencrypt(key.keyValue),
+        fields: await mapSecretFields(key.fields, reencrypt),
+        history
+      };
+    } catch (error) {
+      throw new Error(`Failed to re-encrypt key ${record.id}; master password unchanged`);
+    }
+  }
+
+  /**
+   * Recovery kit details from the vault header (readable while locked), or null
+   */
+  async getRecoveryKit() {
+    const header = await this.encryptionService.getStoredVaultKey();
+    if (!header || !header.recovery) {
+      return null;
+    }
+
+    const { keyWrap, secret, ...kit } = header.recovery;
+    return kit;
+  }
+
+  /**
+   * Create a recovery kit, replacing any earlier one. A random recovery
+   * secret wraps the data key and is split into Shamir shares. The master
+   * password is needed because the unlocked data key cannot be exported, and
+   * is throttled like unlocking. Returns the share texts, which are not stored
+   * anywhere.
+   */
+  async createRecoveryKit(masterPassword, threshold, count) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const secret = crypto.getRandomValues(new Uint8Array(32));
+    const parts = split(secret, threshold, count);
+    const kitId = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+
+    return this.serialize(async () => {
+      const header = await this.encryptionService.getStoredVaultKey();
+      const rawDataKey = await this.checkMasterPassword(header, masterPassword);
+
+      const recovery = await this.encryptionService.sealRecovery(rawDataKey, secret, {
+        kitId,
+        threshold,
+        shares: count,
+        created: new Date().toISOString()
+      });
+      await this.encryptionService.storeVaultKey({ ...header, recovery });
+
+      const shares = [];
+      for (const part of parts) {
+        shares.push(await encodeShare({ kitId, threshold, ...part }));
+      }
+      return { kitId, threshold, count, shares };
+    });
+  }
+
+  /**
+   * Remove the recovery kit from the vault header
+   */
+  async removeRecoveryKit() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    await this.serialize(async () => {
+      const { recovery, ...header } = await this.encryptionService.getStoredVaultKey();
+      await this.encryptionService.storeVaultKey(header);
+    });
+  }
+
+  /**
+   * Reset a forgotten master password from recovery shares. The data key is
+   * rebuilt from the shares and wrapped under the new password; secrets and
+   * the kit itself are unchanged. Leaves the vault unlocked.
+   */
+  async recoverVault(shareTexts, newPassword) {
+    if (!newPassword || newPassword.length < 8) {
+      throw new Error('New master password must be at least 8 characters');
+    }
+
+    await this.serialize(async () => {
+      const header = await this.encryptionService.getStoredVaultKey();
+      if (!header || !header.recovery) {
+        throw new Error('This vault has no recovery kit');
+      }
+
+      const { kitId, threshold } = header.recovery;
+      const shares = [];
+
+      for (const text of shareTexts) {
+        const share = await decodeShare(text);
+
+        if (share.kitId !== kitId) {
+          throw new Error(`Share ${share.x} belongs to another recovery kit (${share.kitId}); this vault uses kit ${kitId}`);
+        }
+
+        if (!shares.some(s => s.x === share.x && s.y.every((b, i) => b === share.y[i]))) {
+          shares.push(share);
+        }
+      }
+
+      if (shares.length < threshold) {
+        throw new Error(`${threshold} different shares are needed, got ${shares.length}`);
+      }
+
+      let rawDataKey;
+      try {
+        rawDataKey = await this.encryptionService.openRecovery(header.recovery, combine(shares));
+      } catch (error) {
+        throw new Error('These shares do not recover this vault');
+      }
+
+      const wrap = await this.encryptionService.wrapDataKey(rawDataKey, newPassword, await this.getKdfOptions());
+      await this.encryptionService.storeVaultKey({ ...header, ...wrap });
+
+      this.dataKey = await this.encryptionService.importDataKey(rawDataKey);
+      this.isUnlocked = true;
+
+      // A new password starts with a clean slate of unlock attempts
+      await this.setStorageItems({ unlockAttempts: emptyThrottle() });
+    });
+
+    await this.openAuditKey();
+    await this.updateLastActivity();
+  }
+
   /**
    * Lock vault
    */
   async lockVault() {
-    this.sessionKey = null;
+    this.dataKey = null;
+    this.auditKey = null;
+    this.auditSealKey = null;
     this.isUnlocked = false;
   }
 
@@ -78,21 +522,22 @@ export class StorageManager {
       throw new Error('Vault is locked');
     }
 
-    const data = await this.getStorageData();
     const keys = [];
 
-    for (const key of data.keys || []) {
+    for (const record of await this.getRecords()) {
       try {
-        const decryptedValue = await this.encryptionService.decryptData(
+        const { history, ...key } = await this.openRecord(record);
+        const decryptedValue = await this.encryptionService.decryptWithKey(
           key.keyValue,
-          this.sessionKey
+          this.dataKey
         );
         keys.push({
           ...key,
-          keyValue: decryptedValue
+          keyValue: decryptedValue,
+          fields: await this.decryptFields(key.fields)
         });
       } catch (error) {
-        console.error(`Failed to decrypt key ${key.id}:`, error);
+        console.error(`Failed to decrypt key ${record.id}:`, error);
       }
     }
 
@@ -115,22 +560,23 @@ export class StorageManager {
       throw new Error('Vault is locked');
     }
 
-    const data = await this.getStorageData();
-    const key = data.keys.find(k => k.id === id);
+    const record = await this.getRecord(id);
     
-    if (!key) {
+    if (!record) {
       throw new Error('Key not found');
     }
 
-    const decryptedValue = await this.encryptionService.decryptData(
+    const { history, ...key } = await this.openRecord(record);
+    const decryptedValue = await this.encryptionService.decryptWithKey(
       key.keyValue,
-      this.sessionKey
+      this.dataKey
     );
 
     await this.updateLastActivity();
     return {
       ...key,
-      keyValue: decryptedValue
+      keyValue: decryptedValue,
+      fields: await this.decryptFields(key.fields)
     };
   }
 
@@ -142,16 +588,19 @@ export class StorageManager {
       throw new Error('Vault is locked');
     }
 
-    const encryptedValue = await this.encryptionService.encryptData(
+    const encryptedValue = await this.encryptionService.encryptWithKey(
       keyData.keyValue,
-      this.sessionKey
+      this.dataKey
     );
+    const fields = await this.encryptFields(normalizeFields(keyData.fields));
 
     const newKey = {
       id: this.generateId(),
       serviceName: keyData.serviceName,
       keyValue: encryptedValue,
+      fields,
       environment: keyData.environment || 'production',
+      folder: normalizeFolder(keyData.folder),
       tags: keyData.tags || [],
       createdAt: Date.now(),
       lastUsed: null,
@@ -162,218 +611,1247 @@ export class StorageManager {
       color: keyData.color || this.getRandomColor(),
       favorite: keyData.favorite || false,
       rateLimit: keyData.rateLimit || '',
-      estimatedCost: 0
+      envVar: keyData.envVar || '',
+      rotationDays: keyData.rotationDays || null,
+      rotationGraceDays: keyData.rotationGraceDays ?? null,
+      rotatedAt: null,
+      template: keyData.template || null,
+      estimatedCost: 0,
+      version: 1,
+      history: []
     };
 
-    const data = await this.getStorageData();
-    data.keys.push(newKey);
-    await this.setStorageData(data);
+    const settings = await this.getSettings();
+    const record = await this.sealRecord(newKey, settings.encryptMetadata);
+
+    await this.serialize(async () => {
+      const index = await this.getIndex();
+      index.keys.push(newKey.id);
+      await this.setStorageItems({
+        vaultIndex: index,
+        [this.recordItem(newKey.id)]: record
+      });
+    });
     await this.updateLastActivity();
 
     return newKey.id;
   }
 
   /**
-   * Update existing key
+   * Update existing key. A changed value or set of fields keeps the previous
+   * ones as a version in the key's history, labelled with the given reason.
+   * Returns the updated key (values still encrypted).
    */
-  async updateKey(id, updates) {
+  async updateKey(id, updates, reason = 'Value updated') {
     if (!this.isUnlocked) {
       throw new Error('Vault is locked');
     }
 
-    const data = await this.getStorageData();
-    const keyIndex = data.keys.findIndex(k => k.id === id);
-    
-    if (keyIndex === -1) {
-      throw new Error('Key not found');
-    }
+    const updated = await this.updateRecord(id, async (key, settings) => {
+      const changes = { ...updates };
+      let changed = false;
 
-    // If keyValue is being updated, encrypt it
-    if (updates.keyValue) {
-      updates.keyValue = await this.encryptionService.encryptData(
-        updates.keyValue,
-        this.sessionKey
-      );
-    }
+      // If keyValue is being updated, encrypt it
+      if (changes.keyValue) {
+        const currentValue = await this.encryptionService.decryptWithKey(key.keyValue, this.dataKey);
+        changed = changes.keyValue !== currentValue;
+        changes.keyValue = await this.encryptionService.encryptWithKey(
+          changes.keyValue,
+          this.dataKey
+        );
+      }
 
-    data.keys[keyIndex] = {
-      ...data.keys[keyIndex],
-      ...updates
-    };
+      if (changes.fields) {
+        const fields = normalizeFields(changes.fields);
+        const currentFields = await this.decryptFields(key.fields);
+        changed = changed || JSON.stringify(fields) !== JSON.stringify(currentFields);
+        changes.fields = await this.encryptFields(fields);
+      }
 
-    await this.setStorageData(data);
-    await this.updateLastActivity();
-  }
+      if ('folder' in changes) {
+        changes.folder = normalizeFolder(changes.folder);
+      }
 
-  /**
-   * Delete key
-   */
-  async deleteKey(id) {
-    if (!this.isUnlocked) {
-      throw new Error('Vault is locked');
-    }
+      if (changed) {
+        key = this.archiveVersion(key, reason, settings);
+      }
 
-    const data = await this.getStorageData();
-    data.keys = data.keys.filter(k => k.id !== id);
-    await this.setStorageData(data);
+      return {
+        ...key,
+        ...changes,
+        id: key.id,
+        version: key.version,
+        history: key.history
+      };
+    });
     await this.updateLastActivity();
+    return updated;
   }
 
   /**
-   * Record key usage
+   * Read-modify-write a single key record inside the write queue.
+   * `change` receives the opened key and the settings and returns the new key.
    */
-  async recordKeyUsage(id, domain) {
-    if (!this.isUnlocked) {
-      throw new Error('Vault is locked');
-    }
+  async updateRecord(id, change) {
+    return this.serialize(async () => {
+      const record = await this.getRecord(id);
 
-    const data = await this.getStorageData();
-    const key = data.keys.find(k => k.id === id);
-    
-    if (key) {
-      key.lastUsed = Date.now();
-      key.usageCount = (key.usageCount || 0) + 1;
-      
-      if (domain && !key.domains.includes(domain)) {
-        key.domains.push(domain);
+      if (!record) {
+        throw new Error('Key not found');
       }
-      
-      await this.setStorageData(data);
-      await this.updateLastActivity();
-    }
+
+      const settings = await this.getSettings();
+      const key = await change(await this.openRecord(record), settings);
+      await this.setStorageItems({
+        [this.recordItem(id)]: await this.sealRecord(key, settings.encryptMetadata)
+      });
+      return key;
+    });
   }
 
   /**
-   * Get settings
+   * Read-modify-write several key records in one write: if a key is missing
+   * or `change` throws for one of them, none is changed. `change` receives
+   * each opened key and the settings and returns the new key.
    */
-  async getSettings() {
-    const data = await this.getStorageData();
-    return data.settings || this.getDefaultSettings();
+  async updateRecords(ids, change) {
+    return this.serialize(async () => {
+      const keyIds = [...new Set(ids)];
+      const records = await this.getRecords(keyIds);
+
+      if (keyIds.length === 0 || records.length !== keyIds.length) {
+        throw new Error(keyIds.length === 0 ? 'No keys selected' : 'Key not found');
+      }
+
+      const settings = await this.getSettings();
+      const items = {};
+      const keys = [];
+
+      for (const record of records) {
+        const key = await change(await this.openRecord(record), settings);
+        items[this.recordItem(key.id)] = await this.sealRecord(key, settings.encryptMetadata);
+        keys.push(key);
+      }
+
+      await this.setStorageItems(items);
+      return keys;
+    });
   }
 
   /**
-   * Update settings
+   * Move keys to a folder ('' for the top level). Returns the moved keys
+   * (values still encrypted).
    */
-  async updateSettings(newSettings) {
-    const data = await this.getStorageData();
-    data.settings = {
-      ...data.settings,
-      ...newSettings
-    };
-    await this.setStorageData(data);
+  async moveKeys(ids, folder) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const path = normalizeFolder(folder);
+    const moved = await this.updateRecords(ids, async (key) => ({ ...key, folder: path }));
+    await this.updateLastActivity();
+
+    return moved;
   }
 
   /**
-   * Add audit log entry
+   * Add and remove tags on several keys. Returns the changed keys (values
+   * still encrypted).
    */
-  async addAuditLog(action) {
-    const data = await this.getStorageData();
-    const settings = await this.getSettings();
-    
-    if (!settings.enableAuditLog) {
-      return;
+  async tagKeys(ids, { add = [], remove = [] }) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
     }
 
-    const entry = {
-      id: this.generateId(),
-      action,
-      timestamp: Date.now()
-    };
-
-    data.auditLog = data.auditLog || [];
-    data.auditLog.unshift(entry);
-    
-    // Keep only last 1000 entries
-    if (data.auditLog.length > 1000) {
-      data.auditLog = data.auditLog.slice(0, 1000);
+    const added = add.map(tag => tag.trim()).filter(Boolean);
+    const removed = new Set(remove.map(tag => tag.trim()));
+    if (added.length === 0 && removed.size === 0) {
+      throw new Error('No tags to add or remove');
     }
 
-    await this.setStorageData(data);
-  }
+    const tagged = await this.updateRecords(ids, async (key) => ({
+      ...key,
+      tags: [...new Set([...(key.tags || []).filter(tag => !removed.has(tag)), ...added])]
+    }));
+    await this.updateLastActivity();
 
-  /**
-   * Get audit log
-   */
-  async getAuditLog(limit = 100) {
-    const data = await this.getStorageData();
-    return (data.auditLog || []).slice(0, limit);
+    return tagged;
   }
 
   /**
-   * Export all data (encrypted)
+   * Set the environment of several keys. Returns the changed keys (values
+   * still encrypted).
    */
-  async exportData() {
+  async setKeysEnvironment(ids, environment) {
     if (!this.isUnlocked) {
       throw new Error('Vault is locked');
     }
+    if (!environment || !environment.trim()) {
+      throw new Error('Environment is required');
+    }
 
-    const data = await this.getStorageData();
-    return {
-      keys: data.keys,
-      settings: data.settings,
-      exportedAt: Date.now()
-    };
+    const changed = await this.updateRecords(ids, async (key) => ({ ...key, environment: environment.trim() }));
+    await this.updateLastActivity();
+
+    return changed;
   }
 
   /**
-   * Import data
+   * Rename a folder, moving its keys and subfolders along. Returns the
+   * number of keys moved.
    */
-  async importData(importedData) {
+  async renameFolder(from, to) {
     if (!this.isUnlocked) {
       throw new Error('Vault is locked');
     }
 
-    const data = await this.getStorageData();
-    
-    // Merge keys (avoid duplicates by service name)
-    const existingServices = new Set(data.keys.map(k => k.serviceName));
-    const newKeys = importedData.keys.filter(k => !existingServices.has(k.serviceName));
-    
-    data.keys = [...data.keys, ...newKeys];
-    
-    // Merge settings
-    data.settings = {
-      ...data.settings,
-      ...importedData.settings
-    };
+    const moved = await this.serialize(async () => {
+      const settings = await this.getSettings();
+      const items = {};
+
+      for (const record of await this.getRecords()) {
+        const key = await this.openRecord(record);
+        const folder = renameFolderPath(key.folder, from, to);
+        if (folder !== (key.folder || '')) {
+          items[this.recordItem(key.id)] = await this.sealRecord({ ...key, folder }, settings.encryptMetadata);
+        }
+      }
 
-    await this.setStorageData(data);
+      await this.setStorageItems(items);
+      return Object.keys(items).length;
+    });
+    await this.updateLastActivity();
+
+    return moved;
   }
 
   /**
-   * Update last activity timestamp
+   * Delete a folder: its keys and subfolders move up to its parent. Returns
+   * the number of keys moved.
+   */
+  async deleteFolder(folder) {
+    return this.renameFolder(folder, parentFolder(folder));
+  }
+
+  /**
+   * Get the stored versions of a key, newest first, with decrypted values
+   */
+  async getKeyHistory(id) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const record = await this.getRecord(id);
+
+    if (!record) {
+      throw new Error('Key not found');
+    }
+
+    const key = await this.openRecord(record);
+    const versions = [];
+
+    for (const entry of key.history || []) {
+      versions.push({
+        ...entry,
+        keyValue: await this.encryptionService.decryptWithKey(entry.keyValue, this.dataKey),
+        fields: await this.decryptFields(entry.fields)
+      });
+    }
+
+    await this.updateLastActivity();
+    return {
+      serviceName: key.serviceName,
+      currentVersion: key.version || 1,
+      versions
+    };
+  }
+
+  /**
+   * Rotate a key: store its new value (and fields, when given), keeping the
+   * old ones valid for the rotation grace period. Returns the updated key
+   * (values still encrypted).
+   */
+  async rotateKey(id, keyValue, fields = null) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    if (!keyValue) {
+      throw new Error('New key value is required');
+    }
+
+    const rotated = await this.updateRecord(id, async (key, settings) => {
+      const currentValue = await this.encryptionService.decryptWithKey(key.keyValue, this.dataKey);
+      if (keyValue === currentValue) {
+        throw new Error('The new value is the same as the current one');
+      }
+
+      const archived = this.archiveVersion(key, 'Rotated', settings);
+      archived.keyValue = await this.encryptionService.encryptWithKey(keyValue, this.dataKey);
+      if (fields) {
+        archived.fields = await this.encryptFields(normalizeFields(fields));
+      }
+      return markRotated(archived, settings);
+    });
+    await this.updateLastActivity();
+
+    return rotated;
+  }
+
+  /**
+   * Make an earlier version's value and fields current. The ones being
+   * replaced are archived like any other change, so a restore can itself be undone.
+   * Returns the updated key (value still encrypted).
+   */
+  async restoreKeyVersion(id, version) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const key = await this.updateRecord(id, async (current, settings) => {
+      const entry = (current.history || []).find(v => v.version === version);
+
+      if (!entry) {
+        throw new Error(`Version ${version} not found`);
+      }
+
+      const restored = this.archiveVersion(current, `Restored version ${version}`, settings);
+      restored.keyValue = entry.keyValue;
+      restored.fields = entry.fields || [];
+      return restored;
+    });
+    await this.updateLastActivity();
+
+    return key;
+  }
+
+  /**
+   * Move a key's current (encrypted) value and fields into its history and
+   * bump its version, then apply the retention settings
+   */
+  archiveVersion(key, reason, settings) {
+    const currentVersion = key.version || 1;
+    const history = [
+      {
+        version: currentVersion,
+        keyValue: key.keyValue,
+        fields: key.fields || [],
+        replacedAt: Date.now(),
+        reason
+      },
+      ...(key.history || [])
+    ];
+
+    return {
+      ...key,
+      version: Math.max(currentVersion, ...history.map(v => v.version)) + 1,
+      history: this.pruneHistory(history, settings)
+    };
+  }
+
+  /**
+   * Apply history retention: at most historyMaxVersions entries, none older
+   * than historyRetentionDays. Zero disables either limit. Versions whose
+   * credential is still to be revoked at its provider (`revoke` without
+   * `revokedAt`, from a vault rotated by the CLI) are always kept.
+   */
+  pruneHistory(history, settings) {
+    const pendingRevocation = entry => !!entry.revoke && !entry.revokedAt;
+    let kept = history;
+
+    if (settings.historyRetentionDays > 0) {
+      const cutoff = Date.now() - settings.historyRetentionDays * 24 * 60 * 60 * 1000;
+      kept = kept.filter(entry => entry.replacedAt >= cutoff || pendingRevocation(entry));
+    }
+
+    if (settings.historyMaxVersions > 0) {
+      kept = kept.filter((entry, index) => index < settings.historyMaxVersions || pendingRevocation(entry));
+    }
+
+    return kept;
+  }
+
+  /**
+   * Move a key to the trash. Returns the trashed key (value still encrypted).
+   */
+  async deleteKey(id) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const key = await this.serialize(async () => {
+      const record = await this.getRecord(id);
+
+      if (!record) {
+        throw new Error('Key not found');
+      }
+
+      const key = await this.openRecord(record);
+      await this.trashKeys([key]);
+      return key;
+    });
+    await this.updateLastActivity();
+    return key;
+  }
+
+  /**
+   * Move several keys to the trash in one write; if one is missing, none is
+   * moved. Returns the deleted keys.
+   */
+  async deleteKeys(ids) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const keys = await this.serialize(async () => {
+      const keyIds = [...new Set(ids)];
+      const records = await this.getRecords(keyIds);
+
+      if (keyIds.length === 0 || records.length !== keyIds.length) {
+        throw new Error(keyIds.length === 0 ? 'No keys selected' : 'Key not found');
+      }
+
+      const keys = [];
+      for (const record of records) {
+        keys.push(await this.openRecord(record));
+      }
+
+      await this.trashKeys(keys);
+      return keys;
+    });
+    await this.updateLastActivity();
+    return keys;
+  }
+
+  /**
+   * Move opened keys to the trash, with `items` (other records to store) in
+   * the same write. Must run inside the write queue.
+   *
+   * Trashed keys are always fully sealed; only the deletion time stays readable
+   * (here and in the index) so expired entries can be purged while the vault is
+   * locked. The index is what says where a key lives, so it is written in the
+   * same set as the records it points to; the records it no longer lists are
+   * removed afterwards, and if that is interrupted removeOrphanedRecords cleans
+   * them up.
+   */
+  async trashKeys(keys, items = {}) {
+    const ids = keys.map(key => key.id);
+    const deletedAt = Date.now();
+    const index = await this.getIndex();
+    const trashItems = {};
+
+    for (const key of keys) {
+      trashItems[this.trashItem(key.id)] = { ...(await this.sealRecord(key, true)), deletedAt };
+    }
+
+    index.keys = index.keys.filter(keyId => !ids.includes(keyId));
+    index.trash.unshift(...ids.map(id => ({ id, deletedAt })));
+
+    await this.setStorageItems({ ...items, vaultIndex: index, ...trashItems });
+    await this.removeStorageItems(ids.map(id => this.recordItem(id)));
+  }
+
+  /**
+   * Duplicate, reused and near-identical secrets (see key-duplicates.js).
+   * Values are compared by HMAC under a key made for this call only.
+   */
+  async findDuplicateKeys() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const macKey = await importMacKey(crypto.getRandomValues(new Uint8Array(32)));
+    const hash = async (value) => this.encryptionService.arrayBufferToBase64(
+      await crypto.subtle.sign('HMAC', macKey, new TextEncoder().encode(value))
+    );
+
+    return findDuplicates(await this.getAllKeys(), hash);
+  }
+
+  /**
+   * Merge keys into `keepId`: it keeps its value and gains their tags,
+   * domains, notes and usage, and they move to the trash, all in one write.
+   * Returns `{ kept, merged }` (values still encrypted).
+   */
+  async mergeKeys(keepId, ids) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const otherIds = [...new Set(ids)].filter(id => id !== keepId);
+    if (otherIds.length === 0) {
+      throw new Error('Select at least one key to merge');
+    }
+
+    const result = await this.serialize(async () => {
+      const records = await this.getRecords([keepId, ...otherIds]);
+      if (records.length !== otherIds.length + 1) {
+        throw new Error('Key not found');
+      }
+
+      const settings = await this.getSettings();
+      const opened = [];
+      for (const record of records) {
+        opened.push(await this.openRecord(record));
+      }
+
+      const kept = mergeKeyMetadata(opened[0], opened.slice(1));
+      await this.trashKeys(opened.slice(1), {
+        [this.recordItem(keepId)]: await this.sealRecord(kept, settings.encryptMetadata)
+      });
+      return { kept, merged: opened.slice(1) };
+    });
+    await this.updateLastActivity();
+    return result;
+  }
+
+  /**
+   * List trashed keys (metadata only, no values), newest first
+   */
+  async getTrash() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const settings = await this.getSettings();
+    const retention = settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const items = [];
+
+    for (const record of await this.getTrashRecords()) {
+      const { keyValue, fields, history, ...key } = await this.openRecord(record);
+      items.push({
+        ...key,
+        deletedAt: record.deletedAt,
+        purgeAt: retention > 0 ? record.deletedAt + retention : null
+      });
+    }
+
+    await this.updateLastActivity();
+    return items;
+  }
+
+  /**
+   * Move a trashed key back into the vault. Returns the restored key (value
+   * still encrypted).
+   */
+  async restoreFromTrash(id) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const key = await this.serialize(async () => {
+      const item = this.trashItem(id);
+      const { [item]: record } = await this.getStorageItems([item]);
+
+      if (!record) {
+        throw new Error('Key not found in trash');
+      }
+
+      const settings = await this.getSettings();
+      const { deletedAt, ...restored } = await this.openRecord(record);
+      const index = await this.getIndex();
+      index.trash = index.trash.filter(entry => entry.id !== id);
+      index.keys.push(id);
+
+      // One write moves the key; the trash record left behind is only cleanup
+      await this.setStorageItems({
+        vaultIndex: index,
+        [this.recordItem(id)]: await this.sealRecord(restored, settings.encryptMetadata)
+      });
+      await this.removeStorageItems([item]);
+      return restored;
+    });
+    await this.updateLastActivity();
+    return key;
+  }
+
+  /**
+   * Permanently delete one trashed key, or the whole trash when no id is given
+   */
+  async emptyTrash(id = null) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const removed = await this.serialize(() => this.removeFromTrash(entry => !id || entry.id === id));
+    await this.updateLastActivity();
+    return removed;
+  }
+
+  /**
+   * Permanently delete trashed keys older than the retention period, and
+   * records left behind by an interrupted write. Works while locked, since it
+   * only reads each entry's deletion time.
+   */
+  async purgeTrash() {
+    const settings = await this.getSettings();
+
+    return this.serialize(async () => {
+      await this.removeOrphanedRecords();
+
+      if (!(settings.trashRetentionDays > 0)) {
+        return 0;
+      }
+
+      const cutoff = Date.now() - settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+      return this.removeFromTrash(entry => entry.deletedAt < cutoff);
+    });
+  }
+
+  /**
+   * Remove key and trash records the index does not list: the old copies a
+   * move leaves behind when it is interrupted before removing them. Must run
+   * inside the write queue. Returns the number removed.
+   */
+  async removeOrphanedRecords() {
+    const items = await this.getStorageItems(null);
+    const index = items.vaultIndex;
+
+    if (!index) {
+      return 0;
+    }
+
+    const listed = new Set([
+      ...index.keys.map(id => this.recordItem(id)),
+      ...index.trash.map(entry => this.trashItem(entry.id))
+    ]);
+    const orphaned = Object.keys(items)
+      .filter(name => (name.startsWith('key:') || name.startsWith('trash:')) && !listed.has(name));
+
+    if (orphaned.length > 0) {
+      await this.removeStorageItems(orphaned);
+    }
+    return orphaned.length;
+  }
+
+  /**
+   * Permanently delete the trash entries matching a predicate on their index
+   * entry. Must run inside the write queue. Returns the number removed.
+   */
+  async removeFromTrash(predicate) {
+    const index = await this.getIndex();
+    const removed = index.trash.filter(predicate);
+
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    // Dropping them from the index is the deletion; removing the records is cleanup
+    index.trash = index.trash.filter(entry => !predicate(entry));
+    await this.setStorageItems({ vaultIndex: index });
+    await this.removeStorageItems(removed.map(entry => this.trashItem(entry.id)));
+    return removed.length;
+  }
+
+  /**
+   * Record key usage. Returns the key (value still encrypted), or null if it
+   * no longer exists.
+   */
+  async recordKeyUsage(id, domain) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    if (!(await this.getRecord(id))) {
+      return null;
+    }
+
+    const used = await this.updateRecord(id, async (key) => {
+      key.lastUsed = Date.now();
+      key.usageCount = (key.usageCount || 0) + 1;
+      
+      if (domain && !key.domains.includes(domain)) {
+        key.domains.push(domain);
+      }
+      
+      return key;
+    });
+    await this.updateLastActivity();
+    return used;
+  }
+
+  /**
+   * Keys that have expired, expire within the warning period or are due for
+   * rotation (see key-expiry.js), soonest first. Works while locked for keys
+   * whose metadata is not encrypted; sealed keys are skipped until unlock.
+   */
+  async getDueKeys() {
+    const settings = await this.getSettings();
+    const keys = [];
+
+    for (const record of await this.getRecords()) {
+      if (record.sealed && !this.isUnlocked) {
+        continue;
+      }
+      keys.push(await this.openRecord(record));
+    }
+
+    return findDueKeys(keys, settings);
+  }
+
+  /**
+   * Rotation status of every key with a rotation policy, most overdue first
+   * (see key-rotation.js)
+   */
+  async getRotationReport() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const settings = await this.getSettings();
+    const keys = [];
+
+    for (const record of await this.getRecords()) {
+      keys.push(await this.openRecord(record));
+    }
+
+    await this.updateLastActivity();
+    return rotationReport(keys, settings);
+  }
+
+  /**
+   * Expiry notification state by key id: `notifiedAt` and `snoozedUntil`
+   */
+  async getExpiryAlerts() {
+    const { expiryAlerts } = await this.getStorageItems(['expiryAlerts']);
+    return expiryAlerts || {};
+  }
+
+  /**
+   * Replace the expiry notification state with what `change` returns for the
+   * current state
+   */
+  async updateExpiryAlerts(change) {
+    return this.serialize(async () => {
+      const expiryAlerts = change(await this.getExpiryAlerts());
+      await this.setStorageItems({ expiryAlerts });
+      return expiryAlerts;
+    });
+  }
+
+  /**
+   * Get settings
+   */
+  async getSettings() {
+    const { settings } = await this.getStorageItems(['settings']);
+    return settings;
+  }
+
+  /**
+   * Update settings
+   */
+  async updateSettings(newSettings) {
+    await this.serialize(async () => {
+      const { settings: current } = await this.getStorageItems(['settings']);
+      const wasEncrypted = !!(current && current.encryptMetadata);
+      const settings = {
+        ...current,
+        ...newSettings
+      };
+      const items = { settings };
+
+      // Loosening unlock protection while locked would help a password guesser
+      const throttleChanged = Object.keys(THROTTLE_SETTINGS_DEFAULTS)
+        .some(name => name in newSettings && newSettings[name] !== (current || {})[name]);
+      if (throttleChanged && !this.isUnlocked) {
+        throw new Error('Unlock the vault to change unlock protection settings');
+      }
+
+      // Re-store every record when metadata encryption is switched on or off
+      if (!!settings.encryptMetadata !== wasEncrypted) {
+        if (!this.isUnlocked) {
+          throw new Error('Unlock the vault to change metadata encryption');
+        }
+
+        for (const record of await this.getRecords()) {
+          const key = await this.openRecord(record);
+          items[this.recordItem(key.id)] = await this.sealRecord(key, settings.encryptMetadata);
+        }
+      }
+
+      await this.setStorageItems(items);
+    });
+  }
+
+  /**
+   * Built-in and user key templates. Templates hold no secrets and can be
+   * read while locked.
+   */
+  async getTemplates() {
+    const { keyTemplates } = await this.getStorageItems(['keyTemplates']);
+    return listTemplates(keyTemplates);
+  }
+
+  /**
+   * Add a user template, or replace the one with the same id. Built-in
+   * templates cannot be replaced. Returns the stored template.
+   */
+  async saveTemplate(template) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const saved = normalizeTemplate(template);
+    if (BUILT_IN_TEMPLATES.some(t => t.id === saved.id)) {
+      throw new Error(`Template ${saved.id} is built in; choose another name`);
+    }
+
+    await this.serialize(async () => {
+      const { keyTemplates } = await this.getStorageItems(['keyTemplates']);
+      await this.setStorageItems({
+        keyTemplates: [...keyTemplates.filter(t => t.id !== saved.id), saved]
+      });
+    });
+    return saved;
+  }
+
+  /**
+   * Delete a user template. Returns the deleted template.
+   */
+  async deleteTemplate(id) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    return this.serialize(async () => {
+      const { keyTemplates } = await this.getStorageItems(['keyTemplates']);
+      const template = keyTemplates.find(t => t.id === id);
+
+      if (!template) {
+        throw new Error(BUILT_IN_TEMPLATES.some(t => t.id === id)
+          ? `Template ${id} is built in and cannot be deleted`
+          : 'Template not found');
+      }
+
+      await this.setStorageItems({ keyTemplates: keyTemplates.filter(t => t.id !== id) });
+      return template;
+    });
+  }
+
+  /**
+   * Add audit log entry, chained to the previous one. `event` holds the
+   * structured fields (type, source, key, page, outcome); see audit-events.js.
+   * Entries written while locked have no MAC. With encryptMetadata on, the
+   * fields naming keys and pages are sealed under a key derived from the
+   * audit key, which survives password changes, so entries never need
+   * rewriting.
+   */
+  async addAuditLog(action, event) {
+    const settings = await this.getSettings();
+    
+    if (!settings.enableAuditLog) {
+      return;
+    }
+
+    let entry = createAuditEntry(this.generateId(), action, event);
+
+    if (settings.encryptMetadata && this.auditSealKey) {
+      const { plain, metadata } = splitSealedFields(entry);
+      entry = {
+        ...plain,
+        sealed: await this.encryptionService.encryptWithKey(JSON.stringify(metadata), this.auditSealKey)
+      };
+    }
+
+    await this.serialize(async () => {
+      const state = await this.getStorageItems(['auditLog', 'auditAnchor', 'auditHead']);
+      await this.setStorageItems(await appendEntry(state, entry, this.auditKey));
+    });
+  }
+
+  /**
+   * Audit entries matching a filter, newest first (see filterAuditLog for
+   * the filters). Returns { entries, total }, where total counts every match
+   * before offset and limit are applied.
+   */
+  async queryAuditLog(filter = {}) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const auditLog = await this.openAuditLog();
+    const { offset, limit, ...criteria } = filter;
+    const matches = filterAuditLog(auditLog, criteria);
+
+    return {
+      entries: filterAuditLog(matches, { offset, limit }),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Values present in the audit log, for filter menus: event types, sources,
+   * and keys (by their most recent service name, including deleted keys)
+   */
+  async getAuditFilterOptions() {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const auditLog = await this.openAuditLog();
+    const keys = new Map();
+
+    auditLog.forEach(entry => {
+      if (entry.keyId && !keys.has(entry.keyId)) {
+        keys.set(entry.keyId, entry.serviceName || entry.keyId);
+      }
+    });
+
+    return {
+      types: [...new Set(auditLog.map(entry => entry.type).filter(Boolean))].sort(),
+      sources: [...new Set(auditLog.map(entry => entry.source).filter(Boolean))].sort(),
+      keys: [...keys].map(([keyId, serviceName]) => ({ keyId, serviceName }))
+        .sort((a, b) => a.serviceName.localeCompare(b.serviceName))
+    };
+  }
+
+  /**
+   * Verify the audit log chain, and its MACs when the vault is unlocked.
+   * Reports the first broken or truncated point; see verifyChain.
+   */
+  async verifyAuditLog() {
+    const state = await this.getStorageItems(['auditLog', 'auditAnchor', 'auditHead']);
+    return verifyChain(state, this.auditKey);
+  }
+
+  /**
+   * Get audit log
+   */
+  async getAuditLog(limit = 100) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    return (await this.openAuditLog()).slice(0, limit);
+  }
+
+  /**
+   * The audit log with sealed entries opened. They keep `sealed`, so an
+   * export can still be checked against the chain.
+   */
+  async openAuditLog() {
+    const { auditLog = [] } = await this.getStorageItems(['auditLog']);
+
+    return Promise.all(auditLog.map(async entry => {
+      if (typeof entry.sealed !== 'string') {
+        return entry;
+      }
+      if (!this.auditSealKey) {
+        throw new Error('Vault is locked');
+      }
+      return { ...entry, ...JSON.parse(await this.encryptionService.decryptWithKey(entry.sealed, this.auditSealKey)) };
+    }));
+  }
+
+  /**
+   * Export all data (key values decrypted, for sealing into a backup), or
+   * only the keys with the given ids
+   */
+  async exportData(ids = null) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    const keys = await this.getAllKeys();
+    const selected = ids ? keys.filter(key => ids.includes(key.id)) : keys;
+    if (ids && selected.length !== new Set(ids).size) {
+      throw new Error(ids.length === 0 ? 'No keys selected' : 'Key not found');
+    }
+
+    const { settings, keyTemplates } = await this.getStorageItems(['settings', 'keyTemplates']);
+    return {
+      keys: selected,
+      settings,
+      templates: keyTemplates,
+      exportedAt: Date.now()
+    };
+  }
+
+  /**
+   * Import data (key values and fields in plaintext; they are encrypted on the way in)
+   */
+  async importData(importedData) {
+    if (!this.isUnlocked) {
+      throw new Error('Vault is locked');
+    }
+
+    await this.serialize(async () => {
+      const settings = await this.getSettings();
+      const index = await this.getIndex();
+      const { settings: current, keyTemplates } = await this.getStorageItems(['settings', 'keyTemplates']);
+      const items = {};
+
+      // Merge keys (avoid duplicates by service name)
+      const existingServices = new Set();
+      for (const record of await this.getRecords(index.keys)) {
+        existingServices.add((await this.openRecord(record)).serviceName);
+      }
+
+      for (const key of importedData.keys) {
+        if (existingServices.has(key.serviceName)) continue;
+
+        const id = key.id && !index.keys.includes(key.id) ? key.id : this.generateId();
+        index.keys.push(id);
+
+        // History values are encrypted under the source vault's key and are not carried over
+        items[this.recordItem(id)] = await this.sealRecord({
+          ...key,
+          id,
+          folder: normalizeFolder(key.folder),
+          keyValue: await this.encryptionService.encryptWithKey(key.keyValue, this.dataKey),
+          fields: await this.encryptFields(normalizeFields(key.fields)),
+          history: []
+        }, settings.encryptMetadata);
+      }
+
+      // Add user templates not already defined here
+      const templates = [...keyTemplates];
+      for (const template of importedData.templates || []) {
+        const imported = normalizeTemplate(template);
+        if (!listTemplates(templates).some(t => t.id === imported.id)) {
+          templates.push(imported);
+        }
+      }
+
+      // Merge settings, except the ones that protect this vault
+      const importedSettings = { ...importedData.settings };
+      PROTECTED_SETTINGS.forEach(name => delete importedSettings[name]);
+
+      await this.setStorageItems({
+        ...items,
+        keyTemplates: templates,
+        vaultIndex: index,
+        settings: {
+          ...current,
+          ...importedSettings
+        }
+      });
+    });
+  }
+
+  /**
+   * Encrypt the values of a key's secret fields under the data key
+   */
+  async encryptFields(fields, dataKey = this.dataKey) {
+    return mapSecretFields(fields, value => this.encryptionService.encryptWithKey(value, dataKey));
+  }
+
+  /**
+   * Decrypt the values of a key's secret fields. Keys without fields get an empty list.
+   */
+  async decryptFields(fields, dataKey = this.dataKey) {
+    return mapSecretFields(fields, value => this.encryptionService.decryptWithKey(value, dataKey));
+  }
+
+  /**
+   * Decrypt a stored key record whose metadata is sealed.
+   * Records without `sealed` are returned as-is.
+   */
+  async openRecord(record, dataKey = this.dataKey) {
+    if (!record.sealed) {
+      return record;
+    }
+
+    const metadata = await this.encryptionService.decryptWithKey(record.sealed, dataKey);
+    return { id: record.id, ...JSON.parse(metadata) };
+  }
+
+  /**
+   * Prepare a key record for storage. With metadata encryption on, everything
+   * but the id is sealed, so a locked vault reveals only the entry count.
+   */
+  async sealRecord(key, encryptMetadata, dataKey = this.dataKey) {
+    if (!encryptMetadata) {
+      return key;
+    }
+
+    const { id, ...metadata } = key;
+    return {
+      id,
+      sealed: await this.encryptionService.encryptWithKey(JSON.stringify(metadata), dataKey)
+    };
+  }
+
+  /**
+   * Update last activity timestamp
    */
   async updateLastActivity() {
-    const data = await this.getStorageData();
-    data.lastActivity = Date.now();
-    await this.setStorageData(data);
+    await this.setStorageItems({ lastActivity: Date.now() });
   }
 
   /**
    * Get last activity timestamp
    */
   async getLastActivity() {
-    const data = await this.getStorageData();
-    return data.lastActivity || Date.now();
+    const { lastActivity } = await this.getStorageItems(['lastActivity']);
+    return lastActivity || Date.now();
   }
 
   /**
-   * Get data from chrome storage
+   * Run a read-modify-write operation after every earlier one has finished,
+   * so concurrent messages cannot overwrite each other's changes. Operations
+   * must not call serialize() themselves.
    */
-  async getStorageData() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['vaultData'], (result) => {
-        resolve(result.vaultData || {});
-      });
+  serialize(operation) {
+    const run = this.writeQueue.then(operation);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Storage item names for key records and trashed records
+   */
+  recordItem(id) {
+    return `key:${id}`;
+  }
+
+  trashItem(id) {
+    return `trash:${id}`;
+  }
+
+  /**
+   * Get the vault index: key ids in order, and trash ids with deletion times
+   */
+  async getIndex() {
+    const { vaultIndex } = await this.getStorageItems(['vaultIndex']);
+    return vaultIndex;
+  }
+
+  /**
+   * Get one stored key record, or null
+   */
+  async getRecord(id) {
+    const item = this.recordItem(id);
+    const { [item]: record } = await this.getStorageItems([item]);
+    return record || null;
+  }
+
+  /**
+   * Get stored key records in index order (all keys by default)
+   */
+  async getRecords(ids = null) {
+    const keyIds = ids || (await this.getIndex()).keys;
+    const items = await this.getStorageItems(keyIds.map(id => this.recordItem(id)));
+    return keyIds.map(id => items[this.recordItem(id)]).filter(Boolean);
+  }
+
+  /**
+   * Get stored trash records, newest first
+   */
+  async getTrashRecords() {
+    const { trash } = await this.getIndex();
+    const items = await this.getStorageItems(trash.map(entry => this.trashItem(entry.id)));
+    return trash.map(entry => items[this.trashItem(entry.id)]).filter(Boolean);
+  }
+
+  /**
+   * Bring stored data up to SCHEMA_VERSION by running the pending migrations
+   * in order. Everything stored is copied to `schemaBackup` first; the copy
+   * is removed once all migrations have succeeded and kept if one fails.
+   */
+  async migrateStorage() {
+    const { schemaVersion = 0 } = await this.readStorageItems(['schemaVersion']);
+
+    if (schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Stored data uses schema ${schemaVersion}, but this version of KeyVault Pro only supports up to ${SCHEMA_VERSION}. Update the extension.`);
+    }
+
+    if (schemaVersion === SCHEMA_VERSION) {
+      return;
+    }
+
+    await this.backupStorage(schemaVersion);
+    const context = { defaultSettings: this.getDefaultSettings() };
+
+    for (const migration of MIGRATIONS.filter(m => m.version > schemaVersion)) {
+      try {
+        const { schemaBackup, ...items } = await this.readStorageItems(null);
+        const { set = {}, remove = [] } = await migration.migrate(items, context);
+
+        await this.writeStorageItems({ ...set, schemaVersion: migration.version });
+        if (remove.length > 0) {
+          await this.deleteStorageItems(remove);
+        }
+      } catch (error) {
+        throw new Error(`Storage migration ${migration.version} (${migration.description}) failed: ${error.message}. The previous data is kept in the schemaBackup storage item.`);
+      }
+    }
+
+    await this.deleteStorageItems(['schemaBackup']);
+  }
+
+  /**
+   * Copy every stored item into `schemaBackup` before migrating. A backup
+   * left by an earlier failed run is kept, since it holds the older data.
+   */
+  async backupStorage(schemaVersion) {
+    const { schemaBackup, ...items } = await this.readStorageItems(null);
+
+    if (schemaBackup || Object.keys(items).length === 0) {
+      return;
+    }
+
+    await this.writeStorageItems({
+      schemaBackup: { schemaVersion, createdAt: Date.now(), items }
     });
   }
 
   /**
-   * Set data to chrome storage
+   * Get storage items, running pending schema migrations on first use
+   */
+  async getStorageItems(names) {
+    await this.ensureStorage();
+    return this.readStorageItems(names);
+  }
+
+  /**
+   * Write several top-level storage items in one call
+   */
+  async setStorageItems(items) {
+    await this.ensureStorage();
+    return this.writeStorageItems(items);
+  }
+
+  /**
+   * Remove top-level storage items
    */
-  async setStorageData(data) {
+  async removeStorageItems(names) {
+    await this.ensureStorage();
+    return this.deleteStorageItems(names);
+  }
+
+  ensureStorage() {
+    if (!this.storageReady) {
+      this.storageReady = this.migrateStorage().catch((error) => {
+        this.storageReady = null;
+        throw error;
+      });
+    }
+    return this.storageReady;
+  }
+
+  readStorageItems(names) {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(names, resolve);
+    });
+  }
+
+  writeStorageItems(items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set(items, () => {
+        // e.g. QUOTA_BYTES exceeded; callers must not assume the write happened
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  deleteStorageItems(names) {
     return new Promise((resolve) => {
-      chrome.storage.local.set({ vaultData: data }, resolve);
+      chrome.storage.local.remove(names, resolve);
     });
   }
 
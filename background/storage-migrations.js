@@ -0,0 +1,113 @@
+/**
+ * Schema migrations for the extension's chrome.storage.local data.
+ *
+ * The `schemaVersion` item records the last migration applied; storage
+ * without it is schema 0 (including a fresh install). Each migration gets
+ * every stored item and returns (or resolves to) `{ set, remove }`. StorageManager writes `set`
+ * together with the new schemaVersion in one call, then removes `remove`.
+ * Migrations run before the vault is unlocked, so they cannot read sealed
+ * records or secret values.
+ *
+ * To change the stored shape, append a migration; never edit one that has shipped.
+ */
+
+import { chainEntries } from './audit-chain.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Split vaultData into per-key records and an index',
+    migrate(items, { defaultSettings }) {
+      const { vaultData, vaultIndex } = items;
+
+      if (!vaultData) {
+        return {};
+      }
+
+      // An earlier interrupted run already wrote the new items
+      if (vaultIndex) {
+        return { remove: ['vaultData'] };
+      }
+
+      const keys = vaultData.keys || [];
+      const trash = vaultData.trash || [];
+      const set = {
+        vaultIndex: {
+          keys: keys.map(record => record.id),
+          trash: trash.map(record => ({ id: record.id, deletedAt: record.deletedAt }))
+        },
+        settings: vaultData.settings || defaultSettings,
+        auditLog: vaultData.auditLog || [],
+        lastActivity: vaultData.lastActivity || Date.now()
+      };
+
+      keys.forEach(record => {
+        set[`key:${record.id}`] = record;
+      });
+      trash.forEach(record => {
+        set[`trash:${record.id}`] = record;
+      });
+
+      return { set, remove: ['vaultData'] };
+    }
+  },
+  {
+    version: 2,
+    description: 'Create missing index, settings and audit log items; store default settings',
+    migrate(items, { defaultSettings }) {
+      return {
+        set: {
+          vaultIndex: { keys: [], trash: [], ...items.vaultIndex },
+          settings: { ...defaultSettings, ...items.settings },
+          auditLog: items.auditLog || [],
+          lastActivity: items.lastActivity || Date.now()
+        }
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Hash-chain existing audit log entries',
+    async migrate(items) {
+      return { set: await chainEntries(items.auditLog || []) };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the user key templates list',
+    migrate(items) {
+      return { set: { keyTemplates: items.keyTemplates || [] } };
+    }
+  },
+  {
+    version: 5,
+    description: 'Store default rotation grace period and environment rotation policies',
+    migrate(items, { defaultSettings }) {
+      return { set: { settings: { ...defaultSettings, ...items.settings } } };
+    }
+  },
+  {
+    version: 6,
+    description: 'Store default unlock protection settings and the failed unlock attempts item',
+    migrate(items, { defaultSettings }) {
+      return {
+        set: {
+          settings: { ...defaultSettings, ...items.settings },
+          unlockAttempts: items.unlockAttempts || { failures: 0, blockedUntil: 0, lockedOut: false }
+        }
+      };
+    }
+  },
+  {
+    version: 7,
+    description: 'Mark audit log heads written without a MAC for signing on the next unlock',
+    migrate(items) {
+      if (!items.auditHead || items.auditHead.mac !== null) {
+        return {};
+      }
+      return { set: { auditHead: { ...items.auditHead, legacy: true } } };
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
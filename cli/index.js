@@ -9,15 +9,38 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const readline = require('readline');
+const vaultFormat = require('./lib/vault-format');
+const vaultFile = require('./lib/vault-file');
+const vaultMigrations = require('./lib/vault-migrations');
+const { addAuditLog, queryAuditLog, verifyAuditLog, sealLegacyHead } = require('./lib/audit-log');
+const { keyFields } = require('./lib/audit-events');
+const keyHistory = require('./lib/key-history');
+const { normalizeFields, mapSecretFields, findField } = require('./lib/key-fields');
+const keyTemplates = require('./lib/key-templates');
+const keyFolders = require('./lib/key-folders');
+const searchQuery = require('./lib/search-query');
+const keyDuplicates = require('./lib/key-duplicates');
+const keyExpiry = require('./lib/key-expiry');
+const keyRotation = require('./lib/key-rotation');
+const rotationProviders = require('./lib/rotation-providers');
+const rotationEngine = require('./lib/rotation-engine');
+const mockProvider = require('./lib/mock-provider');
+const trash = require('./lib/trash');
+const recoveryKit = require('./lib/recovery-kit');
+const unlockThrottle = require('./lib/unlock-throttle');
 
 const VAULT_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.keyvault', 'vault.json');
 const CONFIG_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.keyvault', 'config.json');
+const PROVIDERS_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.keyvault', 'providers');
+const UNLOCK_STATE_PATH = path.join(process.env.HOME || process.env.USERPROFILE, '.keyvault', 'unlock-attempts.json');
 
 class KeyVaultCLI {
   constructor() {
     this.vault = null;
     this.config = null;
-    this.sessionKey = null;
+    this.sessionKey = null; // Unwrapped vault data key, never the password
+    this.vaultRevision = null; // Revision of vault.json this.vault was read from
+    this.revocations = null; // Results of the revocations run on unlock
   }
 
   async run() {
@@ -34,15 +57,31 @@ class KeyVaultCLI {
       'init': () => this.initVault(),
       'unlock': () => this.unlockVault(),
       'lock': () => this.lockVault(),
+      'change-password': () => this.changePassword(),
+      'recovery': () => this.manageRecoveryKit(args.slice(1)),
+      'recover': () => this.recoverVault(args.slice(1)),
+      'kdf': () => this.configureKdf(args.slice(1)),
+      'config': () => this.configure(args.slice(1)),
       'add': () => this.addKey(args.slice(1)),
+      'templates': () => this.manageTemplates(args.slice(1)),
       'list': () => this.listKeys(args.slice(1)),
-      'get': () => this.getKey(args[1]),
-      'copy': () => this.copyKey(args[1]),
+      'move': () => this.moveKey(args[1], args[2]),
+      'folders': () => this.manageFolders(args.slice(1)),
+      'expiring': () => this.showExpiring(args[1]),
+      'rotate': () => this.rotateKey(args[1], args[2]),
+      'rotation': () => this.manageRotation(args.slice(1)),
+      'get': () => this.getKey(args.slice(1)),
+      'copy': () => this.copyKey(args.slice(1)),
       'delete': () => this.deleteKey(args[1]),
-      'search': () => this.searchKeys(args[1]),
+      'trash': () => this.manageTrash(args.slice(1)),
+      'history': () => this.showHistory(args[1]),
+      'restore': () => this.restoreVersion(args[1], args[2]),
+      'search': () => this.searchKeys(args.slice(1).join(' ')),
+      'dedupe': () => this.dedupe(args.slice(1)),
       'export': () => this.exportVault(args[1]),
       'import': () => this.importVault(args[1]),
       'status': () => this.showStatus(),
+      'audit': () => this.showAuditLog(args.slice(1)),
       'help': () => this.showHelp(),
       '--version': () => this.showVersion(),
       '-v': () => this.showVersion()
@@ -85,17 +124,32 @@ class KeyVaultCLI {
   }
 
   loadVault() {
-    if (fs.existsSync(VAULT_PATH)) {
-      this.vault = JSON.parse(fs.readFileSync(VAULT_PATH, 'utf8'));
+    let loaded = vaultFile.readVault(VAULT_PATH);
+
+    // Legacy vaults are converted on unlock; v2 vaults are brought up to the current schema
+    if (loaded && !vaultFormat.isLegacyVault(loaded.vault) && vaultMigrations.needsMigration(loaded.vault)) {
+      loaded = vaultMigrations.migrateVaultFile(VAULT_PATH);
+    }
+
+    if (loaded) {
+      this.vault = loaded.vault;
+      this.vaultRevision = loaded.revision;
     }
   }
 
   saveVault() {
-    fs.writeFileSync(VAULT_PATH, JSON.stringify(this.vault, null, 2));
+    // Entries are sealed on write when metadata encryption is enabled
+    const vault = this.sessionKey ? vaultFormat.storeEntries(this.vault, this.sessionKey) : this.vault;
+
+    // Atomic, locked write; fails if another process (e.g. the MCP server)
+    // changed the file since it was loaded
+    this.vaultRevision = vaultFile.writeVault(VAULT_PATH, vault, this.vaultRevision);
   }
 
   async initVault() {
-    if (fs.existsSync(VAULT_PATH)) {
+    this.loadVault();
+
+    if (this.vault) {
       console.log('⚠️  Vault already exists at:', VAULT_PATH);
       const overwrite = await this.prompt('Overwrite existing vault? (yes/no): ');
       if (overwrite.toLowerCase() !== 'yes') {
@@ -104,176 +158,1181 @@ class KeyVaultCLI {
       }
     }
 
-    console.log('🔐 Initialize KeyVault');
-    const password = await this.promptPassword('Create master password: ');
-    const confirmPassword = await this.promptPassword('Confirm master password: ');
+    console.log('🔐 Initialize KeyVault');
+    const password = await this.promptPassword('Create master password: ');
+    const confirmPassword = await this.promptPassword('Confirm master password: ');
+
+    if (password !== confirmPassword) {
+      throw new Error('Passwords do not match');
+    }
+
+    if (password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    const { vault, dataKey } = vaultFormat.createVault(password);
+    this.vault = vault;
+    this.sessionKey = dataKey;
+
+    this.saveVault();
+    console.log('✅ Vault initialized successfully');
+    console.log('📁 Location:', VAULT_PATH);
+  }
+
+  async unlockVault(newSettings = null) {
+    this.loadVault();
+    
+    if (!this.vault) {
+      throw new Error('Vault not found. Run "keyvault init" first.');
+    }
+
+    // Don't ask for a password that would be refused anyway
+    unlockThrottle.assertUnlockAllowed(unlockThrottle.readState(UNLOCK_STATE_PATH));
+
+    const password = await this.promptPassword('Master password: ');
+    const attempt = unlockThrottle.beginAttempt(UNLOCK_STATE_PATH, this.vault.settings);
+
+    try {
+      if (vaultFormat.isLegacyVault(this.vault)) {
+        const { vault, dataKey } = vaultFormat.migrateLegacyVault(this.vault, password);
+        this.vault = vault;
+        this.sessionKey = dataKey;
+        this.saveVault();
+        console.log(`🔄 Vault migrated to format v${vaultFormat.FORMAT_VERSION}`);
+      } else {
+        this.sessionKey = vaultFormat.unlockVault(this.vault, password);
+        vaultFormat.openEntries(this.vault, this.sessionKey);
+      }
+    } catch (error) {
+      if (error.message !== 'Invalid password') {
+        unlockThrottle.cancelAttempt(UNLOCK_STATE_PATH, attempt);
+      } else {
+        this.auditFailedUnlock(error, attempt.lockedOut);
+      }
+      throw error;
+    }
+
+    unlockThrottle.clearAttempts(UNLOCK_STATE_PATH);
+
+    // Settings changes are only applied once the password has been verified
+    if (newSettings) {
+      this.vault.settings = { ...this.vault.settings, ...newSettings };
+      const changes = Object.entries(newSettings).map(([name, value]) => `${name} = ${value}`).join(', ');
+      this.audit(`Settings changed: ${changes}`, { type: 'settings.update' });
+    }
+
+    // Re-wrap the data key if the vault's KDF is weaker than configured
+    const upgraded = vaultFormat.upgradeKdf(this.vault, this.sessionKey, password);
+    if (upgraded) {
+      this.vault = upgraded;
+      this.audit(`Key derivation changed to ${vaultFormat.describeKdf(this.vault.kdf)}`, { type: 'vault.upgrade_kdf' });
+      console.log(`🔄 Key derivation upgraded to ${vaultFormat.describeKdf(this.vault.kdf)}`);
+    }
+
+    // Trashed keys past their retention period are purged on unlock
+    const purged = trash.purgeExpired(this.vault);
+    if (purged > 0) {
+      this.audit(`Purged ${purged} expired keys from trash`, { type: 'trash.purge' });
+    }
+
+    // Audit log heads left unsigned by earlier versions are signed once
+    const sealed = sealLegacyHead(this.vault, this.sessionKey);
+
+    // Old values past their grace period are revoked with their providers
+    try {
+      this.revocations = await this.revokeDueValues();
+    } catch (error) {
+      console.log(`⚠️  Old values due for revocation were not revoked: ${error.message}`);
+    }
+
+    if (upgraded || newSettings || purged > 0 || sealed || (this.revocations && this.revocations.length > 0)) {
+      this.saveVault();
+    }
+
+    this.config.lastAccess = new Date().toISOString();
+    this.saveConfig();
+
+    console.log('✅ Vault unlocked');
+    console.log(`📊 ${this.vault.keys.length} keys in vault`);
+  }
+
+  lockVault() {
+    this.sessionKey = null;
+    console.log('🔒 Vault locked');
+  }
+
+  async changePassword() {
+    this.loadVault();
+
+    if (!this.vault) {
+      throw new Error('Vault not found. Run "keyvault init" first.');
+    }
+
+    console.log('🔑 Change master password');
+    await this.unlockVault();
+
+    const password = await this.promptPassword('New master password: ');
+    const confirmPassword = await this.promptPassword('Confirm new master password: ');
+
+    if (password !== confirmPassword) {
+      throw new Error('Passwords do not match');
+    }
+
+    if (password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    // Re-encrypts every key under a new data key; the vault file is only
+    // written once all keys succeeded, so a failure leaves it unchanged
+    const { vault, dataKey } = vaultFormat.rekeyVault(this.vault, this.sessionKey, password);
+    addAuditLog(vault, 'Master password changed', dataKey, { type: 'vault.change_password', source: 'cli' });
+
+    this.vault = vault;
+    this.sessionKey = dataKey;
+    this.saveVault();
+
+    console.log('✅ Master password changed');
+    console.log(`🔐 ${this.vault.keys.length} keys re-encrypted`);
+  }
+
+  async manageRecoveryKit(args) {
+    const [action = 'status', ...rest] = args;
+
+    if (action === 'status') {
+      this.loadVault();
+
+      if (!this.vault) {
+        throw new Error('Vault not found. Run "keyvault init" first.');
+      }
+
+      const kit = this.vault.recovery;
+      if (!kit) {
+        console.log('🧩 No recovery kit. Create one with: keyvault recovery create <threshold> <shares> [dir]');
+        return;
+      }
+
+      console.log(`🧩 Recovery kit ${kit.kitId}: any ${kit.threshold} of ${kit.shares} shares`);
+      console.log('Created:', new Date(kit.created).toLocaleString());
+      return;
+    }
+
+    if (action === 'create') {
+      const threshold = parseInt(rest[0], 10);
+      const count = parseInt(rest[1], 10);
+      const outputDir = rest[2];
+
+      if (!(threshold >= 2 && threshold <= count && count <= 255)) {
+        throw new Error('Usage: keyvault recovery create <threshold> <shares> [dir] (2 <= threshold <= shares <= 255)');
+      }
+
+      await this.requireUnlocked();
+
+      if (this.vault.recovery) {
+        const confirm = await this.prompt('Replace the existing recovery kit? Its shares will stop working. (yes/no): ');
+        if (confirm.toLowerCase() !== 'yes') {
+          console.log('Cancelled.');
+          return;
+        }
+      }
+
+      const { recovery, shares } = recoveryKit.createKit(this.sessionKey, threshold, count);
+      this.vault.recovery = recovery;
+      this.audit(`Recovery kit created (${threshold} of ${count} shares)`, { type: 'recovery_kit.create' });
+
+      // Shares are only shown once the kit is saved
+      this.saveVault();
+
+      console.log(`✅ Recovery kit ${recovery.kitId} created: any ${threshold} of ${count} shares reset the master password\n`);
+
+      if (outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        shares.forEach((share, i) => {
+          const file = path.join(outputDir, `keyvault-recovery-${recovery.kitId}-share-${i + 1}-of-${count}.txt`);
+          fs.writeFileSync(file, recoveryKit.shareFileText(recovery, share, i + 1), { mode: 0o600 });
+          console.log('📁', file);
+        });
+      } else {
+        shares.forEach((share, i) => console.log(`Share ${i + 1}: ${share}`));
+      }
+
+      console.log('\n⚠️  Give each share to a different person or place. Shares are not stored in the vault and cannot be shown again.');
+      return;
+    }
+
+    if (action === 'remove') {
+      await this.requireUnlocked();
+
+      if (!this.vault.recovery) {
+        console.log('🧩 No recovery kit');
+        return;
+      }
+
+      const confirm = await this.prompt('Remove the recovery kit? A forgotten master password can then not be reset. (yes/no): ');
+      if (confirm.toLowerCase() !== 'yes') {
+        console.log('Cancelled.');
+        return;
+      }
+
+      delete this.vault.recovery;
+      this.audit('Recovery kit removed', { type: 'recovery_kit.remove' });
+      this.saveVault();
+      console.log('✅ Recovery kit removed');
+      return;
+    }
+
+    throw new Error('Usage: keyvault recovery [status | create <threshold> <shares> [dir] | remove]');
+  }
+
+  async recoverVault(files) {
+    this.loadVault();
+
+    if (!this.vault) {
+      throw new Error('Vault not found. Run "keyvault init" first.');
+    }
+
+    if (vaultFormat.isLegacyVault(this.vault) || !this.vault.recovery) {
+      throw new Error('This vault has no recovery kit');
+    }
+
+    const { kitId, threshold } = this.vault.recovery;
+    console.log(`🧩 Recover vault with recovery kit ${kitId} (${threshold} shares needed)`);
+
+    const texts = files.flatMap(file => {
+      const found = recoveryKit.findShares(fs.readFileSync(file, 'utf8'));
+      if (found.length === 0) {
+        throw new Error(`No recovery share found in ${file}`);
+      }
+      return found;
+    });
+
+    let shares = recoveryKit.readShares(this.vault, texts);
+
+    // Shares not given as files are typed or pasted one at a time
+    while (shares.length < threshold) {
+      const text = await this.prompt(`Share ${shares.length + 1} of ${threshold}: `);
+      try {
+        const more = recoveryKit.readShares(this.vault, [...texts, text]);
+        if (more.length === shares.length) {
+          console.log('⚠️  That share was already given');
+        } else {
+          texts.push(text);
+          shares = more;
+        }
+      } catch (error) {
+        console.log(`⚠️  ${error.message}`);
+      }
+    }
+
+    const dataKey = recoveryKit.recoverDataKey(this.vault, texts);
+
+    const password = await this.promptPassword('New master password: ');
+    const confirmPassword = await this.promptPassword('Confirm new master password: ');
+
+    if (password !== confirmPassword) {
+      throw new Error('Passwords do not match');
+    }
+
+    if (password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    // Same data key, wrapped under the new password; the kit stays valid
+    this.vault = vaultFormat.resetPassword(this.vault, dataKey, password);
+    this.sessionKey = dataKey;
+    vaultFormat.openEntries(this.vault, dataKey);
+    this.audit(`Master password reset with recovery kit ${kitId}`, { type: 'vault.recover' });
+    this.saveVault();
+    unlockThrottle.clearAttempts(UNLOCK_STATE_PATH);
+
+    console.log('✅ Master password reset');
+    console.log('⚠️  The shares used have been brought together. Consider creating a new kit: keyvault recovery create <threshold> <shares>');
+  }
+
+  async configureKdf(args) {
+    this.loadVault();
+
+    if (!this.vault) {
+      throw new Error('Vault not found. Run "keyvault init" first.');
+    }
+
+    const [algorithm, cost] = args;
+
+    if (!algorithm) {
+      const current = vaultFormat.isLegacyVault(this.vault)
+        ? 'legacy SHA-256 (upgraded on next unlock)'
+        : vaultFormat.describeKdf(this.vault.kdf);
+      const preferences = { ...vaultFormat.KDF_SETTINGS_DEFAULTS, ...this.vault.settings };
+      console.log('\n🔐 Key Derivation:\n');
+      console.log('Current:', current);
+      console.log('Configured:', preferences.kdfAlgorithm === 'scrypt'
+        ? `scrypt (N=2^${preferences.scryptCost})`
+        : `pbkdf2-sha256 (${preferences.pbkdf2Iterations} iterations)`);
+      console.log('');
+      return;
+    }
+
+    const settings = {};
+    if (algorithm === 'scrypt') {
+      settings.kdfAlgorithm = 'scrypt';
+      if (cost) {
+        settings.scryptCost = parseInt(cost, 10);
+        if (!(settings.scryptCost >= 14 && settings.scryptCost <= 20)) {
+          throw new Error('scrypt cost must be between 14 and 20 (N = 2^cost)');
+        }
+      }
+    } else if (algorithm === 'pbkdf2' || algorithm === 'pbkdf2-sha256') {
+      settings.kdfAlgorithm = 'pbkdf2-sha256';
+      if (cost) {
+        settings.pbkdf2Iterations = parseInt(cost, 10);
+        if (!(settings.pbkdf2Iterations >= 100000)) {
+          throw new Error('PBKDF2 needs at least 100000 iterations');
+        }
+      }
+    } else {
+      throw new Error(`Unsupported KDF: ${algorithm} (use scrypt or pbkdf2)`);
+    }
+
+    await this.unlockVault(settings);
+  }
+
+  async configure(args) {
+    this.loadVault();
+
+    if (!this.vault) {
+      throw new Error('Vault not found. Run "keyvault init" first.');
+    }
+
+    const [name, value] = args;
+    const booleanSettings = ['encryptMetadata'];
+    const numericDefaults = {
+      ...keyHistory.HISTORY_SETTINGS_DEFAULTS,
+      ...trash.TRASH_SETTINGS_DEFAULTS,
+      ...keyExpiry.EXPIRY_SETTINGS_DEFAULTS,
+      rotationGraceDays: keyRotation.ROTATION_SETTINGS_DEFAULTS.rotationGraceDays,
+      ...unlockThrottle.THROTTLE_SETTINGS_DEFAULTS
+    };
+    const numericSettings = Object.keys(numericDefaults);
+
+    if (!name) {
+      const settings = { ...numericDefaults, ...this.vault.settings };
+      console.log('\n⚙️  Settings:\n');
+      booleanSettings.forEach(setting => {
+        console.log(`${setting}: ${!!settings[setting]}`);
+      });
+      numericSettings.forEach(setting => {
+        console.log(`${setting}: ${settings[setting]}`);
+      });
+      console.log('');
+      return;
+    }
+
+    let parsed;
+    if (booleanSettings.includes(name)) {
+      if (value !== 'true' && value !== 'false') {
+        throw new Error(`${name} must be true or false`);
+      }
+      parsed = value === 'true';
+    } else if (numericSettings.includes(name)) {
+      parsed = parseInt(value, 10);
+      if (!(parsed >= 0)) {
+        throw new Error(`${name} must be a number (0 for no limit)`);
+      }
+    } else {
+      throw new Error(`Unknown setting: ${name} (available: ${[...booleanSettings, ...numericSettings].join(', ')})`);
+    }
+
+    // Applied on unlock; saving re-stores every entry with the new setting
+    await this.unlockVault({ [name]: parsed });
+    console.log(`✅ ${name} set to ${parsed}`);
+  }
+
+  async addKey(args) {
+    await this.requireUnlocked();
+
+    const [templateName] = this.takeOption(args, '--template');
+    const template = templateName ? this.findTemplate(templateName) : null;
+    const [folder = ''] = this.takeOption(args, '--folder');
+    const fieldSpecs = [
+      ...this.takeOption(args, '--field').map(spec => ({ spec, secret: true })),
+      ...this.takeOption(args, '--plain-field').map(spec => ({ spec, secret: false }))
+    ];
+
+    console.log(template ? `➕ Add new ${template.serviceName} key` : '➕ Add new API key');
+    
+    const serviceName = args[0] || (template ? template.serviceName : await this.prompt('Service name: '));
+    const keyValue = args[1] || await this.promptPassword(template && template.placeholder ? `API key (${template.placeholder}): ` : 'API key: ');
+
+    if (template) {
+      const formatCheck = keyTemplates.checkKeyFormat(template, keyValue);
+      if (formatCheck.isValid === false) {
+        console.log(`⚠️  ${formatCheck.message}`);
+      }
+    }
+
+    const environment = args[2] || await this.prompt('Environment (production/development/staging/testing): ') || 'production';
+    const tags = args[3] || (template ? template.tags.join(',') : await this.prompt('Tags (comma-separated): '));
+
+    // name=value, or just a name to be prompted for the value
+    const fields = [];
+    for (const { spec, secret } of fieldSpecs) {
+      const separator = spec.indexOf('=');
+      const name = separator === -1 ? spec : spec.slice(0, separator);
+      const value = separator === -1
+        ? await (secret ? this.promptPassword(`${name}: `) : this.prompt(`${name}: `))
+        : spec.slice(separator + 1);
+      fields.push({ name, value, secret });
+    }
+
+    // The template's other fields are asked for; a blank answer leaves one out
+    for (const field of template ? template.fields : []) {
+      if (fields.some(f => f.name.trim().toLowerCase() === field.name.toLowerCase())) {
+        continue;
+      }
+      const question = `${field.name} (blank to skip): `;
+      const value = await (field.secret ? this.promptPassword(question) : this.prompt(question));
+      if (value) {
+        fields.push({ name: field.name, value, secret: field.secret });
+      }
+    }
+
+    const key = {
+      id: this.generateId(),
+      serviceName,
+      keyValue: this.encrypt(keyValue),
+      fields: this.encryptFields(normalizeFields(fields)),
+      environment,
+      folder: keyFolders.normalizeFolder(folder),
+      tags: tags ? tags.split(',').map(t => t.trim()) : [],
+      domains: template ? template.domains : [],
+      rateLimit: template ? template.rateLimit : '',
+      envVar: template ? template.envVar : '',
+      rotationDays: template ? template.rotationDays : null,
+      rotationGraceDays: null,
+      rotatedAt: null,
+      template: template ? template.id : null,
+      createdAt: new Date().toISOString(),
+      lastUsed: null,
+      usageCount: 0,
+      version: 1,
+      history: []
+    };
+
+    this.vault.keys.push(key);
+    this.audit(`Key added: ${serviceName}`, { type: 'key.add', ...keyFields(key) });
+    this.saveVault();
+
+    console.log('✅ Key added successfully');
+    console.log(`🔑 ${serviceName} (${environment})${key.folder ? ` in ${key.folder}` : ''}`);
+    if (key.fields.length > 0) {
+      console.log(`   Fields: ${key.fields.map(field => field.name).join(', ')}`);
+    }
+  }
+
+  async manageTemplates(args) {
+    await this.requireUnlocked();
+
+    const [action, ...rest] = args;
+
+    if (action === 'save') {
+      const [keyId, name] = rest;
+      const key = keyId && this.findKey(keyId);
+      if (!key) {
+        throw new Error(keyId ? `Key not found: ${keyId}` : 'Usage: keyvault templates save <id> [name]');
+      }
+
+      const template = keyTemplates.templateFromKey(key, name || key.serviceName);
+      if (keyTemplates.BUILT_IN_TEMPLATES.some(t => t.id === template.id)) {
+        throw new Error(`Template ${template.id} is built in; give the new one another name`);
+      }
+
+      const replaced = this.vault.templates.some(t => t.id === template.id);
+      this.vault.templates = [...this.vault.templates.filter(t => t.id !== template.id), template];
+      this.audit(`Key template saved: ${template.id}`, { type: 'template.save' });
+      this.saveVault();
+      console.log(`✅ Template ${template.id} ${replaced ? 'replaced' : 'saved'}`);
+      console.log(`   Use it with: keyvault add --template ${template.id}`);
+      return;
+    }
+
+    if (action === 'delete') {
+      const template = rest[0] && this.vault.templates.find(t => t.id === keyTemplates.templateId(rest[0]));
+      if (!template) {
+        throw new Error(rest[0] ? `User template not found: ${rest[0]}` : 'Usage: keyvault templates delete <template>');
+      }
+
+      this.vault.templates = this.vault.templates.filter(t => t.id !== template.id);
+      this.audit(`Key template deleted: ${template.id}`, { type: 'template.delete' });
+      this.saveVault();
+      console.log(`✅ Template ${template.id} deleted`);
+      return;
+    }
+
+    if (action) {
+      throw new Error(`Unknown templates action: ${action} (use save or delete)`);
+    }
+
+    const templates = keyTemplates.listTemplates(this.vault.templates);
+
+    console.log(`\n📋 Key templates (${templates.length}):\n`);
+    console.log('Template'.padEnd(15), 'Service'.padEnd(20), 'Env Variable'.padEnd(22), 'Rotation'.padEnd(10), 'Fields');
+    console.log('─'.repeat(90));
+
+    templates.forEach(template => {
+      console.log(
+        `${template.id}${template.builtIn ? '' : '*'}`.padEnd(15),
+        template.serviceName.padEnd(20),
+        (template.envVar || '-').padEnd(22),
+        (template.rotationDays ? `${template.rotationDays}d` : '-').padEnd(10),
+        template.fields.map(field => `${field.name}${field.secret ? '' : ' (plain)'}`).join(', ') || '-'
+      );
+    });
+
+    console.log('\n* your templates. Add a key with: keyvault add --template <template>');
+    console.log('');
+  }
+
+  async listKeys(args) {
+    await this.requireUnlocked();
+
+    // A folder (with its subfolders) if one has that path, otherwise an environment
+    const filter = args[0];
+    let keys = this.vault.keys;
+
+    if (filter && keyFolders.listFolders(keys).includes(keyFolders.normalizeFolder(filter))) {
+      keys = keys.filter(k => keyFolders.inFolder(k, filter));
+    } else if (filter) {
+      keys = keys.filter(k => k.environment === filter);
+    }
+
+    if (keys.length === 0) {
+      console.log('📭 No keys found');
+      return;
+    }
+
+    console.log(`\n🔑 API Keys (${keys.length}):\n`);
+    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment'.padEnd(15), 'Folder'.padEnd(20), 'Tags');
+    console.log('─'.repeat(100));
+
+    keys.forEach(key => {
+      const id = key.id.substring(0, 12);
+      const tags = key.tags.join(', ') || '-';
+      console.log(
+        id.padEnd(15),
+        key.serviceName.padEnd(25),
+        key.environment.padEnd(15),
+        (key.folder || '-').padEnd(20),
+        tags
+      );
+    });
+
+    console.log('');
+  }
+
+  async moveKey(keyId, folder) {
+    await this.requireUnlocked();
+
+    const key = keyId && this.findKey(keyId);
+    if (!key || folder === undefined) {
+      throw new Error(keyId && !key ? `Key not found: ${keyId}` : 'Usage: keyvault move <id> <folder> ("/" for the top level)');
+    }
+
+    const path = keyFolders.normalizeFolder(folder);
+    this.vault.keys = this.vault.keys.map(k => (k.id === key.id ? { ...k, folder: path } : k));
+    this.audit(`Key moved to ${path || 'top level'}: ${key.serviceName}`, { type: 'key.move', ...keyFields(key) });
+    this.saveVault();
+
+    console.log(`✅ ${key.serviceName} moved to ${path || 'the top level'}`);
+  }
+
+  async manageFolders(args) {
+    await this.requireUnlocked();
+
+    const [action, folder, target] = args;
+
+    if (action === 'rename' || action === 'delete') {
+      if (!folder || (action === 'rename' && target === undefined)) {
+        throw new Error('Usage: keyvault folders rename <folder> <new path> | delete <folder>');
+      }
+      if (!keyFolders.listFolders(this.vault.keys).includes(keyFolders.normalizeFolder(folder))) {
+        throw new Error(`Folder not found: ${folder}`);
+      }
+
+      // Deleting moves the folder's keys and subfolders up one level
+      const to = action === 'rename' ? target : keyFolders.parentFolder(folder);
+      let moved = 0;
+      this.vault.keys = this.vault.keys.map(key => {
+        const path = keyFolders.renameFolderPath(key.folder, folder, to);
+        if (path === (key.folder || '')) {
+          return key;
+        }
+        moved++;
+        return { ...key, folder: path };
+      });
+
+      this.audit(action === 'rename'
+        ? `Folder renamed: ${folder} to ${keyFolders.normalizeFolder(to) || 'top level'} (${moved} keys)`
+        : `Folder deleted: ${folder} (${moved} keys moved up)`, { type: `folder.${action}` });
+      this.saveVault();
+
+      console.log(action === 'rename'
+        ? `✅ Renamed ${folder} (${moved} keys moved)`
+        : `✅ Deleted ${folder}; ${moved} keys moved up one level`);
+      return;
+    }
+
+    if (action) {
+      throw new Error(`Unknown folders action: ${action} (use rename or delete)`);
+    }
+
+    const tree = keyFolders.folderTree(this.vault.keys);
+    if (tree.length === 0) {
+      console.log('📭 No folders. Move a key into one with: keyvault move <id> <folder>');
+      return;
+    }
+
+    console.log('\n📁 Folders:\n');
+    const print = (node, depth) => {
+      console.log(`${'  '.repeat(depth)}${node.name}/  (${node.count})`);
+      node.children.forEach(child => print(child, depth + 1));
+    };
+    tree.forEach(node => print(node, 0));
+    console.log(`\n${this.vault.keys.filter(key => !key.folder).length} keys at the top level`);
+    console.log('');
+  }
+
+  async showExpiring(daysArg) {
+    await this.requireUnlocked();
+
+    const settings = { ...keyExpiry.EXPIRY_SETTINGS_DEFAULTS, ...this.vault.settings };
+    const warningDays = daysArg === undefined ? settings.expirationWarningDays : parseInt(daysArg, 10);
+    if (!(warningDays >= 0)) {
+      throw new Error('Days must be a number');
+    }
+
+    const due = keyExpiry.findDueKeys(this.vault.keys, { ...this.vault.settings, expirationWarningDays: warningDays });
+    if (due.length === 0) {
+      console.log(`✅ No keys expire or are due for rotation in the next ${warningDays} days`);
+      return;
+    }
+
+    console.log(`\n⏰ Expiring or due for rotation (${due.length}):\n`);
+    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment'.padEnd(15), 'Status');
+    console.log('─'.repeat(80));
+
+    due.forEach(notice => {
+      console.log(
+        notice.id.substring(0, 12).padEnd(15),
+        notice.serviceName.padEnd(25),
+        notice.environment.padEnd(15),
+        `${notice.overdue ? '⚠️ ' : ''}${keyExpiry.describeNotice(notice)}`
+      );
+    });
+
+    console.log('');
+  }
+
+  async getKey(args) {
+    await this.requireUnlocked();
+
+    const [fieldName] = this.takeOption(args, '--field');
+    const keyId = args[0];
+
+    const key = this.findKey(keyId);
+    if (!key) {
+      throw new Error(`Key not found: ${keyId}`);
+    }
+
+    // With --field print only that value, so it can be used in scripts
+    if (fieldName) {
+      const field = findField(key, fieldName);
+      this.audit(`Key field ${field.name} retrieved: ${key.serviceName}`, {
+        type: 'key.retrieve',
+        ...keyFields(key),
+        field: field.name
+      });
+      this.saveVault();
+      console.log(this.fieldValue(field));
+      return;
+    }
+
+    const decrypted = this.decrypt(key.keyValue);
+    this.audit(`Key retrieved: ${key.serviceName}`, { type: 'key.retrieve', ...keyFields(key) });
+    this.saveVault();
+
+    console.log('\n🔑 Key Details:\n');
+    console.log('Service:', key.serviceName);
+    console.log('Environment:', key.environment);
+    console.log('Folder:', key.folder || 'None');
+    console.log('Tags:', key.tags.join(', ') || 'None');
+    console.log('Created:', new Date(key.createdAt).toLocaleString());
+    console.log('Last Used:', key.lastUsed ? new Date(key.lastUsed).toLocaleString() : 'Never');
+    console.log('Usage Count:', key.usageCount);
+    console.log('\nAPI Key:', decrypted);
+    (key.fields || []).forEach(field => {
+      console.log(`${field.name}:`, this.fieldValue(field));
+    });
+    console.log('');
+  }
+
+  async copyKey(args) {
+    await this.requireUnlocked();
+
+    const [fieldName] = this.takeOption(args, '--field');
+    const keyId = args[0];
+
+    const key = this.findKey(keyId);
+    if (!key) {
+      throw new Error(`Key not found: ${keyId}`);
+    }
+
+    const field = fieldName ? findField(key, fieldName) : null;
+    const decrypted = field ? this.fieldValue(field) : this.decrypt(key.keyValue);
+    const what = field ? `Key field ${field.name}` : 'Key';
+    const event = { ...keyFields(key), field: field && field.name };
+
+    // Try to copy to clipboard (platform-specific)
+    try {
+      const { execSync } = require('child_process');
+      
+      if (process.platform === 'darwin') {
+        execSync('pbcopy', { input: decrypted });
+      } else if (process.platform === 'linux') {
+        execSync('xclip -selection clipboard', { input: decrypted });
+      } else if (process.platform === 'win32') {
+        execSync('clip', { input: decrypted });
+      }
+
+      // Update usage stats
+      key.lastUsed = new Date().toISOString();
+      key.usageCount++;
+      this.audit(`${what} copied: ${key.serviceName}`, { type: 'key.copy', ...event });
+      this.saveVault();
+
+      console.log(`✅ ${what} copied to clipboard`);
+      console.log(`🔑 ${key.serviceName}`);
+    } catch (error) {
+      this.audit(`${what} retrieved: ${key.serviceName}`, { type: 'key.retrieve', ...event });
+      this.saveVault();
+      console.log('⚠️  Could not copy to clipboard automatically');
+      console.log(field ? `${field.name}:` : 'Key:', decrypted);
+    }
+  }
+
+  async deleteKey(keyId) {
+    await this.requireUnlocked();
+
+    const key = this.findKey(keyId);
+    if (!key) {
+      throw new Error(`Key not found: ${keyId}`);
+    }
+
+    console.log(`⚠️  Delete key: ${key.serviceName}`);
+    const confirm = await this.prompt('Are you sure? (yes/no): ');
+
+    if (confirm.toLowerCase() !== 'yes') {
+      console.log('Cancelled.');
+      return;
+    }
+
+    trash.moveToTrash(this.vault, this.sessionKey, key.id);
+    this.audit(`Key moved to trash: ${key.serviceName}`, { type: 'key.delete', ...keyFields(key) });
+    this.saveVault();
+
+    console.log('✅ Key moved to trash');
+    console.log(`↩️  Restore with: keyvault trash restore ${key.id.substring(0, 12)}`);
+  }
+
+  async manageTrash(args) {
+    await this.requireUnlocked();
+
+    const [action = 'list', keyId] = args;
+
+    if (action === 'list') {
+      const items = trash.listTrash(this.vault, this.sessionKey);
+
+      if (items.length === 0) {
+        console.log('🗑️  Trash is empty');
+        return;
+      }
+
+      console.log(`\n🗑️  Trash (${items.length}):\n`);
+      console.log('ID              Service                   Deleted                 Purged');
+      console.log('─'.repeat(90));
+
+      items.forEach(item => {
+        const id = item.id.substring(0, 12);
+        const service = item.serviceName.padEnd(25).substring(0, 25);
+        const deleted = new Date(item.deletedAt).toLocaleString().padEnd(23);
+        const purge = item.purgeAt ? new Date(item.purgeAt).toLocaleDateString() : 'Never';
+        console.log(`${id}    ${service} ${deleted} ${purge}`);
+      });
+
+      console.log('');
+      return;
+    }
+
+    if (action === 'empty') {
+      const confirm = await this.prompt('Permanently delete every key in the trash? (yes/no): ');
+      if (confirm.toLowerCase() !== 'yes') {
+        console.log('Cancelled.');
+        return;
+      }
+
+      const count = trash.emptyTrash(this.vault);
+      this.audit(`Trash emptied (${count} keys)`, { type: 'trash.empty' });
+      this.saveVault();
+      console.log(`✅ ${count} keys permanently deleted`);
+      return;
+    }
+
+    if (action !== 'restore' && action !== 'delete') {
+      throw new Error('Usage: keyvault trash [list | restore <id> | delete <id> | empty]');
+    }
+
+    const item = keyId && trash.findInTrash(this.vault, this.sessionKey, keyId);
+    if (!item) {
+      throw new Error(`Key not found in trash: ${keyId}`);
+    }
+
+    if (action === 'restore') {
+      trash.restoreFromTrash(this.vault, this.sessionKey, item.id);
+      this.audit(`Key restored from trash: ${item.serviceName}`, { type: 'key.restore', ...keyFields(item) });
+      this.saveVault();
+      console.log(`✅ ${item.serviceName} restored`);
+      return;
+    }
+
+    const confirm = await this.prompt(`Permanently delete ${item.serviceName}? (yes/no): `);
+    if (confirm.toLowerCase() !== 'yes') {
+      console.log('Cancelled.');
+      return;
+    }
+
+    trash.emptyTrash(this.vault, item.id);
+    this.audit(`Key permanently deleted from trash: ${item.serviceName}`, { type: 'trash.delete', ...keyFields(item) });
+    this.saveVault();
+    console.log('✅ Key permanently deleted');
+  }
+
+  async showHistory(keyId) {
+    await this.requireUnlocked();
+
+    const key = this.findKey(keyId);
+    if (!key) {
+      throw new Error(`Key not found: ${keyId}`);
+    }
+
+    const history = key.history || [];
 
-    if (password !== confirmPassword) {
-      throw new Error('Passwords do not match');
-    }
+    console.log(`\n🕘 History for ${key.serviceName} (current: v${key.version || 1}):\n`);
 
-    if (password.length < 8) {
-      throw new Error('Password must be at least 8 characters');
+    if (history.length === 0) {
+      console.log('No earlier versions');
+      console.log('');
+      return;
     }
 
-    const passwordHash = this.hashPassword(password);
-
-    this.vault = {
-      version: '1.0.0',
-      created: new Date().toISOString(),
-      passwordHash,
-      keys: []
-    };
+    history.forEach(version => {
+      const valid = version.revokedAt
+        ? `  (revoked ${new Date(version.revokedAt).toLocaleString()})`
+        : version.validUntil > Date.now() ? `  (valid until ${new Date(version.validUntil).toLocaleString()})` : '';
+      console.log(`v${version.version}  replaced ${new Date(version.replacedAt).toLocaleString()}  ${version.reason || ''}${valid}`);
+      console.log(`    ${this.decrypt(version.keyValue)}`);
+      (version.fields || []).forEach(field => {
+        console.log(`    ${field.name}: ${this.fieldValue(field)}`);
+      });
+    });
 
-    this.saveVault();
-    console.log('✅ Vault initialized successfully');
-    console.log('📁 Location:', VAULT_PATH);
+    console.log('\nRestore with: keyvault restore <id> <version>');
+    console.log('');
   }
 
-  async unlockVault() {
-    this.loadVault();
-    
-    if (!this.vault) {
-      throw new Error('Vault not found. Run "keyvault init" first.');
+  async rotateKey(keyId, newValue) {
+    await this.requireUnlocked();
+
+    const key = keyId && this.findKey(keyId);
+    if (!key) {
+      throw new Error(keyId ? `Key not found: ${keyId}` : 'Usage: keyvault rotate <id> [new key]');
     }
 
-    const password = await this.promptPassword('Master password: ');
-    
-    if (!this.verifyPassword(password, this.vault.passwordHash)) {
-      throw new Error('Invalid password');
+    // Keys with a provider get a freshly minted value unless one is given
+    if (!newValue && key.rotationProvider) {
+      await this.rotateWithProvider(key);
+      return;
     }
 
-    this.sessionKey = password;
-    this.config.lastAccess = new Date().toISOString();
-    this.saveConfig();
+    const keyValue = newValue || await this.promptPassword(`New key for ${key.serviceName}: `);
+    if (!keyValue) {
+      throw new Error('New key value is required');
+    }
+    if (keyValue === this.decrypt(key.keyValue)) {
+      throw new Error('The new value is the same as the current one');
+    }
 
-    console.log('✅ Vault unlocked');
-    console.log(`📊 ${this.vault.keys.length} keys in vault`);
-  }
+    const rotated = keyRotation.rotateEntry(key, this.encrypt(keyValue), this.vault.settings);
+    const graceUntil = new Date(rotated.history[0].validUntil);
+    this.vault.keys = this.vault.keys.map(k => (k.id === key.id ? rotated : k));
+    this.audit(`Key rotated: ${key.serviceName} (old value valid until ${graceUntil.toISOString()})`, {
+      type: 'key.rotate',
+      ...keyFields(key)
+    });
+    this.saveVault();
 
-  lockVault() {
-    this.sessionKey = null;
-    console.log('🔒 Vault locked');
+    console.log(`✅ ${key.serviceName} rotated (now v${rotated.version})`);
+    console.log(`   The old value (v${rotated.history[0].version}) stays valid until ${graceUntil.toLocaleString()}`);
   }
 
-  async addKey(args) {
-    await this.requireUnlocked();
+  async rotateWithProvider(key) {
+    const { id: providerId } = key.rotationProvider;
+    console.log(`🔄 Rotating ${key.serviceName} with ${providerId}...`);
 
-    console.log('➕ Add new API key');
-    
-    const serviceName = args[0] || await this.prompt('Service name: ');
-    const keyValue = args[1] || await this.promptPassword('API key: ');
-    const environment = args[2] || await this.prompt('Environment (production/development/staging/testing): ') || 'production';
-    const tags = args[3] || await this.prompt('Tags (comma-separated): ');
+    try {
+      const rotated = await rotationEngine.rotateWithProvider({
+        entry: key,
+        dataKey: this.sessionKey,
+        settings: this.vault.settings,
+        providers: rotationProviders.loadProviders(PROVIDERS_DIR),
+        commit: (entry) => {
+          this.vault.keys = this.vault.keys.map(k => (k.id === key.id ? entry : k));
+          this.audit(`Key rotated with ${providerId}: ${key.serviceName} (old value valid until ${new Date(entry.history[0].validUntil).toISOString()})`, {
+            type: 'key.rotate',
+            ...keyFields(key)
+          });
+          this.saveVault();
+          return entry;
+        }
+      });
 
-    const key = {
-      id: this.generateId(),
-      serviceName,
-      keyValue: this.encrypt(keyValue),
-      environment,
-      tags: tags ? tags.split(',').map(t => t.trim()) : [],
-      createdAt: new Date().toISOString(),
-      lastUsed: null,
-      usageCount: 0
-    };
+      const graceUntil = new Date(rotated.history[0].validUntil);
+      console.log(`✅ ${key.serviceName} rotated (now v${rotated.version}), new key verified`);
+      console.log(`   The old value (v${rotated.history[0].version}) is revoked on the first unlock after ${graceUntil.toLocaleString()}`);
+    } catch (error) {
+      // Nothing was swapped in, so the failure goes straight into the file as it is on disk
+      vaultFile.updateVault(VAULT_PATH, (latest) => {
+        addAuditLog(latest, `Key rotation failed: ${key.serviceName}: ${error.message}`, this.sessionKey, {
+          source: 'cli',
+          type: 'key.rotate',
+          outcome: 'failure',
+          error: error.message,
+          ...keyFields(key)
+        });
+        return latest;
+      });
+      throw new Error(`Rotation failed, ${key.serviceName} is unchanged: ${error.message}`);
+    }
+  }
 
-    this.vault.keys.push(key);
-    this.saveVault();
+  async manageRotation(args) {
+    const [action, environment, daysArg, graceArg] = args;
 
-    console.log('✅ Key added successfully');
-    console.log(`🔑 ${serviceName} (${environment})`);
-  }
+    // These two work without the vault
+    if (action === 'providers') {
+      console.log('\n🔌 Rotation providers:\n');
+      rotationProviders.loadProviders(PROVIDERS_DIR).forEach(provider => {
+        console.log(`${provider.id.padEnd(15)} ${provider.name || ''}`);
+      });
+      console.log(`\nPlugins are loaded from ${PROVIDERS_DIR}`);
+      console.log('');
+      return;
+    }
+    if (action === 'mock-server') {
+      await this.runMockServer(args.slice(1));
+      return;
+    }
 
-  async listKeys(args) {
     await this.requireUnlocked();
+    const settings = { ...keyRotation.ROTATION_SETTINGS_DEFAULTS, ...this.vault.settings };
+
+    if (action === 'policy') {
+      if (!environment) {
+        console.log('\n🔄 Rotation policies:\n');
+        Object.entries(settings.rotationPolicies).forEach(([env, policy]) => {
+          const grace = policy.graceDays ?? settings.rotationGraceDays;
+          console.log(`${env.padEnd(15)} every ${policy.rotationDays} days, old value valid ${grace} days`);
+        });
+        console.log(`\nDefault grace period: ${settings.rotationGraceDays} days (keyvault config rotationGraceDays)`);
+        console.log('');
+        return;
+      }
 
-    const filter = args[0]; // environment filter
-    let keys = this.vault.keys;
+      const policies = { ...settings.rotationPolicies };
+      const rotationDays = parseInt(daysArg, 10);
+
+      if (!daysArg || rotationDays === 0) {
+        delete policies[environment];
+      } else if (rotationDays > 0) {
+        policies[environment] = { rotationDays };
+        if (graceArg !== undefined) {
+          const graceDays = parseInt(graceArg, 10);
+          if (!(graceDays >= 0)) {
+            throw new Error('Grace period must be a number of days');
+          }
+          policies[environment].graceDays = graceDays;
+        }
+      } else {
+        throw new Error('Usage: keyvault rotation policy <env> <days> [grace days] (0 removes the policy)');
+      }
 
-    if (filter) {
-      keys = keys.filter(k => k.environment === filter);
+      this.vault.settings = { ...this.vault.settings, rotationPolicies: policies };
+      this.audit(policies[environment]
+        ? `Rotation policy set: ${environment} every ${rotationDays} days, old value valid ${policies[environment].graceDays ?? settings.rotationGraceDays} days`
+        : `Rotation policy removed: ${environment}`, { type: 'rotation.policy', environment });
+      this.saveVault();
+      console.log(policies[environment]
+        ? `✅ ${environment} keys rotate every ${rotationDays} days`
+        : `✅ Rotation policy for ${environment} removed`);
+      return;
     }
 
-    if (keys.length === 0) {
-      console.log('📭 No keys found');
+    if (action === 'provider') {
+      this.setRotationProvider(args.slice(1));
       return;
     }
 
-    console.log(`\n🔑 API Keys (${keys.length}):\n`);
-    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment'.padEnd(15), 'Tags');
-    console.log('─'.repeat(80));
+    if (action === 'revoke') {
+      await this.revokeRotatedKeys();
+      return;
+    }
 
-    keys.forEach(key => {
-      const id = key.id.substring(0, 12);
-      const tags = key.tags.join(', ') || '-';
+    if (action) {
+      throw new Error(`Unknown rotation action: ${action} (use policy, provider, providers, revoke or mock-server)`);
+    }
+
+    const report = keyRotation.rotationReport(this.vault.keys, settings);
+    if (report.length === 0) {
+      console.log('📭 No keys have a rotation policy. Set one with: keyvault rotation policy <env> <days>');
+      return;
+    }
+
+    console.log(`\n🔄 Rotation report (${report.length}):\n`);
+    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment'.padEnd(15), 'Every'.padEnd(8), 'Last Rotated'.padEnd(14), 'Status');
+    console.log('─'.repeat(100));
+
+    report.forEach(entry => {
+      let status = entry.overdue ? `⚠️ Overdue by ${entry.days} days` : `Due in ${entry.days} days`;
+      if (entry.graceUntil) {
+        status += `, old value valid until ${new Date(entry.graceUntil).toLocaleDateString()}`;
+      }
       console.log(
-        id.padEnd(15),
-        key.serviceName.padEnd(25),
-        key.environment.padEnd(15),
-        tags
+        entry.id.substring(0, 12).padEnd(15),
+        entry.serviceName.padEnd(25),
+        entry.environment.padEnd(15),
+        `${entry.rotationDays}d`.padEnd(8),
+        (entry.rotatedAt ? new Date(entry.rotatedAt).toLocaleDateString() : 'never').padEnd(14),
+        status
       );
     });
 
+    const pending = rotationEngine.dueRevocations(this.vault);
+    if (pending.length > 0) {
+      console.log(`\n⚠️  ${pending.length} old values past their grace period could not be revoked yet. Retry with: keyvault rotation revoke`);
+    }
+
+    console.log('\nRotate with: keyvault rotate <id> [new key]');
     console.log('');
   }
 
-  async getKey(keyId) {
-    await this.requireUnlocked();
+  setRotationProvider([keyId, providerId, ...settings]) {
+    const key = keyId && this.findKey(keyId);
+    if (!key || !providerId) {
+      throw new Error(keyId && !key
+        ? `Key not found: ${keyId}`
+        : 'Usage: keyvault rotation provider <id> <provider|none> [name=value...]');
+    }
 
-    const key = this.findKey(keyId);
-    if (!key) {
-      throw new Error(`Key not found: ${keyId}`);
+    let rotationProvider = null;
+    if (providerId !== 'none') {
+      rotationProviders.getProvider(rotationProviders.loadProviders(PROVIDERS_DIR), providerId);
+
+      const config = {};
+      settings.forEach(setting => {
+        const separator = setting.indexOf('=');
+        if (separator < 1) {
+          throw new Error(`Provider settings are name=value, got: ${setting}`);
+        }
+        config[setting.slice(0, separator)] = setting.slice(separator + 1);
+      });
+      rotationProvider = { id: providerId, config };
     }
 
-    const decrypted = this.decrypt(key.keyValue);
+    this.vault.keys = this.vault.keys.map(k => (k.id === key.id ? { ...k, rotationProvider, updatedAt: Date.now() } : k));
+    this.audit(`Key updated: ${key.serviceName} (rotation provider ${providerId})`, {
+      type: 'key.update',
+      ...keyFields(key)
+    });
+    this.saveVault();
 
-    console.log('\n🔑 Key Details:\n');
-    console.log('Service:', key.serviceName);
-    console.log('Environment:', key.environment);
-    console.log('Tags:', key.tags.join(', ') || 'None');
-    console.log('Created:', new Date(key.createdAt).toLocaleString());
-    console.log('Last Used:', key.lastUsed ? new Date(key.lastUsed).toLocaleString() : 'Never');
-    console.log('Usage Count:', key.usageCount);
-    console.log('\nAPI Key:', decrypted);
-    console.log('');
+    console.log(rotationProvider
+      ? `✅ ${key.serviceName} rotates with ${providerId}: keyvault rotate ${key.id.substring(0, 12)}`
+      : `✅ ${key.serviceName} no longer has a rotation provider`);
   }
 
-  async copyKey(keyId) {
-    await this.requireUnlocked();
+  async revokeRotatedKeys() {
+    // Unlocking has already tried the due values, unless loading providers failed
+    const results = this.revocations || await this.revokeDueValues();
+    if (results.length === 0) {
+      console.log('✅ No old values are waiting to be revoked');
+      return;
+    }
 
-    const key = this.findKey(keyId);
-    if (!key) {
-      throw new Error(`Key not found: ${keyId}`);
+    this.saveVault();
+
+    if (results.some(result => result.error)) {
+      throw new Error('Some old values could not be revoked; they are retried on the next unlock');
     }
+  }
 
-    const decrypted = this.decrypt(key.keyValue);
+  /**
+   * Revoke the old values whose grace period is over and audit each attempt.
+   * Returns the results of rotationEngine.revokeDue; the caller saves.
+   */
+  async revokeDueValues() {
+    if (rotationEngine.dueRevocations(this.vault).length === 0) {
+      return [];
+    }
 
-    // Try to copy to clipboard (platform-specific)
-    try {
-      const { execSync } = require('child_process');
-      
-      if (process.platform === 'darwin') {
-        execSync('pbcopy', { input: decrypted });
-      } else if (process.platform === 'linux') {
-        execSync('xclip -selection clipboard', { input: decrypted });
-      } else if (process.platform === 'win32') {
-        execSync('clip', { input: decrypted });
-      }
+    const providers = rotationProviders.loadProviders(PROVIDERS_DIR);
+    const results = await rotationEngine.revokeDue(this.vault, this.sessionKey, providers);
 
-      // Update usage stats
-      key.lastUsed = new Date().toISOString();
-      key.usageCount++;
-      this.saveVault();
+    results.forEach((result) => {
+      const { action, event } = rotationEngine.revocationAudit(result);
+      const label = `${result.entry.serviceName} v${result.version.version}`;
+      this.audit(action, event);
+      console.log(result.error ? `❌ Revoking ${label} failed: ${result.error}` : `🔒 Old value ${label} revoked`);
+    });
 
-      console.log('✅ Key copied to clipboard');
-      console.log(`🔑 ${key.serviceName}`);
-    } catch (error) {
-      console.log('⚠️  Could not copy to clipboard automatically');
-      console.log('Key:', decrypted);
+    return results;
+  }
+
+  async runMockServer([portArg, ...options]) {
+    const port = portArg ? parseInt(portArg, 10) : mockProvider.DEFAULT_PORT;
+    const option = (name) => {
+      const index = options.indexOf(name);
+      return index >= 0 ? options[index + 1] : null;
+    };
+    const fail = option('--fail');
+    const html = option('--html');
+    const operations = ['mint', 'verify', 'revoke'];
+
+    if (!(port > 0) || (fail && !operations.includes(fail)) || (html && !operations.includes(html))) {
+      throw new Error('Usage: keyvault rotation mock-server [port] [--fail mint|verify|revoke] [--html mint|verify|revoke]');
     }
+
+    const server = mockProvider.createMockServer({ fail, html });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+
+    console.log(`🧪 Mock rotation provider listening on http://127.0.0.1:${port}${fail ? ` (failing ${fail})` : ''}${html ? ` (HTML for ${html})` : ''}`);
+    console.log('   Use it with: keyvault rotation provider <id> mock' + (port === mockProvider.DEFAULT_PORT ? '' : ` baseUrl=http://127.0.0.1:${port}`));
+    console.log('   Press Ctrl+C to stop');
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    server.close();
   }
 
-  async deleteKey(keyId) {
+  async restoreVersion(keyId, versionArg) {
     await this.requireUnlocked();
 
     const key = this.findKey(keyId);
@@ -281,29 +1340,27 @@ class KeyVaultCLI {
       throw new Error(`Key not found: ${keyId}`);
     }
 
-    console.log(`⚠️  Delete key: ${key.serviceName}`);
-    const confirm = await this.prompt('Are you sure? (yes/no): ');
-
-    if (confirm.toLowerCase() !== 'yes') {
-      console.log('Cancelled.');
-      return;
+    const version = parseInt(String(versionArg).replace(/^v/, ''), 10);
+    if (!version) {
+      throw new Error('Usage: keyvault restore <id> <version>');
     }
 
-    this.vault.keys = this.vault.keys.filter(k => k.id !== key.id);
+    const restored = keyHistory.restoreVersion(key, version, this.vault.settings);
+    this.vault.keys = this.vault.keys.map(k => (k.id === key.id ? restored : k));
+    this.audit(`Key restored to version ${version}: ${key.serviceName}`, { type: 'key.restore_version', ...keyFields(key) });
     this.saveVault();
 
-    console.log('✅ Key deleted');
+    console.log(`✅ ${key.serviceName} restored to version ${version} (now v${restored.version})`);
   }
 
   async searchKeys(query) {
+    if (!query) {
+      throw new Error('Usage: keyvault search <query> (e.g. env:production tag:ai, see keyvault help)');
+    }
+
     await this.requireUnlocked();
 
-    const lowerQuery = query.toLowerCase();
-    const results = this.vault.keys.filter(key =>
-      key.serviceName.toLowerCase().includes(lowerQuery) ||
-      key.tags.some(tag => tag.toLowerCase().includes(lowerQuery)) ||
-      key.environment.toLowerCase().includes(lowerQuery)
-    );
+    const results = searchQuery.searchKeys(this.vault.keys, query);
 
     if (results.length === 0) {
       console.log(`📭 No keys found matching: ${query}`);
@@ -311,21 +1368,108 @@ class KeyVaultCLI {
     }
 
     console.log(`\n🔍 Search results for "${query}" (${results.length}):\n`);
-    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment');
-    console.log('─'.repeat(60));
+    console.log('ID'.padEnd(15), 'Service'.padEnd(25), 'Environment'.padEnd(15), 'Folder'.padEnd(20), 'Tags');
+    console.log('─'.repeat(100));
 
     results.forEach(key => {
       const id = key.id.substring(0, 12);
       console.log(
         id.padEnd(15),
         key.serviceName.padEnd(25),
-        key.environment
+        key.environment.padEnd(15),
+        (key.folder || '-').padEnd(20),
+        key.tags.join(', ') || '-'
       );
     });
 
     console.log('');
   }
 
+  /**
+   * Report duplicate, reused and near-identical secrets, or merge keys into
+   * one. Values are compared by HMAC under a throwaway key.
+   */
+  async dedupe([action, keepId, ...ids]) {
+    await this.requireUnlocked();
+
+    if (action === 'merge') {
+      const keep = keepId && this.findKey(keepId);
+      if (!keep || ids.length === 0) {
+        throw new Error(keepId && !keep ? `Key not found: ${keepId}` : 'Usage: keyvault dedupe merge <keep id> <id>...');
+      }
+
+      const others = ids.map(id => {
+        const key = this.findKey(id);
+        if (!key) {
+          throw new Error(`Key not found: ${id}`);
+        }
+        return key;
+      }).filter((key, i, keys) => key.id !== keep.id && keys.findIndex(k => k.id === key.id) === i);
+      if (others.length === 0) {
+        throw new Error('Select at least one other key to merge');
+      }
+
+      console.log(`⚠️  Merge into ${keep.serviceName}: ${others.map(key => key.serviceName).join(', ')}`);
+      console.log(`   ${keep.serviceName} keeps its value and gains their tags, domains, notes and usage; they move to the trash.`);
+      const confirm = await this.prompt('Are you sure? (yes/no): ');
+
+      if (confirm.toLowerCase() !== 'yes') {
+        console.log('Cancelled.');
+        return;
+      }
+
+      const merged = keyDuplicates.mergeKeyMetadata(keep, others);
+      this.vault.keys = this.vault.keys.map(key => (key.id === keep.id ? merged : key));
+      others.forEach(key => trash.moveToTrash(this.vault, this.sessionKey, key.id));
+      this.audit(`Keys merged into ${keep.serviceName}, others moved to trash: ${others.map(key => key.serviceName).join(', ')}`, {
+        type: 'keys.merge',
+        ...keyFields(keep)
+      });
+      this.saveVault();
+
+      console.log(`✅ Merged ${others.length} ${others.length === 1 ? 'key' : 'keys'} into ${keep.serviceName}`);
+      return;
+    }
+
+    if (action) {
+      throw new Error(`Unknown dedupe action: ${action} (use merge)`);
+    }
+
+    const hashKey = crypto.randomBytes(32);
+    const hash = value => crypto.createHmac('sha256', hashKey).update(value).digest('hex');
+    const keys = this.vault.keys.map(key => ({
+      ...key,
+      keyValue: this.decrypt(key.keyValue),
+      fields: mapSecretFields(key.fields, value => this.decrypt(value))
+    }));
+    const findings = await keyDuplicates.findDuplicates(keys, hash);
+
+    if (findings.length === 0) {
+      console.log('✅ No duplicate or reused secrets');
+      return;
+    }
+
+    const labels = { duplicate: 'Duplicate', reused: 'Reused across environments', similar: 'Near-identical', 'same-service': 'Same service and environment' };
+    console.log(`\n🔍 ${findings.length} ${findings.length === 1 ? 'finding' : 'findings'}:\n`);
+
+    findings.forEach(finding => {
+      console.log(`${labels[finding.type]}: ${finding.reason}`);
+      finding.entries.forEach(entry => {
+        console.log(
+          '  ',
+          entry.id.substring(0, 12).padEnd(15),
+          `${entry.serviceName}${entry.field ? ` (${entry.field})` : ''}`.padEnd(30),
+          entry.environment.padEnd(15),
+          entry.folder || '-'
+        );
+      });
+      if (finding.mergeable) {
+        console.log(`   Merge: keyvault dedupe merge ${finding.entries.map(entry => entry.id.substring(0, 12)).join(' ')}`);
+      }
+      console.log('');
+    });
+  }
+
   async exportVault(outputPath) {
     await this.requireUnlocked();
 
@@ -334,13 +1478,17 @@ class KeyVaultCLI {
     const exportData = {
       version: '1.0.0',
       exportedAt: new Date().toISOString(),
-      keys: this.vault.keys.map(key => ({
+      keys: this.vault.keys.map(({ history, ...key }) => ({
         ...key,
-        keyValue: this.decrypt(key.keyValue) // Decrypt for export
-      }))
+        keyValue: this.decrypt(key.keyValue), // Decrypt for export; earlier versions are not exported
+        fields: mapSecretFields(key.fields, value => this.decrypt(value))
+      })),
+      templates: this.vault.templates
     };
 
     fs.writeFileSync(output, JSON.stringify(exportData, null, 2));
+    this.audit(`Vault exported (${exportData.keys.length} keys, unencrypted)`, { type: 'vault.export' });
+    this.saveVault();
     console.log('✅ Vault exported');
     console.log('📁 File:', output);
     console.log('⚠️  Warning: This file contains unencrypted keys. Store securely!');
@@ -359,6 +1507,17 @@ class KeyVaultCLI {
       throw new Error('Invalid export file format');
     }
 
+    // Encrypted vault documents (.kvp backups from the extension, other vault.json files)
+    if (vaultFormat.isVaultDocument(data)) {
+      const password = await this.promptPassword(`Password for ${path.basename(inputPath)}: `);
+      const fileKey = vaultFormat.unlockVault(data, password);
+      data.keys = data.keys.map(entry => vaultFormat.openEntry(fileKey, entry)).map(key => ({
+        ...key,
+        keyValue: vaultFormat.decryptValue(fileKey, key.keyValue),
+        fields: mapSecretFields(key.fields, value => vaultFormat.decryptValue(fileKey, value))
+      }));
+    }
+
     console.log(`📥 Importing ${data.keys.length} keys...`);
 
     let imported = 0;
@@ -370,18 +1529,85 @@ class KeyVaultCLI {
         return;
       }
 
-      // Re-encrypt and add
+      // Re-encrypt and add; history values from another vault cannot be read with this vault's key
       this.vault.keys.push({
         ...key,
         id: this.generateId(),
+        folder: keyFolders.normalizeFolder(key.folder),
         keyValue: this.encrypt(key.keyValue),
-        createdAt: new Date().toISOString()
+        fields: this.encryptFields(normalizeFields(key.fields)),
+        createdAt: new Date().toISOString(),
+        history: []
       });
       imported++;
     });
 
+    // User templates not already defined here
+    let importedTemplates = 0;
+    (data.templates || []).forEach(template => {
+      const normalized = keyTemplates.normalizeTemplate(template);
+      if (!keyTemplates.listTemplates(this.vault.templates).some(t => t.id === normalized.id)) {
+        this.vault.templates.push(normalized);
+        importedTemplates++;
+      }
+    });
+
+    this.audit(`Vault imported (${imported} keys)`, { type: 'vault.import' });
     this.saveVault();
     console.log(`✅ Imported ${imported} keys`);
+    if (importedTemplates > 0) {
+      console.log(`📋 Imported ${importedTemplates} templates`);
+    }
+  }
+
+  async showAuditLog(args) {
+    await this.requireUnlocked();
+
+    const [action] = args;
+
+    if (action === 'verify') {
+      const result = verifyAuditLog(this.vault, this.sessionKey);
+
+      if (!result.valid) {
+        throw new Error(`Audit log broken at entry ${result.problem.seq}: ${result.problem.message}`);
+      }
+
+      console.log(`✅ Audit log intact: ${result.entries} entries, ${result.authenticated} authenticated`);
+      if (result.pruned > 0) {
+        console.log(`ℹ️  ${result.pruned} older entries were pruned; the chain continues from there`);
+      }
+      if (result.unauthenticated.length > 0) {
+        console.log(`⚠️  ${result.unauthenticated.length} entries are not authenticated (written while locked or before the log was chained): ${formatRanges(result.unauthenticated)}`);
+      }
+      if (!result.anchorAuthenticated) {
+        console.log('⚠️  The pruning record is not authenticated; entries before it cannot be accounted for');
+      }
+      if (!result.headAuthenticated) {
+        console.log('⚠️  The newest entry is not authenticated; removal of recent entries cannot be ruled out');
+      }
+      return;
+    }
+
+    // Any other argument names a key, current or trashed, whose events are shown
+    const key = action && (this.findKey(action) || trash.findInTrash(this.vault, this.sessionKey, action));
+    if (action && !key) {
+      throw new Error(`Key not found: ${action}`);
+    }
+
+    const entries = queryAuditLog(this.vault, { keyId: key ? key.id : null, limit: 20 }, this.sessionKey);
+
+    if (entries.length === 0) {
+      console.log(key ? `📭 No audit entries for ${key.serviceName}` : '📭 Audit log is empty');
+      return;
+    }
+
+    console.log(`\n📜 Audit log${key ? ` for ${key.serviceName}` : ''} (latest ${entries.length}):\n`);
+    entries.forEach(entry => {
+      const lock = entry.mac ? '  ' : '🔓';
+      const failed = entry.outcome === 'failure' ? '❌ ' : '';
+      console.log(`${String(entry.seq).padStart(6)} ${lock} ${new Date(entry.timestamp).toLocaleString().padEnd(23)} ${(entry.source || '-').padEnd(14)} ${failed}${entry.action}`);
+    });
+    console.log('\n🔓 = not authenticated (written while locked or before the log was chained). Run "keyvault audit verify" to check the chain.\n');
   }
 
   showStatus() {
@@ -395,12 +1621,21 @@ class KeyVaultCLI {
 
     console.log('\n📊 KeyVault Status:\n');
     console.log('Vault Location:', VAULT_PATH);
+    console.log('Format:', vaultFormat.isLegacyVault(this.vault) ? 'legacy (migrates on next unlock)' : `v${this.vault.version}`);
+    if (!vaultFormat.isLegacyVault(this.vault)) {
+      console.log('Key Derivation:', vaultFormat.describeKdf(this.vault.kdf));
+      console.log('Recovery Kit:', this.vault.recovery ? `${this.vault.recovery.threshold} of ${this.vault.recovery.shares} shares` : 'None');
+    }
     console.log('Created:', new Date(this.vault.created).toLocaleString());
     console.log('Last Access:', this.config.lastAccess ? new Date(this.config.lastAccess).toLocaleString() : 'Never');
     console.log('Total Keys:', this.vault.keys.length);
+    console.log('In Trash:', (this.vault.trash || []).length);
     console.log('Locked:', this.sessionKey ? 'No ✅' : 'Yes 🔒');
 
-    if (this.vault.keys.length > 0) {
+    // Sealed entries reveal nothing but their count until unlocked
+    if (this.vault.keys.some(vaultFormat.isSealedEntry)) {
+      console.log('Metadata: encrypted');
+    } else if (this.vault.keys.length > 0) {
       const byEnv = {};
       this.vault.keys.forEach(key => {
         byEnv[key.environment] = (byEnv[key.environment] || 0) + 1;
@@ -426,14 +1661,37 @@ COMMANDS:
   init                 Initialize a new vault
   unlock               Unlock the vault
   lock                 Lock the vault
-  add [name] [key]     Add a new API key
-  list [env]           List all keys (optionally filter by environment)
-  get <id>             Get key details
-  copy <id>            Copy key to clipboard
-  delete <id>          Delete a key
-  search <query>       Search keys
+  change-password      Change the master password (re-encrypts all keys)
+  recovery [action]    Show, create <threshold> <shares> [dir] or remove the recovery kit
+  recover [files...]   Reset a forgotten master password from recovery shares
+  kdf [algo] [cost]    Show or set key derivation (scrypt <log2 N>, pbkdf2 <iterations>)
+  config [name] [val]  Show or change vault settings (no args lists them)
+  add [name] [key]     Add a new API key (--field / --plain-field name=value for extra fields,
+                       --template <template> to pre-fill from a template, --folder <path>)
+  templates [action]   List templates, save <id> [name] one from a key, or delete <template>
+  list [env|folder]    List all keys (optionally filter by environment, or folder and subfolders)
+  move <id> <folder>   Move a key to a folder such as acme/backend ("/" for the top level)
+  folders [action]     Show the folder tree, rename <folder> <new path> or delete <folder>
+  expiring [days]      List keys expired, expiring or due for rotation within the warning period
+  rotate <id> [key]    Replace a key's value, keeping the old one valid for the grace period
+                       (minted and verified by the key's provider when no key is given)
+  rotation [action]    Show the rotation report, or: policy <env> <days> [grace days],
+                       provider <id> <provider|none> [name=value...], providers, revoke,
+                       mock-server [port] [--fail mint|verify|revoke] [--html mint|verify|revoke]
+  get <id>             Get key details (--field <name> prints just that field)
+  copy <id>            Copy key to clipboard (--field <name> copies that field)
+  delete <id>          Move a key to the trash
+  trash [action] [id]  List, restore <id>, delete <id> or empty the trash
+  history <id>         Show earlier values of a key
+  restore <id> <ver>   Make an earlier version the current value
+  search <query>       Search keys: text, or env: tag: service: folder: domain: notes:
+                       favorite:true expires:<30d unused:>90d; OR, -term or NOT to exclude,
+                       (groups) and "quotes" for spaces
+  dedupe [merge]       Find duplicate, reused and near-identical secrets, or
+                       merge <keep id> <id>... into one key (the others go to the trash)
+  audit [verify|<id>]  Show recent audit entries (for one key), or verify the log's hash chain
   export [file]        Export vault to JSON
-  import <file>        Import keys from JSON
+  import <file>        Import keys from JSON or an encrypted .kvp backup
   status               Show vault status
   help                 Show this help message
   --version, -v        Show version
@@ -441,8 +1699,21 @@ COMMANDS:
 EXAMPLES:
   keyvault init
   keyvault add "OpenAI" "sk-..." "production" "ai,gpt"
+  keyvault add "AWS" "AKIA..." production --field secret_access_key --plain-field region=us-east-1
+  keyvault get aws --field secret_access_key
+  keyvault add --template stripe
   keyvault list production
+  keyvault move stripe acme/backend
+  keyvault list acme
+  keyvault expiring 30
+  keyvault rotation policy production 90 7
+  keyvault rotate stripe
+  keyvault rotation provider stripe mock
   keyvault search openai
+  keyvault search 'env:production tag:ai OR service:"google maps" -favorite:true'
+  keyvault search 'expires:<30d unused:>90d'
+  keyvault dedupe
+  keyvault dedupe merge abc123 def456
   keyvault copy abc123
   keyvault export backup.json
 
@@ -468,6 +1739,36 @@ For more information, visit: https://github.com/keyvault-pro
     }
   }
 
+  /**
+   * Add a CLI audit event to the vault (saved with the next saveVault)
+   */
+  audit(action, event) {
+    addAuditLog(this.vault, action, this.sessionKey, { source: 'cli', ...event });
+  }
+
+  /**
+   * Log a wrong master password, and the lockout it started if any, without
+   * a data key, straight into the file as it is on disk
+   */
+  auditFailedUnlock(error, lockedOut) {
+    vaultFile.updateVault(VAULT_PATH, (latest) => {
+      addAuditLog(latest, `Unlock failed: ${error.message}`, null, {
+        type: 'vault.unlock',
+        source: 'cli',
+        outcome: 'failure',
+        error: error.message
+      });
+      if (lockedOut) {
+        addAuditLog(latest, unlockThrottle.lockoutMessage(latest.settings), null, {
+          type: 'vault.lockout',
+          source: 'cli',
+          outcome: 'failure'
+        });
+      }
+      return latest;
+    });
+  }
+
   findKey(idOrName) {
     return this.vault.keys.find(k => 
       k.id.startsWith(idOrName) || 
@@ -475,26 +1776,56 @@ For more information, visit: https://github.com/keyvault-pro
     );
   }
 
-  hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+  encrypt(text) {
+    return vaultFormat.encryptValue(this.sessionKey, text);
   }
 
-  verifyPassword(password, hash) {
-    return this.hashPassword(password) === hash;
+  decrypt(encrypted) {
+    return vaultFormat.decryptValue(this.sessionKey, encrypted);
   }
 
-  encrypt(text) {
-    const cipher = crypto.createCipher('aes-256-cbc', this.sessionKey);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
+  /**
+   * A built-in or user template by id or service name
+   */
+  findTemplate(name) {
+    const templates = keyTemplates.listTemplates(this.vault.templates);
+    const template = templates.find(t =>
+      t.id === keyTemplates.templateId(name) ||
+      t.serviceName.toLowerCase() === name.toLowerCase()
+    );
+
+    if (!template) {
+      throw new Error(`Template not found: ${name} (available: ${templates.map(t => t.id).join(', ')})`);
+    }
+
+    return template;
   }
 
-  decrypt(encrypted) {
-    const decipher = crypto.createDecipher('aes-256-cbc', this.sessionKey);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+  encryptFields(fields) {
+    return mapSecretFields(fields, value => this.encrypt(value));
+  }
+
+  /**
+   * A stored field's value, decrypted if it is secret
+   */
+  fieldValue(field) {
+    return field.secret ? this.decrypt(field.value) : field.value;
+  }
+
+  /**
+   * Remove every `<name> <value>` option from args and return the values
+   */
+  takeOption(args, name) {
+    const values = [];
+
+    for (let i = args.indexOf(name); i !== -1; i = args.indexOf(name)) {
+      if (i + 1 >= args.length) {
+        throw new Error(`${name} needs a value`);
+      }
+      values.push(args.splice(i, 2)[1]);
+    }
+
+    return values;
   }
 
   generateId() {
@@ -533,6 +1864,24 @@ For more information, visit: https://github.com/keyvault-pro
   }
 }
 
+/**
+ * Format sorted numbers as ranges, e.g. "1-3, 7"
+ */
+function formatRanges(numbers) {
+  const ranges = [];
+
+  numbers.forEach(n => {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) {
+      last[1] = n;
+    } else {
+      ranges.push([n, n]);
+    }
+  });
+
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
 // Run CLI
 const cli = new KeyVaultCLI();
 cli.run().catch(error => {
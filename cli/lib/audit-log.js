@@ -0,0 +1,116 @@
+/**
+ * Audit log for the vault file, shared by the CLI and the MCP server.
+ * Entries mirror the extension's StorageManager audit log: structured events
+ * (see audit-events.js), hash-chained, and MACed with an audit key kept in
+ * the vault under the data key. With encryptMetadata on, the fields naming
+ * keys and pages are sealed under a key derived from the audit key, which
+ * (unlike the data key) survives password changes, so sealed entries never
+ * need rewriting.
+ */
+
+const crypto = require('crypto');
+const vaultFormat = require('./vault-format');
+const auditChain = require('./audit-chain');
+const auditEvents = require('./audit-events');
+
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * The vault's audit MAC key, stored encrypted under the data key in
+ * `vault.auditKey` and created on first use, along with a signed head for
+ * the log as it is. Null without a data key.
+ */
+function auditKey(vault, dataKey) {
+  if (!dataKey) {
+    return null;
+  }
+
+  if (!vault.auditKey) {
+    const raw = crypto.randomBytes(32);
+    vault.auditKey = vaultFormat.encryptValue(dataKey, raw.toString('base64'));
+    Object.assign(vault, auditChain.sealHead(vault, raw));
+  }
+
+  return Buffer.from(vaultFormat.decryptValue(dataKey, vault.auditKey), 'base64');
+}
+
+/**
+ * Sign a head left without a MAC by an earlier version (marked `legacy` by
+ * vault migration 4). Returns whether the vault changed.
+ */
+function sealLegacyHead(vault, dataKey) {
+  if (!dataKey || !vault.auditKey || !(vault.auditHead && vault.auditHead.legacy)) {
+    return false;
+  }
+
+  Object.assign(vault, auditChain.sealHead(vault, auditKey(vault, dataKey)));
+  return true;
+}
+
+/**
+ * The AES key audit entry metadata is sealed with
+ */
+function sealKey(macKey) {
+  return crypto.createHmac('sha256', macKey).update('seal-key').digest();
+}
+
+/**
+ * Open a sealed entry, keeping `sealed` so it can still be checked against
+ * the chain. Plain entries are returned unchanged.
+ */
+function openAuditEntry(entry, key) {
+  if (typeof entry.sealed !== 'string') {
+    return entry;
+  }
+  return { ...entry, ...JSON.parse(vaultFormat.decryptValue(key, entry.sealed)) };
+}
+
+/**
+ * Add an entry to the vault's audit log (newest first). `event` holds the
+ * structured fields (type, source, key, outcome). Without the data key the
+ * entry is chained but neither authenticated nor sealed.
+ */
+function addAuditLog(vault, action, dataKey, event) {
+  const macKey = auditKey(vault, dataKey);
+  let entry = auditEvents.createAuditEntry(generateId(), action, event);
+
+  if (macKey && vault.settings && vault.settings.encryptMetadata) {
+    const { plain, metadata } = auditEvents.splitSealedFields(entry);
+    entry = { ...plain, sealed: vaultFormat.encryptValue(sealKey(macKey), JSON.stringify(metadata)) };
+  }
+
+  Object.assign(vault, auditChain.appendEntry(vault, entry, macKey));
+}
+
+/**
+ * Audit entries matching a filter, newest first, with sealed entries opened
+ * (so the data key is needed once any are sealed); see filterAuditLog
+ */
+function queryAuditLog(vault, filter = {}, dataKey = null) {
+  const key = dataKey && vault.auditKey ? sealKey(auditKey(vault, dataKey)) : null;
+  const entries = vault.auditLog.map(entry => {
+    if (typeof entry.sealed === 'string' && !key) {
+      throw new Error('Unlock the vault to read sealed audit entries');
+    }
+    return key ? openAuditEntry(entry, key) : entry;
+  });
+
+  return auditEvents.filterAuditLog(entries, filter);
+}
+
+/**
+ * Verify the vault's audit log chain (and MACs, given the data key)
+ */
+function verifyAuditLog(vault, dataKey = null) {
+  const macKey = dataKey && vault.auditKey ? auditKey(vault, dataKey) : null;
+  return auditChain.verifyChain(vault, macKey);
+}
+
+module.exports = {
+  addAuditLog,
+  queryAuditLog,
+  verifyAuditLog,
+  sealLegacyHead
+};
@@ -0,0 +1,157 @@
+/**
+ * Duplicate and reused secrets across the vault, for `keyvault dedupe`.
+ * Mirrored by background/key-duplicates.js.
+ *
+ * Secrets are compared by keyed hash: the caller passes `hash`, an
+ * HMAC-SHA256 under a random key made for that one analysis, so no plaintext
+ * is compared or kept and the hashes mean nothing afterwards. A key's
+ * secrets are its value and its secret fields.
+ *
+ *   duplicate     the same secret under more than one key, in one environment
+ *   reused        the same secret in different environments (production and staging)
+ *   similar       secrets equal once whitespace, quotes and a "Bearer " prefix
+ *                 are ignored
+ *   same-service  keys for the same service and environment with different
+ *                 values; never mergeable, since each may be a live credential
+ */
+
+const GROUP_ORDER = ['duplicate', 'reused', 'similar', 'same-service'];
+
+/**
+ * A secret as compared for near-identical values
+ */
+function looseSecret(value) {
+  return value
+    .trim()
+    .replace(/^(['"`])([\s\S]*)\1$/, '$2')
+    .replace(/^bearer\s+/i, '')
+    .replace(/\s+/g, '');
+}
+
+function serviceKey(serviceName) {
+  return (serviceName || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * A key's secrets as `{ field, value }`, field null for the main value
+ */
+function keySecrets(key) {
+  return [
+    { field: null, value: key.keyValue },
+    ...(key.fields || []).filter(field => field.secret).map(field => ({ field: field.name, value: field.value }))
+  ].filter(secret => typeof secret.value === 'string' && secret.value !== '');
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key !== null) {
+      groups.set(key, [...(groups.get(key) || []), item]);
+    }
+  }
+  return [...groups.values()];
+}
+
+function distinct(items, keyOf) {
+  return new Set(items.map(keyOf)).size;
+}
+
+/**
+ * A finding as reported: the keys involved (no values or hashes), most used
+ * first since that is the one to keep when merging. `mergeable` when every
+ * entry is a key's main value and the values are the same.
+ */
+function finding(type, reason, members) {
+  const entries = members
+    .map(({ key, field }) => ({
+      id: key.id,
+      serviceName: key.serviceName,
+      environment: key.environment,
+      folder: key.folder || '',
+      field,
+      usageCount: key.usageCount || 0,
+      createdAt: key.createdAt
+    }))
+    .sort((a, b) => (a.field === null ? 0 : 1) - (b.field === null ? 0 : 1)
+      || b.usageCount - a.usageCount
+      || new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  return {
+    type,
+    reason,
+    entries,
+    mergeable: type !== 'same-service'
+      && entries.every(entry => entry.field === null)
+      && distinct(entries, entry => entry.id) === entries.length
+  };
+}
+
+/**
+ * Find duplicate, reused and similar secrets among keys with decrypted
+ * values. `hash(text)` returns (or resolves to) the keyed hash of a value.
+ * Resolves to findings `{ type, reason, entries, mergeable }`, duplicates
+ * first.
+ */
+async function findDuplicates(keys, hash) {
+  const secrets = [];
+  for (const key of keys) {
+    for (const { field, value } of keySecrets(key)) {
+      secrets.push({ key, field, exact: await hash(value), loose: await hash(looseSecret(value)) });
+    }
+  }
+
+  const findings = [];
+
+  for (const members of groupBy(secrets, secret => secret.exact)) {
+    if (distinct(members, member => member.key.id) < 2) {
+      continue;
+    }
+    const reused = distinct(members, member => member.key.environment) > 1;
+    findings.push(finding(
+      reused ? 'reused' : 'duplicate',
+      reused ? 'The same secret is used in different environments' : 'The same secret is stored more than once',
+      members
+    ));
+  }
+
+  for (const members of groupBy(secrets, secret => secret.loose)) {
+    if (distinct(members, member => member.key.id) > 1 && distinct(members, member => member.exact) > 1) {
+      findings.push(finding('similar', 'The secrets differ only in whitespace, quotes or a Bearer prefix', members));
+    }
+  }
+
+  const mainValues = secrets.filter(secret => secret.field === null);
+  for (const members of groupBy(mainValues, ({ key }) => (serviceKey(key.serviceName) ? `${serviceKey(key.serviceName)}\u0000${key.environment}` : null))) {
+    if (members.length > 1 && distinct(members, member => member.loose) > 1) {
+      findings.push(finding('same-service', 'Keys for the same service and environment with different values; check whether one is stale before deleting it', members));
+    }
+  }
+
+  return findings.sort((a, b) => GROUP_ORDER.indexOf(a.type) - GROUP_ORDER.indexOf(b.type));
+}
+
+/**
+ * The kept key after merging others into it: its value, fields and settings
+ * stay, and it gains the others' tags, domains, notes and usage
+ */
+function mergeKeyMetadata(keep, others) {
+  const all = [keep, ...others];
+  const lastUsed = all.map(key => key.lastUsed).filter(Boolean).sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+  return {
+    ...keep,
+    tags: [...new Set(all.flatMap(key => key.tags || []))],
+    domains: [...new Set(all.flatMap(key => key.domains || []))],
+    notes: [...new Set(all.map(key => (key.notes || '').trim()).filter(Boolean))].join('\n\n'),
+    favorite: all.some(key => key.favorite),
+    usageCount: all.reduce((sum, key) => sum + (key.usageCount || 0), 0),
+    lastUsed
+  };
+}
+
+module.exports = {
+  looseSecret,
+  findDuplicates,
+  mergeKeyMetadata
+};
@@ -0,0 +1,74 @@
+/**
+ * Named fields on a key, for credentials with more than one part (client ID
+ * and secret, access key and secret key, webhook signing secret). Shared by
+ * the CLI and the MCP server and mirrored by background/key-fields.js.
+ *
+ * `fields` is a list of `{ name, value, secret }` next to the key's primary
+ * `keyValue`. Secret values are encrypted under the vault data key like
+ * `keyValue`; plain values (an account ID, a region) are stored as entered.
+ */
+
+/**
+ * Validate fields and return them in stored form: trimmed names, unique
+ * regardless of case, string values, `secret` true unless set to false
+ */
+function normalizeFields(fields = []) {
+  if (!Array.isArray(fields)) {
+    throw new Error('Key fields must be a list');
+  }
+
+  const seen = new Set();
+
+  return fields.map(field => {
+    const name = typeof field.name === 'string' ? field.name.trim() : '';
+    if (!name) {
+      throw new Error('Key field name is required');
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Duplicate key field: ${name}`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (typeof field.value !== 'string') {
+      throw new Error(`Key field ${name} needs a value`);
+    }
+
+    return { name, value: field.value, secret: field.secret !== false };
+  });
+}
+
+/**
+ * Apply `transform` (encrypt or decrypt) to the value of every secret field
+ */
+function mapSecretFields(fields, transform) {
+  return (fields || []).map(field => (field.secret ? { ...field, value: transform(field.value) } : field));
+}
+
+/**
+ * Find a field by name, ignoring case. Throws listing the key's fields.
+ */
+function findField(key, name) {
+  const fields = key.fields || [];
+  const field = fields.find(f => f.name.toLowerCase() === name.trim().toLowerCase());
+
+  if (!field) {
+    const available = fields.length > 0 ? fields.map(f => f.name).join(', ') : 'none';
+    throw new Error(`Field not found on ${key.serviceName}: ${name} (fields: ${available})`);
+  }
+
+  return field;
+}
+
+/**
+ * Field names and whether each is secret, without values
+ */
+function describeFields(key) {
+  return (key.fields || []).map(({ name, secret }) => ({ name, secret }));
+}
+
+module.exports = {
+  normalizeFields,
+  mapSecretFields,
+  findField,
+  describeFields
+};
@@ -0,0 +1,92 @@
+/**
+ * Key version history for the vault file, shared by the CLI and the MCP server.
+ * Mirrors StorageManager.archiveVersion/pruneHistory in the extension: earlier
+ * values and fields stay encrypted under the vault data key in each entry's `history`.
+ */
+
+const HISTORY_SETTINGS_DEFAULTS = {
+  historyMaxVersions: 10,
+  historyRetentionDays: 0
+};
+
+/**
+ * Whether a version's credential is still to be revoked at its provider
+ * (see rotation-engine.js); it must be kept until that has happened
+ */
+function pendingRevocation(version) {
+  return !!version.revoke && !version.revokedAt;
+}
+
+/**
+ * Apply history retention: at most historyMaxVersions entries, none older
+ * than historyRetentionDays. Zero disables either limit. Versions pending
+ * revocation are always kept.
+ */
+function pruneHistory(history, settings = {}) {
+  const { historyMaxVersions, historyRetentionDays } = { ...HISTORY_SETTINGS_DEFAULTS, ...settings };
+  let kept = history;
+
+  if (historyRetentionDays > 0) {
+    const cutoff = Date.now() - historyRetentionDays * 24 * 60 * 60 * 1000;
+    kept = kept.filter(version => version.replacedAt >= cutoff || pendingRevocation(version));
+  }
+
+  if (historyMaxVersions > 0) {
+    kept = kept.filter((version, index) => index < historyMaxVersions || pendingRevocation(version));
+  }
+
+  return kept;
+}
+
+/**
+ * Move an entry's current (encrypted) value and fields into its history and
+ * bump its version
+ */
+function archiveVersion(entry, reason, settings) {
+  const currentVersion = entry.version || 1;
+  const history = [
+    {
+      version: currentVersion,
+      keyValue: entry.keyValue,
+      fields: entry.fields || [],
+      replacedAt: Date.now(),
+      reason
+    },
+    ...(entry.history || [])
+  ];
+
+  return {
+    ...entry,
+    version: Math.max(currentVersion, ...history.map(version => version.version)) + 1,
+    history: pruneHistory(history, settings)
+  };
+}
+
+/**
+ * Replace an entry's encrypted value and fields, keeping the previous ones as
+ * a version. Fields are left as they are when not given.
+ */
+function setValue(entry, keyValue, reason, settings, fields = entry.fields) {
+  return { ...archiveVersion(entry, reason, settings), keyValue, fields };
+}
+
+/**
+ * Make an earlier version's value and fields current again. The replaced ones
+ * are archived too, so a restore can itself be undone.
+ */
+function restoreVersion(entry, version, settings) {
+  const previous = (entry.history || []).find(v => v.version === version);
+  if (!previous) {
+    throw new Error(`Version ${version} not found`);
+  }
+
+  return setValue(entry, previous.keyValue, `Restored version ${version}`, settings, previous.fields || []);
+}
+
+module.exports = {
+  HISTORY_SETTINGS_DEFAULTS,
+  pruneHistory,
+  archiveVersion,
+  setValue,
+  restoreVersion
+};
@@ -0,0 +1,113 @@
+/**
+ * Key rotation policies and tracking for the vault file, shared by the CLI
+ * and the MCP server. Mirrors background/key-rotation.js.
+ *
+ * A policy sets how many days a key's value may be used before it is
+ * rotated, and how many days the replaced value stays valid afterwards so
+ * that deployed copies can be updated. Rotating stores the new value, keeps
+ * the old one in the key's history with `validUntil`, and sets `rotatedAt`.
+ */
+
+const keyHistory = require('./key-history');
+
+const ROTATION_SETTINGS_DEFAULTS = {
+  rotationGraceDays: 7,
+  rotationPolicies: {}
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A key's rotation policy: its own `rotationDays` and `rotationGraceDays`,
+ * falling back to its environment's entry in the `rotationPolicies` setting
+ * and then to the `rotationGraceDays` setting. `rotationDays` is null when
+ * the key has no policy.
+ */
+function rotationPolicy(key, settings = {}) {
+  const { rotationPolicies, rotationGraceDays } = { ...ROTATION_SETTINGS_DEFAULTS, ...settings };
+  const environmentPolicy = rotationPolicies[key.environment] || {};
+
+  return {
+    rotationDays: key.rotationDays || environmentPolicy.rotationDays || null,
+    graceDays: key.rotationGraceDays ?? environmentPolicy.graceDays ?? rotationGraceDays
+  };
+}
+
+/**
+ * When the key was last rotated, or created if it never was
+ */
+function lastRotatedAt(key) {
+  return new Date(key.rotatedAt || key.createdAt).getTime();
+}
+
+/**
+ * When the key is next due for rotation, or null without a policy
+ */
+function rotationDueAt(key, settings) {
+  const { rotationDays } = rotationPolicy(key, settings);
+  return rotationDays ? lastRotatedAt(key) + rotationDays * DAY : null;
+}
+
+/**
+ * Until when the value replaced by the last rotation stays valid, or null
+ * once its grace period is over
+ */
+function graceUntil(key, now = Date.now()) {
+  const previous = (key.history || []).find(version => version.validUntil);
+  return previous && previous.validUntil > now ? previous.validUntil : null;
+}
+
+/**
+ * Mark a key whose value was just replaced (the old value being its newest
+ * history entry) as rotated: the old value is kept valid for the grace period
+ */
+function markRotated(key, settings, now = Date.now()) {
+  const { graceDays } = rotationPolicy(key, settings);
+  const [previous, ...older] = key.history;
+
+  return {
+    ...key,
+    rotatedAt: now,
+    history: [{ ...previous, validUntil: now + graceDays * DAY }, ...older]
+  };
+}
+
+/**
+ * Rotation status of every key with a policy, most overdue first. `days` is
+ * whole days until the due date, or since it when overdue.
+ */
+function rotationReport(keys, settings, now = Date.now()) {
+  return keys
+    .filter(key => rotationPolicy(key, settings).rotationDays)
+    .map(key => {
+      const dueAt = rotationDueAt(key, settings);
+      return {
+        id: key.id,
+        serviceName: key.serviceName,
+        environment: key.environment,
+        ...rotationPolicy(key, settings),
+        rotatedAt: key.rotatedAt ? lastRotatedAt(key) : null,
+        dueAt,
+        overdue: dueAt <= now,
+        days: Math.floor(Math.abs(dueAt - now) / DAY),
+        graceUntil: graceUntil(key, now)
+      };
+    })
+    .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Replace an entry's encrypted value (and fields, when given) as a rotation
+ */
+function rotateEntry(entry, keyValue, settings, fields = entry.fields) {
+  return markRotated(keyHistory.setValue(entry, keyValue, 'Rotated', settings, fields), settings);
+}
+
+module.exports = {
+  ROTATION_SETTINGS_DEFAULTS,
+  rotationPolicy,
+  rotationDueAt,
+  graceUntil,
+  rotateEntry,
+  rotationReport
+};
@@ -0,0 +1,130 @@
+/**
+ * Mock rotation provider and the local HTTP stub it talks to, so provider
+ * rotation can be tried and tested offline (`keyvault rotation mock-server`).
+ *
+ * The stub accepts any bearer key it has not revoked, so the first rotation
+ * can start from whatever value the vault holds:
+ *
+ *   POST   /keys       Mint a key                -> 201 { key, id }
+ *   GET    /whoami     Check the bearer key      -> 200 { id }, or 401
+ *   DELETE /keys/self  Revoke the bearer key     -> 204 (also when already revoked)
+ *
+ * `fail` makes mint, verify or revoke answer 500, to exercise rollback, and
+ * `html` makes one answer 502 with an HTML page, as a proxy in front of a
+ * real provider might.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+
+const ROUTES = {
+  'POST /keys': 'mint',
+  'GET /whoami': 'verify',
+  'DELETE /keys/self': 'revoke'
+};
+
+/**
+ * Create the stub server (not yet listening)
+ */
+function createMockServer({ fail = null, html = null } = {}) {
+  const revoked = new Set();
+  const ids = new Map();
+
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const operation = ROUTES[`${req.method} ${req.url}`];
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+    if (!operation) {
+      return send(404, { error: 'Not found' });
+    }
+    if (operation === fail) {
+      return send(500, { error: `Simulated ${fail} failure` });
+    }
+    if (operation === html) {
+      res.writeHead(502, { 'Content-Type': 'text/html' });
+      return res.end('<html><body><h1>502 Bad Gateway</h1></body></html>');
+    }
+    if (operation === 'revoke' && token) {
+      revoked.add(token);
+      return send(204);
+    }
+    if (!token || revoked.has(token)) {
+      return send(401, { error: 'Invalid or revoked key' });
+    }
+
+    if (operation === 'mint') {
+      const key = `mock_${crypto.randomBytes(16).toString('hex')}`;
+      const id = `cred_${crypto.randomBytes(6).toString('hex')}`;
+      ids.set(key, id);
+      return send(201, { key, id });
+    }
+
+    return send(200, { id: ids.get(token) || null });
+  });
+}
+
+function request(config, method, pathname, keyValue) {
+  const url = new URL(pathname, config.baseUrl || `http://127.0.0.1:${DEFAULT_PORT}`);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method,
+      headers: { Authorization: `Bearer ${keyValue}` },
+      timeout: 10000
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        // Thrown here it would escape the promise and skip the caller's rollback
+        let data;
+        try {
+          data = body ? JSON.parse(body) : null;
+        } catch (error) {
+          reject(new Error(`Mock provider ${method} ${pathname} failed: ${res.statusCode} response is not JSON`));
+          return;
+        }
+        if (res.statusCode >= 400) {
+          reject(new Error(`Mock provider ${method} ${pathname} failed: ${res.statusCode} ${data && data.error ? data.error : ''}`.trim()));
+        } else {
+          resolve(data);
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Mock provider at ${url.origin} did not respond`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const provider = {
+  id: 'mock',
+  name: 'Local mock provider (run keyvault rotation mock-server); config: baseUrl',
+
+  async mint({ keyValue, config }) {
+    const { key, id } = await request(config, 'POST', '/keys', keyValue);
+    return { keyValue: key, credentialId: id };
+  },
+
+  async verify({ keyValue, config }) {
+    await request(config, 'GET', '/whoami', keyValue);
+  },
+
+  async revoke({ keyValue, config }) {
+    await request(config, 'DELETE', '/keys/self', keyValue);
+  }
+};
+
+module.exports = {
+  DEFAULT_PORT,
+  createMockServer,
+  provider
+};
@@ -0,0 +1,109 @@
+/**
+ * Recovery kits for the vault file. A random recovery secret wraps the data
+ * key and is split into Shamir shares; any `threshold` of them can reset the
+ * master password. Mirrors StorageManager's recovery kit in the extension.
+ */
+
+const crypto = require('crypto');
+const vaultFormat = require('./vault-format');
+const shamir = require('./shamir');
+
+const SECRET_LENGTH = 32;
+
+/**
+ * Create a kit for an unlocked vault. Returns the header's `recovery` block
+ * and the share texts, which are not stored anywhere.
+ */
+function createKit(dataKey, threshold, count) {
+  const secret = crypto.randomBytes(SECRET_LENGTH);
+  const kitId = crypto.randomBytes(4).toString('hex');
+
+  const shares = shamir.split(secret, threshold, count)
+    .map(share => shamir.encodeShare({ kitId, threshold, ...share }));
+
+  const recovery = vaultFormat.sealRecovery(dataKey, secret, {
+    kitId,
+    threshold,
+    shares: count,
+    created: new Date().toISOString()
+  });
+
+  return { recovery, shares };
+}
+
+/**
+ * Pick the share lines out of a share file (which also holds instructions)
+ */
+function findShares(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.toLowerCase().startsWith(`${shamir.SHARE_PREFIX}-`));
+}
+
+/**
+ * Check share texts against the vault's kit. Returns the distinct decoded shares.
+ */
+function readShares(vault, shareTexts) {
+  if (!vault.recovery) {
+    throw new Error('This vault has no recovery kit');
+  }
+
+  const shares = [];
+  for (const text of shareTexts) {
+    const share = shamir.decodeShare(text);
+
+    if (share.kitId !== vault.recovery.kitId) {
+      throw new Error(`Share ${share.x} belongs to another recovery kit (${share.kitId}); this vault uses kit ${vault.recovery.kitId}`);
+    }
+
+    if (!shares.some(s => s.x === share.x && s.y.equals(share.y))) {
+      shares.push(share);
+    }
+  }
+
+  return shares;
+}
+
+/**
+ * Rebuild the data key from at least `threshold` shares of the vault's kit
+ */
+function recoverDataKey(vault, shareTexts) {
+  const shares = readShares(vault, shareTexts);
+  const { threshold } = vault.recovery;
+
+  if (shares.length < threshold) {
+    throw new Error(`${threshold} different shares are needed, got ${shares.length}`);
+  }
+
+  try {
+    return vaultFormat.openRecovery(vault.recovery, shamir.combine(shares));
+  } catch (error) {
+    throw new Error('These shares do not recover this vault');
+  }
+}
+
+/**
+ * Text of a share file: instructions followed by the share
+ */
+function shareFileText(recovery, share, index) {
+  return [
+    'KeyVault recovery share',
+    '',
+    `Share ${index} of ${recovery.shares}. Any ${recovery.threshold} shares of this kit (${recovery.kitId}) can reset`,
+    'the master password of the vault, so keep shares apart and give them only to',
+    'people you trust. Creating a new kit makes this one useless.',
+    '',
+    'To recover: keyvault recover <share files...>',
+    '',
+    share,
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  createKit,
+  findShares,
+  readShares,
+  recoverDataKey,
+  shareFileText
+};
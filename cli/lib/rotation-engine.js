@@ -0,0 +1,117 @@
+/**
+ * Rotation through provider plugins (see rotation-providers.js), shared by
+ * the CLI and the MCP server.
+ *
+ * rotateWithProvider mints a new credential, verifies it with a test request
+ * and passes the rotated entry to `commit`, which swaps it into the vault and
+ * saves it. The replaced value keeps working for the grace period and is then
+ * revoked by revokeDue, which the CLI and the MCP server run after every
+ * unlock. If verifying or committing fails, the new credential is revoked
+ * again and the vault is left as it was.
+ */
+
+const vaultFormat = require('./vault-format');
+const keyRotation = require('./key-rotation');
+const { getProvider } = require('./rotation-providers');
+const { keyFields } = require('./audit-events');
+
+/**
+ * Rotate an entry with its provider. Resolves to what `commit` returns.
+ */
+async function rotateWithProvider({ entry, dataKey, settings, providers, commit }) {
+  if (!entry.rotationProvider) {
+    throw new Error(`${entry.serviceName} has no rotation provider`);
+  }
+
+  const { id, config = {} } = entry.rotationProvider;
+  const provider = getProvider(providers, id);
+  const minted = await provider.mint({ keyValue: vaultFormat.decryptValue(dataKey, entry.keyValue), config });
+
+  try {
+    await provider.verify({ keyValue: minted.keyValue, config });
+
+    const rotated = keyRotation.rotateEntry(entry, vaultFormat.encryptValue(dataKey, minted.keyValue), settings);
+    const [previous, ...older] = rotated.history;
+
+    return await commit({
+      ...rotated,
+      providerCredentialId: minted.credentialId || null,
+      history: [{ ...previous, revoke: { provider: id, credentialId: entry.providerCredentialId || null } }, ...older]
+    });
+  } catch (error) {
+    // Roll back: the new credential never made it into the vault
+    try {
+      await provider.revoke({ keyValue: minted.keyValue, credentialId: minted.credentialId, config });
+    } catch (revokeError) {
+      throw new Error(`${error.message}; the new credential could not be revoked either: ${revokeError.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Old values rotated out by a provider whose grace period is over and that
+ * have not been revoked yet, as `{ entry, version }`. A value restored as the
+ * current one is left alone.
+ */
+function dueRevocations(vault, now = Date.now()) {
+  const due = [];
+
+  for (const entry of vault.keys) {
+    for (const version of entry.history || []) {
+      if (version.revoke && !version.revokedAt && version.validUntil <= now && version.keyValue !== entry.keyValue) {
+        due.push({ entry, version });
+      }
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Revoke the due old values with their providers. Revoked versions get
+ * `revokedAt` in the vault (which the caller saves); failed ones stay due.
+ * Resolves to `{ entry, version, error }` for each attempt.
+ */
+async function revokeDue(vault, dataKey, providers, now = Date.now()) {
+  const results = [];
+
+  for (const { entry, version } of dueRevocations(vault, now)) {
+    try {
+      const provider = getProvider(providers, version.revoke.provider);
+      await provider.revoke({
+        keyValue: vaultFormat.decryptValue(dataKey, version.keyValue),
+        credentialId: version.revoke.credentialId,
+        config: (entry.rotationProvider && entry.rotationProvider.config) || {}
+      });
+      version.revokedAt = Date.now();
+      results.push({ entry, version, error: null });
+    } catch (error) {
+      results.push({ entry, version, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Audit log `{ action, event }` for one result of revokeDue
+ */
+function revocationAudit({ entry, version, error }) {
+  const label = `${entry.serviceName} v${version.version}`;
+  return {
+    action: error ? `Revoking old value failed: ${label}: ${error}` : `Old value revoked: ${label}`,
+    event: {
+      type: 'key.revoke',
+      ...keyFields(entry),
+      ...(error ? { outcome: 'failure', error } : {})
+    }
+  };
+}
+
+module.exports = {
+  rotateWithProvider,
+  dueRevocations,
+  revokeDue,
+  revocationAudit
+};
@@ -0,0 +1,78 @@
+/**
+ * Rotation provider plugins, shared by the CLI and the MCP server.
+ *
+ * A provider mints, checks and revokes credentials for one service. It is an
+ * object with:
+ *
+ *   id      Unique name, stored on keys as `rotationProvider.id`
+ *   name    Description shown by `keyvault rotation providers`
+ *   mint({ keyValue, config })
+ *           Create a new credential, authenticating with the current value
+ *           `keyValue`. Resolves to `{ keyValue, credentialId }` (the id is
+ *           optional and handed back to revoke).
+ *   verify({ keyValue, config })
+ *           Make a test request with a credential; rejects if it does not work.
+ *   revoke({ keyValue, credentialId, config })
+ *           Revoke a credential.
+ *
+ * `config` is the key's `rotationProvider.config`: plain settings such as a
+ * base URL, stored like other key metadata, so never secrets. The bundled
+ * mock provider is always available; others are loaded from `*.js` files in
+ * the plugin directory (~/.keyvault/providers), each exporting one provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mockProvider = require('./mock-provider');
+
+const PROVIDER_METHODS = ['mint', 'verify', 'revoke'];
+
+function validateProvider(provider, source) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error(`Rotation provider in ${source} needs an id`);
+  }
+
+  for (const method of PROVIDER_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Rotation provider ${provider.id} (${source}) must implement ${method}()`);
+    }
+  }
+
+  return provider;
+}
+
+/**
+ * The bundled providers and the plugins in `pluginDir`, as a Map by id
+ */
+function loadProviders(pluginDir) {
+  const providers = new Map([[mockProvider.provider.id, mockProvider.provider]]);
+
+  if (pluginDir && fs.existsSync(pluginDir)) {
+    const files = fs.readdirSync(pluginDir).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const source = path.join(pluginDir, file);
+      const provider = validateProvider(require(source), source);
+
+      if (providers.has(provider.id)) {
+        throw new Error(`Duplicate rotation provider: ${provider.id} (${source})`);
+      }
+      providers.set(provider.id, provider);
+    }
+  }
+
+  return providers;
+}
+
+function getProvider(providers, id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown rotation provider: ${id} (available: ${[...providers.keys()].join(', ')})`);
+  }
+  return provider;
+}
+
+module.exports = {
+  loadProviders,
+  getProvider
+};
@@ -0,0 +1,126 @@
+/**
+ * Shamir secret sharing over GF(2^8), and the text form of recovery shares.
+ * Mirrored by background/shamir.js in the extension; both produce the share
+ * format described in VAULT_FORMAT.md.
+ */
+
+const crypto = require('crypto');
+
+const SHARE_PREFIX = 'kvr1';
+const MAX_SHARES = 255;
+
+// Log/antilog tables for GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function divide(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into `count` shares, any `threshold` of which rebuild it.
+ * Returns [{ x, y }] where x is 1..count and y a Buffer as long as the secret.
+ */
+function split(secret, threshold, count) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(count) || threshold < 2 || threshold > count || count > MAX_SHARES) {
+    throw new Error(`Need 2 <= threshold <= shares <= ${MAX_SHARES}`);
+  }
+
+  const shares = Array.from({ length: count }, (_, i) => ({ x: i + 1, y: Buffer.alloc(secret.length) }));
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    // Random polynomial of degree threshold - 1 whose constant term is the secret byte
+    const coefficients = [secret[byte], ...crypto.randomBytes(threshold - 1)];
+
+    for (const share of shares) {
+      let y = 0;
+      for (let k = coefficients.length - 1; k >= 0; k--) {
+        y = multiply(y, share.x) ^ coefficients[k];
+      }
+      share.y[byte] = y;
+    }
+  }
+
+  return shares;
+}
+
+/**
+ * Rebuild the secret from shares by Lagrange interpolation at x = 0.
+ * Fewer than `threshold` shares give a wrong result, not an error.
+ */
+function combine(shares) {
+  const xs = shares.map(share => share.x);
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('The same share was given twice');
+  }
+
+  const secret = Buffer.alloc(shares[0].y.length);
+
+  shares.forEach((share, i) => {
+    let basis = 1;
+    shares.forEach((other, j) => {
+      if (i !== j) {
+        basis = multiply(basis, divide(other.x, other.x ^ share.x));
+      }
+    });
+
+    for (let byte = 0; byte < secret.length; byte++) {
+      secret[byte] ^= multiply(share.y[byte], basis);
+    }
+  });
+
+  return secret;
+}
+
+function checksum(body) {
+  return crypto.createHash('sha256').update(body).digest('hex').slice(0, 8);
+}
+
+/**
+ * Text form of a share: kvr1-<kitId>-<threshold>-<x>-<y as hex>-<checksum>
+ */
+function encodeShare({ kitId, threshold, x, y }) {
+  const body = [SHARE_PREFIX, kitId, threshold, x, y.toString('hex')].join('-');
+  return `${body}-${checksum(body)}`;
+}
+
+/**
+ * Parse a share typed or pasted by a user (whitespace and case are ignored)
+ */
+function decodeShare(text) {
+  const normalized = text.replace(/\s+/g, '').toLowerCase();
+  const match = normalized.match(/^kvr1-([0-9a-f]{8})-(\d+)-(\d+)-((?:[0-9a-f]{2})+)-([0-9a-f]{8})$/);
+
+  if (!match) {
+    throw new Error('Not a KeyVault recovery share');
+  }
+
+  const body = normalized.slice(0, normalized.lastIndexOf('-'));
+  if (checksum(body) !== match[5]) {
+    throw new Error('Recovery share checksum does not match; check it for typos');
+  }
+
+  return {
+    kitId: match[1],
+    threshold: parseInt(match[2], 10),
+    x: parseInt(match[3], 10),
+    y: Buffer.from(match[4], 'hex')
+  };
+}
+
+module.exports = {
+  SHARE_PREFIX,
+  split,
+  combine,
+  encodeShare,
+  decodeShare
+};
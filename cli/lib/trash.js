@@ -0,0 +1,110 @@
+/**
+ * Trash for deleted keys in the vault file, shared by the CLI and the MCP server.
+ * Mirrors StorageManager's trash in the extension: trashed entries are always
+ * sealed, and only `deletedAt` stays readable so expired entries can be purged
+ * without the data key.
+ */
+
+const vaultFormat = require('./vault-format');
+
+const TRASH_SETTINGS_DEFAULTS = {
+  trashRetentionDays: 30
+};
+
+function retentionMs(settings = {}) {
+  const { trashRetentionDays } = { ...TRASH_SETTINGS_DEFAULTS, ...settings };
+  return trashRetentionDays > 0 ? trashRetentionDays * 24 * 60 * 60 * 1000 : 0;
+}
+
+/**
+ * Move an (opened) entry from vault.keys into vault.trash
+ */
+function moveToTrash(vault, dataKey, id) {
+  const entry = vault.keys.find(k => k.id === id);
+  if (!entry) {
+    throw new Error(`Key not found: ${id}`);
+  }
+
+  vault.trash.unshift({
+    ...vaultFormat.sealEntry(dataKey, vaultFormat.openEntry(dataKey, entry)),
+    deletedAt: Date.now()
+  });
+  vault.keys = vault.keys.filter(k => k.id !== id);
+}
+
+/**
+ * List trashed entries (metadata only, no values), newest first
+ */
+function listTrash(vault, dataKey) {
+  const retention = retentionMs(vault.settings);
+
+  return vault.trash.map(record => {
+    const { keyValue, fields, history, ...key } = vaultFormat.openEntry(dataKey, record);
+    return {
+      ...key,
+      deletedAt: record.deletedAt,
+      purgeAt: retention ? record.deletedAt + retention : null
+    };
+  });
+}
+
+/**
+ * Find a trashed entry by id prefix or exact service name
+ */
+function findInTrash(vault, dataKey, idOrName) {
+  return listTrash(vault, dataKey).find(k =>
+    k.id.startsWith(idOrName) ||
+    k.serviceName.toLowerCase() === idOrName.toLowerCase()
+  );
+}
+
+/**
+ * Move a trashed entry back into vault.keys (opened; saving re-seals as configured)
+ */
+function restoreFromTrash(vault, dataKey, id) {
+  const record = vault.trash.find(k => k.id === id);
+  if (!record) {
+    throw new Error(`Key not found in trash: ${id}`);
+  }
+
+  const key = vaultFormat.openEntry(dataKey, { id: record.id, sealed: record.sealed });
+  vault.keys.push(key);
+  vault.trash = vault.trash.filter(k => k.id !== id);
+  return key;
+}
+
+/**
+ * Permanently delete one trashed entry, or all of them when no id is given.
+ * Returns the number of entries removed.
+ */
+function emptyTrash(vault, id = null) {
+  const before = vault.trash.length;
+  vault.trash = id ? vault.trash.filter(k => k.id !== id) : [];
+  return before - vault.trash.length;
+}
+
+/**
+ * Drop trashed entries older than the retention period. Needs no key.
+ * Returns the number of entries removed.
+ */
+function purgeExpired(vault) {
+  const retention = retentionMs(vault.settings);
+  if (!retention || vault.trash.length === 0) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - retention;
+  const before = vault.trash.length;
+  vault.trash = vault.trash.filter(k => k.deletedAt >= cutoff);
+  return before - vault.trash.length;
+}
+
+module.exports = {
+  TRASH_SETTINGS_DEFAULTS,
+  moveToTrash,
+  listTrash,
+  findInTrash,
+  restoreFromTrash,
+  emptyTrash,
+  purgeExpired
+};
@@ -0,0 +1,175 @@
+/**
+ * Throttling of master password guesses, shared by the CLI and the MCP server
+ * through ~/.keyvault/unlock-attempts.json (readState, beginAttempt,
+ * cancelAttempt, clearAttempts) and mirrored by background/unlock-throttle.js, where the
+ * extension keeps the state in storage.
+ *
+ * The first `unlockFreeAttempts` failures in a row cost nothing. Each one
+ * after that makes the next attempt wait, doubling from `unlockBackoffSeconds`
+ * up to `unlockMaxBackoffSeconds`. After `unlockMaxAttempts` failures in a row
+ * (0: never) unlocking is refused for `unlockLockoutMinutes`, and each further
+ * failure starts a new lockout. A successful unlock clears the count.
+ *
+ * An attempt is counted as failed before the password is checked and cleared
+ * if it was right, so guesses made in parallel are throttled too. If the check
+ * fails for another reason (an unreadable vault, a held lock) the attempt is
+ * taken back, so only wrong passwords count.
+ */
+
+const fs = require('fs');
+const vaultFile = require('./vault-file');
+
+const THROTTLE_SETTINGS_DEFAULTS = {
+  unlockFreeAttempts: 3,
+  unlockBackoffSeconds: 2,
+  unlockMaxBackoffSeconds: 300,
+  unlockMaxAttempts: 10,
+  unlockLockoutMinutes: 60
+};
+
+/**
+ * State with no failed attempts
+ */
+function emptyThrottle() {
+  return { failures: 0, blockedUntil: 0, lockedOut: false };
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 120) {
+    return `${seconds} seconds`;
+  }
+  return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Throw if an unlock attempt is not allowed yet. The error has code
+ * EUNLOCKTHROTTLED.
+ */
+function assertUnlockAllowed(state, now = Date.now()) {
+  const { failures = 0, blockedUntil = 0, lockedOut = false } = state || {};
+
+  if (blockedUntil > now) {
+    const error = new Error(lockedOut
+      ? `Unlocking is locked out after ${failures} failed attempts. Try again in ${formatWait(blockedUntil - now)}`
+      : `Too many failed unlock attempts. Try again in ${formatWait(blockedUntil - now)}`);
+    error.code = 'EUNLOCKTHROTTLED';
+    throw error;
+  }
+}
+
+/**
+ * The state after one more failed attempt. `lockedOut` is set when it
+ * starts a lockout.
+ */
+function recordFailure(state, settings = {}, now = Date.now()) {
+  const options = { ...THROTTLE_SETTINGS_DEFAULTS };
+  for (const name of Object.keys(THROTTLE_SETTINGS_DEFAULTS)) {
+    if (settings[name] >= 0) {
+      options[name] = settings[name];
+    }
+  }
+
+  const failures = ((state && state.failures) || 0) + 1;
+
+  if (options.unlockMaxAttempts > 0 && failures >= options.unlockMaxAttempts) {
+    return { failures, blockedUntil: now + options.unlockLockoutMinutes * 60 * 1000, lockedOut: true };
+  }
+
+  const extra = failures - options.unlockFreeAttempts;
+  const delaySeconds = extra > 0
+    ? Math.min(options.unlockMaxBackoffSeconds, options.unlockBackoffSeconds * 2 ** (extra - 1))
+    : 0;
+
+  return { failures, blockedUntil: delaySeconds > 0 ? now + delaySeconds * 1000 : 0, lockedOut: false };
+}
+
+/**
+ * The state with a failed attempt taken back, when the attempt failed for a
+ * reason other than a wrong password. `attempt` is what recordFailure returned
+ * for `previous`; if other attempts were recorded since, only the count goes
+ * down and any wait they started stays.
+ */
+function withdrawFailure(state, attempt, previous) {
+  const current = state || emptyThrottle();
+
+  if (current.failures === attempt.failures && current.blockedUntil === attempt.blockedUntil) {
+    return previous || emptyThrottle();
+  }
+  return { ...current, failures: Math.max(0, current.failures - 1) };
+}
+
+/**
+ * Audit log text for a lockout that has just started
+ */
+function lockoutMessage(settings = {}) {
+  const minutes = settings.unlockLockoutMinutes >= 0
+    ? settings.unlockLockoutMinutes
+    : THROTTLE_SETTINGS_DEFAULTS.unlockLockoutMinutes;
+  return `Unlocking locked out for ${minutes} minutes after repeated failed attempts`;
+}
+
+/**
+ * The attempts recorded in a state file
+ */
+function readState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return emptyThrottle();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start an unlock attempt: throws while throttled, otherwise records it as
+ * failed until clearAttempts or cancelAttempt is called. Returns the recorded
+ * state, with the one before it as `previous`. Like the functions below it
+ * takes the lock with `lock` (see vault-file.js), and returns a promise when
+ * that is withLockAsync.
+ */
+function beginAttempt(statePath, settings = {}, lock = vaultFile.withLock, now = Date.now()) {
+  return lock(statePath, () => {
+    const state = readState(statePath);
+    assertUnlockAllowed(state, now);
+
+    const next = recordFailure(state, settings, now);
+    vaultFile.writeFileAtomic(statePath, JSON.stringify(next, null, 2));
+    return { ...next, previous: state };
+  });
+}
+
+/**
+ * Take back an attempt from beginAttempt that failed for a reason other than
+ * a wrong password
+ */
+function cancelAttempt(statePath, attempt, lock = vaultFile.withLock) {
+  return lock(statePath, () => {
+    const state = withdrawFailure(readState(statePath), attempt, attempt.previous);
+    vaultFile.writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+  });
+}
+
+/**
+ * Clear the failed attempts after a successful unlock or a password reset
+ */
+function clearAttempts(statePath, lock = vaultFile.withLock) {
+  return lock(statePath, () => {
+    fs.rmSync(statePath, { force: true });
+  });
+}
+
+module.exports = {
+  THROTTLE_SETTINGS_DEFAULTS,
+  emptyThrottle,
+  assertUnlockAllowed,
+  recordFailure,
+  withdrawFailure,
+  lockoutMessage,
+  readState,
+  beginAttempt,
+  cancelAttempt,
+  clearAttempts
+};
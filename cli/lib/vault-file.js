@@ -0,0 +1,296 @@
+/**
+ * Safe access to ~/.keyvault/vault.json, shared by the CLI and the MCP server.
+ *
+ * - Writes are atomic: a temp file in the same directory is fsynced and renamed
+ *   over vault.json, so a crash never leaves a half-written vault.
+ * - Writers hold an advisory lock file (vault.json.lock) while they check and
+ *   replace the file. The CLI waits for it with withLock, which blocks; the
+ *   MCP server passes withLockAsync, so waiting doesn't stall its other
+ *   requests.
+ * - Each read returns a revision (hash of the file contents). A write made
+ *   against an older revision fails with code EVAULTCONFLICT instead of
+ *   silently overwriting another process's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+const STALE_LOCK_MS = 30000;
+
+function revisionOf(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function conflictError() {
+  const error = new Error('Vault was changed by another process while this one was working. Nothing was saved; run the command again.');
+  error.code = 'EVAULTCONFLICT';
+  return error;
+}
+
+/**
+ * Read and parse the vault. Returns { vault, revision }, or null if there is no vault.
+ */
+function readVault(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  return { vault: JSON.parse(text), revision: revisionOf(text) };
+}
+
+/**
+ * Current revision of the file on disk (null if it does not exist)
+ */
+function currentRevision(filePath) {
+  try {
+    return revisionOf(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename, then fsync the directory
+ */
+function writeFileAtomic(filePath, text) {
+  const dir = path.dirname(filePath);
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  const fd = fs.openSync(tmpPath, 'w', 0o600);
+  try {
+    fs.writeFileSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+
+  // Persist the rename itself; not supported on every platform
+  try {
+    const dirFd = fs.openSync(dir, 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (error) {
+    // Best effort
+  }
+}
+
+/**
+ * The contents of a lock file left behind by a process that is gone, or null
+ * when the lock is held (or has already been released)
+ */
+function readStaleLock(lockPath) {
+  let text;
+  try {
+    text = fs.readFileSync(lockPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    const { pid, createdAt } = JSON.parse(text);
+
+    if (Date.now() - createdAt > STALE_LOCK_MS) {
+      return text;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return null;
+    } catch (error) {
+      return error.code === 'ESRCH' ? text : null;
+    }
+  } catch (error) {
+    // Half-written lock: judge by age
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS ? text : null;
+    } catch (statError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Remove a stale lock, provided it is still the one that was inspected. Two
+ * processes can judge the same lock stale, and the slower one must not remove
+ * the lock the faster one has just taken: the lock is renamed aside first and
+ * put back if it turns out to be a different one.
+ */
+function removeStaleLock(lockPath, staleText) {
+  const asidePath = `${lockPath}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    fs.renameSync(lockPath, asidePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  if (fs.readFileSync(asidePath, 'utf8') !== staleText) {
+    try {
+      fs.linkSync(asidePath, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  fs.rmSync(asidePath, { force: true });
+}
+
+/**
+ * Take the lock file if it is free, clearing a stale one first. Returns false
+ * while another process holds it.
+ */
+function tryLock(lockPath) {
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx', 0o600);
+      fs.writeFileSync(fd, JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      const staleText = readStaleLock(lockPath);
+      if (staleText === null) {
+        return false;
+      }
+      removeStaleLock(lockPath, staleText);
+    }
+  }
+}
+
+function lockTimeoutError(lockPath) {
+  return new Error(`Vault is locked by another process. Try again, or remove ${lockPath} if no KeyVault process is running.`);
+}
+
+/**
+ * Run fn while holding the vault's advisory lock file. Blocks while waiting
+ * for it, which suits the CLI's one command per process.
+ */
+function withLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) {
+      throw lockTimeoutError(lockPath);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * withLock for a long-running server: waits for the lock on a timer, so other
+ * work carries on meanwhile. fn still runs synchronously under the lock.
+ * Resolves to what fn returns.
+ */
+async function withLockAsync(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) {
+      throw lockTimeoutError(lockPath);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Replace the vault, provided nobody else wrote it since expectedRevision was
+ * read (null: the file must not exist yet). Returns the new revision, or a
+ * promise of it when `lock` is withLockAsync.
+ */
+function writeVault(filePath, vault, expectedRevision, lock = withLock) {
+  const text = JSON.stringify(vault, null, 2);
+
+  return lock(filePath, () => {
+    if (currentRevision(filePath) !== expectedRevision) {
+      throw conflictError();
+    }
+
+    writeFileAtomic(filePath, text);
+    return revisionOf(text);
+  });
+}
+
+/**
+ * Read-modify-write under the lock, for changes that can be re-applied to
+ * whatever is on disk (usage counters, for example). mutate receives the
+ * latest vault and returns the vault to write, or null to leave it unchanged.
+ * Returns { vault, revision } as now on disk (a promise of it with
+ * withLockAsync as `lock`).
+ */
+function updateVault(filePath, mutate, lock = withLock) {
+  return lock(filePath, () => {
+    const current = readVault(filePath);
+    if (!current) {
+      throw new Error('Vault not found');
+    }
+
+    const updated = mutate(current.vault);
+    if (!updated) {
+      return current;
+    }
+
+    const text = JSON.stringify(updated, null, 2);
+    writeFileAtomic(filePath, text);
+    return { vault: updated, revision: revisionOf(text) };
+  });
+}
+
+module.exports = {
+  readVault,
+  writeVault,
+  updateVault,
+  writeFileAtomic,
+  withLock,
+  withLockAsync
+};
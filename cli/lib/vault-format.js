@@ -0,0 +1,432 @@
+/**
+ * KeyVault vault file format (v2)
+ * Shared by the CLI and the MCP server. See VAULT_FORMAT.md for the layout.
+ */
+
+const crypto = require('crypto');
+const { SCHEMA_VERSION } = require('./vault-migrations');
+const { mapSecretFields } = require('./key-fields');
+
+const FORMAT_NAME = 'keyvault';
+const FORMAT_VERSION = 2;
+
+/**
+ * KDF preferences, stored in vault.settings under the same names the
+ * extension uses. scrypt is the memory-hard default (N = 2^scryptCost).
+ */
+const KDF_SETTINGS_DEFAULTS = {
+  kdfAlgorithm: 'scrypt',
+  scryptCost: 15,
+  pbkdf2Iterations: 600000
+};
+
+const SUPPORTED_KDFS = ['scrypt', 'pbkdf2-sha256'];
+
+const CIPHER = {
+  algorithm: 'aes-256-gcm',
+  nonceLength: 12,
+  tagLength: 16
+};
+
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Check whether a parsed vault uses the pre-v2 (SHA-256 + createCipher) scheme
+ */
+function isLegacyVault(vault) {
+  return !!vault && vault.format !== FORMAT_NAME;
+}
+
+/**
+ * Check whether a parsed JSON document is a v2 vault (or a .kvp export in the same format)
+ */
+function isVaultDocument(doc) {
+  return !!doc && doc.format === FORMAT_NAME && doc.version === FORMAT_VERSION;
+}
+
+/**
+ * Build the KDF parameters (without salt) a vault should use, from its settings
+ */
+function kdfOptions(settings = {}) {
+  const preferences = { ...KDF_SETTINGS_DEFAULTS, ...settings };
+
+  if (preferences.kdfAlgorithm === 'pbkdf2-sha256') {
+    return { algorithm: 'pbkdf2-sha256', iterations: preferences.pbkdf2Iterations };
+  }
+  if (preferences.kdfAlgorithm === 'scrypt') {
+    return { algorithm: 'scrypt', N: 2 ** preferences.scryptCost, r: 8, p: 1 };
+  }
+
+  throw new Error(`Unsupported KDF: ${preferences.kdfAlgorithm}`);
+}
+
+/**
+ * Check whether a header's KDF already uses the given parameters
+ */
+function kdfMatches(kdf, options) {
+  return Object.keys(options).every(name => kdf[name] === options[name]);
+}
+
+/**
+ * Derive the key-encryption key from the master password using the header's KDF parameters
+ */
+function deriveKey(password, kdf) {
+  const salt = Buffer.from(kdf.salt, 'base64');
+
+  if (kdf.algorithm === 'pbkdf2-sha256') {
+    return crypto.pbkdf2Sync(password, salt, kdf.iterations, KEY_LENGTH, 'sha256');
+  }
+
+  if (kdf.algorithm === 'scrypt') {
+    return crypto.scryptSync(password, salt, KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    });
+  }
+
+  throw new Error(`Unsupported KDF: ${kdf.algorithm}`);
+}
+
+/**
+ * Encrypt bytes with AES-256-GCM. Output is nonce || ciphertext || tag.
+ */
+function seal(key, plaintext) {
+  const nonce = crypto.randomBytes(CIPHER.nonceLength);
+  const cipher = crypto.createCipheriv(CIPHER.algorithm, key, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([nonce, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt bytes produced by seal()
+ */
+function open(key, sealed) {
+  const nonce = sealed.subarray(0, CIPHER.nonceLength);
+  const tag = sealed.subarray(sealed.length - CIPHER.tagLength);
+  const ciphertext = sealed.subarray(CIPHER.nonceLength, sealed.length - CIPHER.tagLength);
+
+  const decipher = crypto.createDecipheriv(CIPHER.algorithm, key, nonce);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Wrap the data key under a password and return the header fields that describe it
+ */
+function wrapDataKey(dataKey, password, options = kdfOptions()) {
+  const kdf = {
+    ...options,
+    salt: crypto.randomBytes(SALT_LENGTH).toString('base64')
+  };
+
+  const sealed = seal(deriveKey(password, kdf), dataKey);
+
+  return {
+    kdf,
+    cipher: { ...CIPHER },
+    keyWrap: {
+      nonce: sealed.subarray(0, CIPHER.nonceLength).toString('base64'),
+      ciphertext: sealed.subarray(CIPHER.nonceLength).toString('base64')
+    }
+  };
+}
+
+/**
+ * Create an empty v2 vault. Returns the vault document and its unwrapped data key.
+ */
+function createVault(password, settings = {}) {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+  const vault = {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    created: new Date().toISOString(),
+    ...wrapDataKey(dataKey, password, kdfOptions(settings)),
+    keys: [],
+    trash: [],
+    settings: {},
+    auditLog: [],
+    templates: []
+  };
+
+  return { vault, dataKey };
+}
+
+/**
+ * Unwrap the data key of a v2 vault. Throws if the password is wrong.
+ */
+function unlockVault(vault, password) {
+  if (!isVaultDocument(vault)) {
+    throw new Error(`Unsupported vault format: ${vault.format || 'legacy'} v${vault.version}`);
+  }
+
+  if (vault.cipher.algorithm !== CIPHER.algorithm) {
+    throw new Error(`Unsupported cipher: ${vault.cipher.algorithm}`);
+  }
+
+  if (!SUPPORTED_KDFS.includes(vault.kdf.algorithm)) {
+    throw new Error(`Unsupported KDF: ${vault.kdf.algorithm}`);
+  }
+
+  const sealed = Buffer.concat([
+    Buffer.from(vault.keyWrap.nonce, 'base64'),
+    Buffer.from(vault.keyWrap.ciphertext, 'base64')
+  ]);
+
+  try {
+    return open(deriveKey(password, vault.kdf), sealed);
+  } catch (error) {
+    throw new Error('Invalid password');
+  }
+}
+
+/**
+ * Re-wrap the data key when the vault's KDF differs from its configured
+ * preferences. Secrets stay encrypted under the same data key, so only the
+ * header changes. Returns the upgraded vault, or null if nothing changed.
+ */
+function upgradeKdf(vault, dataKey, password) {
+  const options = kdfOptions(vault.settings);
+  if (kdfMatches(vault.kdf, options)) {
+    return null;
+  }
+
+  return {
+    ...vault,
+    ...wrapDataKey(dataKey, password, options)
+  };
+}
+
+/**
+ * Wrap the data key under a new master password, keeping every secret as it
+ * is. Used when the old password is unknown (recovery) and the key must stay
+ * the same.
+ */
+function resetPassword(vault, dataKey, newPassword) {
+  return {
+    ...vault,
+    ...wrapDataKey(dataKey, newPassword, kdfOptions(vault.settings))
+  };
+}
+
+/**
+ * Build the header's `recovery` block: the data key wrapped under a recovery
+ * secret (which is split into shares), and the secret wrapped under the data
+ * key so the kit can follow the vault to a new data key
+ */
+function sealRecovery(dataKey, secret, kit) {
+  return {
+    ...kit,
+    keyWrap: encryptValue(secret, dataKey.toString('base64')),
+    secret: encryptValue(dataKey, secret.toString('base64'))
+  };
+}
+
+/**
+ * Unwrap the data key with a rebuilt recovery secret. Throws if the secret is wrong.
+ */
+function openRecovery(recovery, secret) {
+  return Buffer.from(decryptValue(secret, recovery.keyWrap), 'base64');
+}
+
+/**
+ * Describe a header's KDF for display
+ */
+function describeKdf(kdf) {
+  if (kdf.algorithm === 'scrypt') {
+    return `scrypt (N=2^${Math.log2(kdf.N)}, r=${kdf.r}, p=${kdf.p})`;
+  }
+  return `${kdf.algorithm} (${kdf.iterations} iterations)`;
+}
+
+/**
+ * Encrypt a secret value under the vault data key
+ */
+function encryptValue(dataKey, text) {
+  return seal(dataKey, Buffer.from(text, 'utf8')).toString('base64');
+}
+
+/**
+ * Decrypt a secret value produced by encryptValue()
+ */
+function decryptValue(dataKey, encoded) {
+  return open(dataKey, Buffer.from(encoded, 'base64')).toString('utf8');
+}
+
+/**
+ * Check whether a stored entry has its metadata sealed
+ */
+function isSealedEntry(entry) {
+  return typeof entry.sealed === 'string';
+}
+
+/**
+ * Seal everything but the id of an entry, so a locked vault reveals only the entry count
+ */
+function sealEntry(dataKey, entry) {
+  const { id, ...metadata } = entry;
+  return { id, sealed: encryptValue(dataKey, JSON.stringify(metadata)) };
+}
+
+/**
+ * Decrypt the metadata of a sealed entry. Plain entries are returned unchanged.
+ */
+function openEntry(dataKey, entry) {
+  if (!isSealedEntry(entry)) {
+    return entry;
+  }
+  return { id: entry.id, ...JSON.parse(decryptValue(dataKey, entry.sealed)) };
+}
+
+/**
+ * Open all entries of an unlocked vault in place
+ */
+function openEntries(vault, dataKey) {
+  vault.keys = (vault.keys || []).map(entry => openEntry(dataKey, entry));
+  return vault;
+}
+
+/**
+ * Return a copy of the vault ready to be written, with entries sealed when
+ * the encryptMetadata setting is on
+ */
+function storeEntries(vault, dataKey) {
+  const encryptMetadata = !!(vault.settings && vault.settings.encryptMetadata);
+
+  return {
+    ...vault,
+    keys: (vault.keys || []).map(entry => {
+      const opened = openEntry(dataKey, entry);
+      return encryptMetadata ? sealEntry(dataKey, opened) : opened;
+    })
+  };
+}
+
+/**
+ * Re-encrypt every secret under a new data key wrapped by a new password.
+ * Returns a new vault object with opened entries (pass it through
+ * storeEntries() before writing); the input vault is left untouched, so a
+ * failure on any entry leaves nothing half re-keyed.
+ */
+function rekeyVault(vault, dataKey, newPassword) {
+  const fresh = createVault(newPassword, vault.settings);
+
+  const reencrypt = encoded => encryptValue(fresh.dataKey, decryptValue(dataKey, encoded));
+
+  const rekeyEntry = entry => {
+    try {
+      const key = openEntry(dataKey, entry);
+      return {
+        ...key,
+        keyValue: reencrypt(key.keyValue),
+        fields: mapSecretFields(key.fields, reencrypt),
+        history: (key.history || []).map(version => ({
+          ...version,
+          keyValue: reencrypt(version.keyValue),
+          fields: mapSecretFields(version.fields, reencrypt)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Cannot re-encrypt key ${entry.id}: ${error.message}`);
+    }
+  };
+
+  // Trashed entries are always sealed and keep their deletion time in the clear
+  const trash = (vault.trash || []).map(entry => ({
+    ...sealEntry(fresh.dataKey, rekeyEntry(entry)),
+    deletedAt: entry.deletedAt
+  }));
+
+  // An existing recovery kit keeps working: its secret now wraps the new data key
+  let recovery;
+  if (vault.recovery) {
+    const { keyWrap, secret, ...kit } = vault.recovery;
+    recovery = sealRecovery(fresh.dataKey, Buffer.from(decryptValue(dataKey, secret), 'base64'), kit);
+  }
+
+  return {
+    vault: {
+      ...vault,
+      kdf: fresh.vault.kdf,
+      cipher: fresh.vault.cipher,
+      keyWrap: fresh.vault.keyWrap,
+      keys: vault.keys.map(rekeyEntry),
+      trash,
+      recovery,
+      auditKey: vault.auditKey && reencrypt(vault.auditKey)
+    },
+    dataKey: fresh.dataKey
+  };
+}
+
+/**
+ * OpenSSL EVP_BytesToKey (MD5, one round, no salt) as used by the removed
+ * crypto.createCipher(). Needed to read legacy vaults on current Node versions.
+ */
+function legacyKeyAndIv(password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password, 'utf8')])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+}
+
+function legacyDecrypt(password, encrypted) {
+  const { key, iv } = legacyKeyAndIv(password);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+/**
+ * Convert a legacy vault (SHA-256 password hash, aes-256-cbc via createCipher)
+ * into a v2 vault. Throws if the password does not match the legacy hash.
+ */
+function migrateLegacyVault(legacy, password) {
+  const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
+  if (passwordHash !== legacy.passwordHash) {
+    throw new Error('Invalid password');
+  }
+
+  const { vault, dataKey } = createVault(password);
+  vault.created = legacy.created || vault.created;
+  vault.keys = (legacy.keys || []).map(key => ({
+    ...key,
+    keyValue: encryptValue(dataKey, legacyDecrypt(password, key.keyValue))
+  }));
+
+  return { vault, dataKey };
+}
+
+module.exports = {
+  FORMAT_NAME,
+  FORMAT_VERSION,
+  KDF_SETTINGS_DEFAULTS,
+  isLegacyVault,
+  isVaultDocument,
+  createVault,
+  unlockVault,
+  upgradeKdf,
+  resetPassword,
+  sealRecovery,
+  openRecovery,
+  describeKdf,
+  encryptValue,
+  decryptValue,
+  isSealedEntry,
+  sealEntry,
+  openEntry,
+  openEntries,
+  storeEntries,
+  rekeyVault,
+  migrateLegacyVault
+};
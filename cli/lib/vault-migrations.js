@@ -0,0 +1,127 @@
+/**
+ * Schema migrations for ~/.keyvault/vault.json, shared by the CLI and the MCP server.
+ *
+ * `schemaVersion` records the last migration applied to a v2 document; a
+ * document without it is schema 0. It is independent of `version`, which is
+ * the encryption format. Migrations run in order when the vault is loaded,
+ * before it is unlocked, so they cannot read sealed entries or secret values.
+ * Legacy (pre-v2) vaults are converted on unlock and start at the current schema.
+ *
+ * To change the stored shape, append a migration; never edit one that has shipped.
+ */
+
+const fs = require('fs');
+const vaultFile = require('./vault-file');
+const auditChain = require('./audit-chain');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add settings, audit log and trash containers',
+    migrate: vault => ({
+      ...vault,
+      settings: vault.settings || {},
+      auditLog: vault.auditLog || [],
+      trash: vault.trash || []
+    })
+  },
+  {
+    version: 2,
+    description: 'Hash-chain existing audit log entries',
+    migrate: vault => ({
+      ...vault,
+      ...auditChain.chainEntries(vault.auditLog)
+    })
+  },
+  {
+    version: 3,
+    description: 'Add the user key templates list',
+    migrate: vault => ({
+      ...vault,
+      templates: vault.templates || []
+    })
+  },
+  {
+    version: 4,
+    description: 'Mark audit log heads written without a MAC for signing on the next unlock',
+    migrate: vault => (vault.auditHead && vault.auditHead.mac === null
+      ? { ...vault, auditHead: { ...vault.auditHead, legacy: true } }
+      : vault)
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Check whether a vault is behind the current schema. Throws if it was
+ * written by a newer KeyVault, which this one must not modify.
+ */
+function needsMigration(vault) {
+  const schemaVersion = vault.schemaVersion || 0;
+
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Vault uses schema ${schemaVersion}, but this version of KeyVault only supports up to ${SCHEMA_VERSION}. Update KeyVault.`);
+  }
+
+  return schemaVersion < SCHEMA_VERSION;
+}
+
+/**
+ * Apply the pending migrations to a parsed vault. Returns a new object.
+ */
+function migrateVault(vault) {
+  let migrated = vault;
+
+  for (const migration of MIGRATIONS.filter(m => m.version > (vault.schemaVersion || 0))) {
+    try {
+      migrated = { ...migration.migrate(migrated), schemaVersion: migration.version };
+    } catch (error) {
+      throw new Error(`Vault migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }
+
+  return migrated;
+}
+
+/**
+ * Migrate vault.json in place under the vault lock. The file is copied to
+ * vault.json.schema-<N>.bak first; the copy is removed once the migrated
+ * vault has been written and kept if anything fails.
+ * Returns { vault, revision } as now on disk, or a promise of it when `lock`
+ * is vaultFile.withLockAsync.
+ */
+function migrateVaultFile(filePath, lock = vaultFile.withLock) {
+  let backupPath = null;
+  const removeBackup = (result) => {
+    if (backupPath) {
+      fs.rmSync(backupPath, { force: true });
+    }
+    return result;
+  };
+
+  const result = vaultFile.updateVault(filePath, vault => {
+    if (!needsMigration(vault)) {
+      return null;
+    }
+
+    backupPath = `${filePath}.schema-${vault.schemaVersion || 0}.bak`;
+    fs.copyFileSync(filePath, backupPath);
+
+    try {
+      return migrateVault(vault);
+    } catch (error) {
+      error.message += `. The previous vault was kept at ${backupPath}`;
+      throw error;
+    }
+  }, lock);
+
+  return result instanceof Promise ? result.then(removeBackup) : removeBackup(result);
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  needsMigration,
+  migrateVault,
+  migrateVaultFile
+};
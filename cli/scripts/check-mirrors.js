@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Check that the modules shared by the CLI and the extension have not drifted
+ * apart. cli/lib keeps the CommonJS copy and background/ the ES module one;
+ * apart from the header comment, imports and exports they must be identical.
+ * Run with `npm run check:mirrors` from cli/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const MIRRORS = [
+  ['cli/lib/search-query.js', 'background/search-query.js'],
+  ['cli/lib/key-folders.js', 'background/key-folders.js'],
+  ['cli/lib/key-duplicates.js', 'background/key-duplicates.js'],
+  ['cli/lib/key-templates.js', 'background/key-templates.js'],
+  ['cli/lib/audit-events.js', 'background/audit-events.js']
+];
+
+/**
+ * Module source without its header comment, import/require lines and
+ * exports, so the two module systems compare equal
+ */
+function normalize(source) {
+  return source
+    .replace(/^\s*\/\*\*[\s\S]*?\*\/\s*/, '')
+    .replace(/^module\.exports = \{[\s\S]*?\};?\s*$/m, '')
+    .split('\n')
+    .filter(line => !/^import .* from '.*';$/.test(line) && !/^const .* = require\('.*'\);$/.test(line))
+    .map(line => line.replace(/^export (?!default)/, ''))
+    .join('\n')
+    .trim();
+}
+
+function firstDifference(a, b) {
+  const left = a.split('\n');
+  const right = b.split('\n');
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] !== right[i]) {
+      return { left: left[i], right: right[i] };
+    }
+  }
+  return null;
+}
+
+let failed = false;
+
+for (const [cliPath, extensionPath] of MIRRORS) {
+  const difference = firstDifference(
+    normalize(fs.readFileSync(path.join(ROOT, cliPath), 'utf8')),
+    normalize(fs.readFileSync(path.join(ROOT, extensionPath), 'utf8'))
+  );
+
+  if (difference) {
+    failed = true;
+    console.error(`${cliPath} and ${extensionPath} differ:`);
+    console.error(`  - ${difference.left === undefined ? '(end of file)' : difference.left.trim()}`);
+    console.error(`  + ${difference.right === undefined ? '(end of file)' : difference.right.trim()}`);
+  }
+}
+
+if (failed) {
+  process.exit(1);
+}
+
+console.log(`${MIRRORS.length} mirrored modules match`);
@@ -7,6 +7,7 @@ class KeyVaultContent {
     this.currentDomain = window.location.hostname;
     this.keySelectorOverlay = null;
     this.focusedField = null;
+    this.fillTrigger = null; // 'context-menu' when the selector was opened from it, for the audit log
     
     this.init();
   }
@@ -195,8 +196,9 @@ class KeyVaultContent {
   /**
    * Show key selector overlay
    */
-  async showKeySelector(targetField) {
+  async showKeySelector(targetField, trigger = null) {
     this.focusedField = targetField;
+    this.fillTrigger = trigger;
     
     // Check if vault is unlocked
     const response = await chrome.runtime.sendMessage({ action: 'isVaultUnlocked' });
@@ -208,9 +210,10 @@ class KeyVaultContent {
     }
 
     // Get keys for current domain
+    let filter = { domain: this.currentDomain };
     const keysResponse = await chrome.runtime.sendMessage({
       action: 'getKeys',
-      data: { filter: { domain: this.currentDomain } }
+      data: { filter }
     });
 
     if (!keysResponse.success) {
@@ -222,6 +225,7 @@ class KeyVaultContent {
     
     // If no domain-specific keys, get all keys
     if (keys.length === 0) {
+      filter = null;
       const allKeysResponse = await chrome.runtime.sendMessage({ action: 'getKeys' });
       keys = allKeysResponse.success ? allKeysResponse.keys : [];
     }
@@ -231,13 +235,13 @@ class KeyVaultContent {
       return;
     }
 
-    this.displayKeySelector(keys, targetField);
+    this.displayKeySelector(keys, targetField, filter);
   }
 
   /**
    * Display key selector overlay
    */
-  displayKeySelector(keys, targetField) {
+  displayKeySelector(keys, targetField, filter = null) {
     // Remove existing overlay
     if (this.keySelectorOverlay) {
       this.keySelectorOverlay.remove();
@@ -277,7 +281,7 @@ class KeyVaultContent {
 
     const searchBox = document.createElement('input');
     searchBox.type = 'text';
-    searchBox.placeholder = 'Search keys...';
+    searchBox.placeholder = 'Search keys... e.g. tag:ai env:production';
     searchBox.style.cssText = `
       width: 100%;
       padding: 10px;
@@ -291,11 +295,15 @@ class KeyVaultContent {
     const keyList = document.createElement('div');
     keyList.className = 'keyvault-key-list';
 
-    const renderKeys = (filteredKeys) => {
+    // `matches` (from searchKeys) holds the matched characters per key id
+    const renderKeys = (filteredKeys, emptyMessage = 'No keys found', matches = {}) => {
       keyList.innerHTML = '';
       
       if (filteredKeys.length === 0) {
-        keyList.innerHTML = '<p style="color: #666; text-align: center;">No keys found</p>';
+        const empty = document.createElement('p');
+        empty.style.cssText = 'color: #666; text-align: center;';
+        empty.textContent = emptyMessage;
+        keyList.appendChild(empty);
         return;
       }
 
@@ -317,7 +325,7 @@ class KeyVaultContent {
             <div style="width: 4px; height: 40px; background: ${key.color}; border-radius: 2px;"></div>
             <div style="flex: 1;">
               <div style="font-weight: 600; color: #333; margin-bottom: 4px;">
-                ${this.escapeHtml(key.serviceName)}
+                ${this.highlightText(key.serviceName, matches[key.id] ? matches[key.id].serviceName : [])}
                 ${key.favorite ? ' ⭐' : ''}
               </div>
               <div style="font-size: 12px; color: #666;">
@@ -327,6 +335,36 @@ class KeyVaultContent {
           </div>
         `;
 
+        // Keys with extra fields offer each one; clicking the key itself fills its main value
+        if (key.fields && key.fields.length > 0) {
+          const fieldList = document.createElement('div');
+          fieldList.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px; margin: 8px 0 0 14px;';
+
+          key.fields.forEach(field => {
+            const fieldBtn = document.createElement('button');
+            fieldBtn.type = 'button';
+            fieldBtn.textContent = field.name;
+            fieldBtn.title = `Fill ${field.name}`;
+            fieldBtn.style.cssText = `
+              padding: 4px 10px;
+              font-size: 12px;
+              border: 1px solid #ddd;
+              border-radius: 4px;
+              background: #f9f9f9;
+              color: #333;
+              cursor: pointer;
+            `;
+            fieldBtn.addEventListener('click', (e) => {
+              e.stopPropagation();
+              this.fillKey(key, targetField, field);
+              overlay.remove();
+            });
+            fieldList.appendChild(fieldBtn);
+          });
+
+          keyItem.appendChild(fieldList);
+        }
+
         keyItem.addEventListener('mouseenter', () => {
           keyItem.style.background = '#f5f5f5';
           keyItem.style.borderColor = key.color;
@@ -348,14 +386,27 @@ class KeyVaultContent {
 
     renderKeys(keys);
 
-    searchBox.addEventListener('input', (e) => {
-      const query = e.target.value.toLowerCase();
-      const filtered = keys.filter(key => 
-        key.serviceName.toLowerCase().includes(query) ||
-        key.tags.some(tag => tag.toLowerCase().includes(query)) ||
-        key.environment.toLowerCase().includes(query)
-      );
-      renderKeys(filtered);
+    // Searched by the service worker with the shared query language, among
+    // the keys offered here, best matches and this site's keys first; answers
+    // to earlier keystrokes are dropped
+    let searchCount = 0;
+    searchBox.addEventListener('input', async (e) => {
+      const query = e.target.value;
+      const search = ++searchCount;
+
+      if (!query.trim()) {
+        renderKeys(keys);
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'searchKeys',
+        data: { query, filter, domain: this.currentDomain }
+      });
+
+      if (search === searchCount) {
+        renderKeys(response.success ? response.keys : [], response.success ? undefined : response.error, response.matches);
+      }
     });
 
     const closeBtn = document.createElement('button');
@@ -393,13 +444,13 @@ class KeyVaultContent {
   }
 
   /**
-   * Fill key into target field
+   * Fill key (or one of its named fields) into target field
    */
-  async fillKey(key, targetField) {
+  async fillKey(key, targetField, field = null) {
     if (!targetField) return;
 
     // Set value
-    targetField.value = key.keyValue;
+    targetField.value = field ? field.value : key.keyValue;
     
     // Trigger input events
     targetField.dispatchEvent(new Event('input', { bubbles: true }));
@@ -411,10 +462,16 @@ class KeyVaultContent {
     // Record usage
     await chrome.runtime.sendMessage({
       action: 'recordKeyUsage',
-      data: { id: key.id, domain: this.currentDomain }
+      data: {
+        id: key.id,
+        domain: this.currentDomain,
+        use: 'fill',
+        trigger: this.fillTrigger,
+        field: field ? field.name : undefined
+      }
     });
 
-    this.showNotification(`Filled: ${key.serviceName}`, 'success');
+    this.showNotification(`Filled: ${key.serviceName}${field ? ` (${field.name})` : ''}`, 'success');
   }
 
   /**
@@ -462,7 +519,7 @@ class KeyVaultContent {
     switch (request.action) {
       case 'showKeySelector':
         if (this.focusedField) {
-          await this.showKeySelector(this.focusedField);
+          await this.showKeySelector(this.focusedField, 'context-menu');
         }
         sendResponse({ success: true });
         break;
@@ -492,6 +549,16 @@ class KeyVaultContent {
     div.textContent = text;
     return div.innerHTML;
   }
+
+  /**
+   * Escaped text with the characters at `positions` marked
+   */
+  highlightText(text, positions = []) {
+    const marked = new Set(positions);
+    return [...text].map((char, index) => marked.has(index)
+      ? `<mark style="background: #fde68a; color: inherit; padding: 0;">${this.escapeHtml(char)}</mark>`
+      : this.escapeHtml(char)).join('');
+  }
 }
 
 // Initialize content script
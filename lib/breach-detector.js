@@ -3,6 +3,8 @@
  * Checks API keys against known patterns and breach databases
  */
 
+import { BUILT_IN_TEMPLATES, checkKeyFormat } from '../background/key-templates.js';
+
 export class BreachDetector {
   constructor() {
     // Common patterns for compromised keys
@@ -118,28 +120,9 @@ export class BreachDetector {
    * Validate key format for specific services
    */
   validateKeyFormat(keyValue, serviceName) {
-    const formats = {
-      'OpenAI': /^sk-[a-zA-Z0-9]{48}$/,
-      'Stripe': /^(sk|pk)_(test|live)_[a-zA-Z0-9]{24,}$/,
-      'AWS': /^AKIA[0-9A-Z]{16}$/,
-      'GitHub': /^gh[ps]_[a-zA-Z0-9]{36,}$/,
-      'Google': /^AIza[0-9A-Za-z\-_]{35}$/,
-      'Anthropic': /^sk-ant-[a-zA-Z0-9\-_]{95}$/
-    };
-
-    const format = formats[serviceName];
-    if (format) {
-      const isValid = format.test(keyValue);
-      return {
-        isValid,
-        message: isValid ? 'Key format is valid' : `Key format doesn't match expected pattern for ${serviceName}`
-      };
-    }
-
-    return {
-      isValid: null,
-      message: 'No format validation available for this service'
-    };
+    // Formats come from the built-in key templates
+    const template = BUILT_IN_TEMPLATES.find(t => t.serviceName === serviceName);
+    return checkKeyFormat(template || {}, keyValue);
   }
 
   /**
@@ -199,9 +182,10 @@ export class BreachDetector {
   }
 
   /**
-   * Get recommendations for improving key security
+   * Get recommendations for improving key security. `rotation` is the key's
+   * entry in the rotation report (see background/key-rotation.js), if any.
    */
-  getSecurityRecommendations(keyValue, serviceName, environment) {
+  getSecurityRecommendations(keyValue, serviceName, environment, rotation = null) {
     const recommendations = [];
 
     // Check length
@@ -242,13 +226,22 @@ export class BreachDetector {
       });
     }
 
-    // General recommendations
-    recommendations.push({
-      type: 'rotation',
-      severity: 'low',
-      message: 'Rotate this key every 90 days for best security practices'
-    });
+    // Rotation
+    if (!rotation) {
+      recommendations.push({
+        type: 'rotation',
+        severity: 'low',
+        message: 'Set a rotation policy for this key (every 90 days is a good default)'
+      });
+    } else if (rotation.overdue) {
+      recommendations.push({
+        type: 'rotation',
+        severity: 'medium',
+        message: `Rotation is overdue by ${rotation.days} days`
+      });
+    }
 
+    // General recommendations
     recommendations.push({
       type: 'monitoring',
       severity: 'low',
@@ -249,7 +249,7 @@ export class ImportExportManager {
     const lines = ['# KeyVault Pro Export', '# Generated: ' + new Date().toISOString(), ''];
 
     keys.forEach(key => {
-      const varName = this.toEnvVarName(key.serviceName);
+      const varName = key.envVar || this.toEnvVarName(key.serviceName);
       lines.push(`# ${key.serviceName} (${key.environment})`);
       if (key.notes) {
         lines.push(`# ${key.notes}`);
@@ -19,10 +19,24 @@ import {
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import crypto from 'crypto';
+import vaultFormat from '../cli/lib/vault-format.js';
+import auditLog from '../cli/lib/audit-log.js';
+import auditEvents from '../cli/lib/audit-events.js';
+import customFields from '../cli/lib/key-fields.js';
+import keyRotation from '../cli/lib/key-rotation.js';
+import keyFolders from '../cli/lib/key-folders.js';
+import searchQuery from '../cli/lib/search-query.js';
+import rotationEngine from '../cli/lib/rotation-engine.js';
+import rotationProviders from '../cli/lib/rotation-providers.js';
+import trash from '../cli/lib/trash.js';
+import vaultFile from '../cli/lib/vault-file.js';
+import vaultMigrations from '../cli/lib/vault-migrations.js';
+import unlockThrottle from '../cli/lib/unlock-throttle.js';
 
 const VAULT_PATH = path.join(os.homedir(), '.keyvault', 'vault.json');
 const SESSION_PATH = path.join(os.homedir(), '.keyvault', 'mcp-session.json');
+const PROVIDERS_DIR = path.join(os.homedir(), '.keyvault', 'providers');
+const UNLOCK_STATE_PATH = path.join(os.homedir(), '.keyvault', 'unlock-attempts.json');
 
 class KeyVaultMCPServer {
   constructor() {
@@ -40,6 +54,7 @@ class KeyVaultMCPServer {
     );
 
     this.vault = null;
+    this.vaultRevision = null;
     this.sessionKey = null;
     this.setupHandlers();
     this.setupErrorHandling();
@@ -62,7 +77,7 @@ class KeyVaultMCPServer {
       tools: [
         {
           name: 'get_api_key',
-          description: 'Retrieve an API key from KeyVault by service name. Returns the actual key value for use in code.',
+          description: 'Retrieve an API key from KeyVault by service name. Returns the actual key value for use in code, or the value of one named field for multi-part credentials (e.g. "client_secret").',
           inputSchema: {
             type: 'object',
             properties: {
@@ -76,6 +91,10 @@ class KeyVaultMCPServer {
                 enum: ['production', 'development', 'staging', 'testing'],
                 default: 'development',
               },
+              field: {
+                type: 'string',
+                description: 'Name of a field to return instead of the main key value (optional; get_key_info lists the fields)',
+              },
             },
             required: ['service_name'],
           },
@@ -96,18 +115,22 @@ class KeyVaultMCPServer {
                 description: 'Filter by tags (optional)',
                 items: { type: 'string' },
               },
+              folder: {
+                type: 'string',
+                description: 'Only keys in this folder and its subfolders, e.g. "acme/backend" (optional)',
+              },
             },
           },
         },
         {
           name: 'search_api_keys',
-          description: 'Search for API keys by service name or tags. Returns metadata only, not actual keys.',
+          description: 'Search for API keys with a query. Returns metadata only, not actual keys.',
           inputSchema: {
             type: 'object',
             properties: {
               query: {
                 type: 'string',
-                description: 'Search query (matches service name, tags, or notes)',
+                description: 'Search query: plain text matches service name, environment, tags, folder, notes, domains or env var name. Qualifiers: env:production, tag:ai, service:"google maps", folder:acme/backend, domain:, notes:, favorite:true, expires:<30d, unused:>90d. Terms are ANDed; use OR for alternatives, -term or NOT to exclude and parentheses to group.',
               },
             },
             required: ['query'],
@@ -127,6 +150,43 @@ class KeyVaultMCPServer {
             required: ['service_name'],
           },
         },
+        {
+          name: 'rotate_api_key',
+          description: 'Replace an API key with a new value from the provider. Without new_value, a key with a rotation provider gets a new credential minted and verified by the provider, and the old one is revoked on the first unlock after the grace period. The old value stays valid for the rotation grace period and is kept in the key history; the rotation is recorded in the audit log.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              service_name: {
+                type: 'string',
+                description: 'Name of the service',
+              },
+              environment: {
+                type: 'string',
+                description: 'Environment of the key to rotate',
+                enum: ['production', 'development', 'staging', 'testing'],
+              },
+              new_value: {
+                type: 'string',
+                description: 'The new key value (optional for keys with a rotation provider)',
+              },
+            },
+            required: ['service_name', 'environment'],
+          },
+        },
+        {
+          name: 'get_rotation_report',
+          description: 'List keys with a rotation policy: when each was last rotated, when it is due, whether it is overdue, and until when a replaced value stays valid, plus old values past their grace period that are still waiting to be revoked. Key values are not included.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              overdue_only: {
+                type: 'boolean',
+                description: 'Only list keys that are overdue for rotation',
+                default: false,
+              },
+            },
+          },
+        },
         {
           name: 'unlock_vault',
           description: 'Unlock the KeyVault with master password. Required before accessing keys.',
@@ -141,6 +201,24 @@ class KeyVaultMCPServer {
             required: ['password'],
           },
         },
+        {
+          name: 'change_master_password',
+          description: 'Change the vault master password. Re-encrypts every key; the vault is left unchanged if any key fails.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              current_password: {
+                type: 'string',
+                description: 'Current master password',
+              },
+              new_password: {
+                type: 'string',
+                description: 'New master password (at least 8 characters)',
+              },
+            },
+            required: ['current_password', 'new_password'],
+          },
+        },
         {
           name: 'vault_status',
           description: 'Check if vault is unlocked and get basic statistics.',
@@ -180,6 +258,21 @@ class KeyVaultMCPServer {
           throw new Error('Vault not found. Please initialize KeyVault first.');
         }
 
+        // Sealed metadata is only readable with an unlocked session
+        if (await this.loadSession()) {
+          vaultFormat.openEntries(this.vault, this.sessionKey);
+        } else if (this.vault.keys.some(vaultFormat.isSealedEntry)) {
+          return {
+            contents: [
+              {
+                uri,
+                mimeType: 'application/json',
+                text: JSON.stringify({ locked: true, totalKeys: this.vault.keys.length }, null, 2),
+              },
+            ],
+          };
+        }
+
         const keysList = this.vault.keys.map(key => ({
           id: key.id,
           serviceName: key.serviceName,
@@ -226,21 +319,30 @@ class KeyVaultMCPServer {
           case 'unlock_vault':
             return await this.unlockVault(args.password);
 
+          case 'change_master_password':
+            return await this.changeMasterPassword(args.current_password, args.new_password);
+
           case 'vault_status':
             return await this.vaultStatus();
 
           case 'list_api_keys':
-            return await this.listApiKeys(args.environment, args.tags);
+            return await this.listApiKeys(args.environment, args.tags, args.folder);
 
           case 'search_api_keys':
             return await this.searchApiKeys(args.query);
 
           case 'get_api_key':
-            return await this.getApiKey(args.service_name, args.environment);
+            return await this.getApiKey(args.service_name, args.environment, args.field);
 
           case 'get_key_info':
             return await this.getKeyInfo(args.service_name);
 
+          case 'rotate_api_key':
+            return await this.rotateApiKey(args.service_name, args.environment, args.new_value);
+
+          case 'get_rotation_report':
+            return await this.getRotationReport(args.overdue_only);
+
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -259,15 +361,23 @@ class KeyVaultMCPServer {
   }
 
   async loadVault() {
-    try {
-      const data = await fs.readFile(VAULT_PATH, 'utf8');
-      this.vault = JSON.parse(data);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-      this.vault = null;
+    let loaded = vaultFile.readVault(VAULT_PATH);
+
+    // Legacy vaults are converted on unlock; v2 vaults are brought up to the current schema
+    if (loaded && !vaultFormat.isLegacyVault(loaded.vault) && vaultMigrations.needsMigration(loaded.vault)) {
+      loaded = await vaultMigrations.migrateVaultFile(VAULT_PATH, vaultFile.withLockAsync);
     }
+
+    this.vault = loaded ? loaded.vault : null;
+    this.vaultRevision = loaded ? loaded.revision : null;
+  }
+
+  async saveVault() {
+    // Entries are sealed on write when metadata encryption is enabled. The
+    // write is atomic and locked, and fails if the CLI changed the file since
+    // it was loaded.
+    const vault = vaultFormat.storeEntries(this.vault, this.sessionKey);
+    this.vaultRevision = await vaultFile.writeVault(VAULT_PATH, vault, this.vaultRevision, vaultFile.withLockAsync);
   }
 
   async loadSession() {
@@ -278,7 +388,7 @@ class KeyVaultMCPServer {
       // Check if session is still valid (1 hour)
       const sessionAge = Date.now() - new Date(session.timestamp).getTime();
       if (sessionAge < 3600000) {
-        this.sessionKey = session.key;
+        this.sessionKey = Buffer.from(session.key, 'base64');
         return true;
       }
     } catch (error) {
@@ -289,7 +399,7 @@ class KeyVaultMCPServer {
 
   async saveSession() {
     const session = {
-      key: this.sessionKey,
+      key: this.sessionKey.toString('base64'),
       timestamp: new Date().toISOString(),
     };
     
@@ -312,9 +422,74 @@ class KeyVaultMCPServer {
       };
     }
 
-    const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
-    
-    if (passwordHash !== this.vault.passwordHash) {
+    // Shared with the CLI, so switching tools doesn't reset the count
+    let attempt;
+    try {
+      attempt = await unlockThrottle.beginAttempt(UNLOCK_STATE_PATH, this.vault.settings, vaultFile.withLockAsync);
+    } catch (error) {
+      if (error.code !== 'EUNLOCKTHROTTLED') {
+        throw error;
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${error.message}. Vault remains locked.`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      if (vaultFormat.isLegacyVault(this.vault)) {
+        const { vault, dataKey } = vaultFormat.migrateLegacyVault(this.vault, password);
+        this.vault = vault;
+        this.sessionKey = dataKey;
+        await this.saveVault();
+      } else {
+        this.sessionKey = vaultFormat.unlockVault(this.vault, password);
+        vaultFormat.openEntries(this.vault, this.sessionKey);
+      }
+
+      // Re-wrap the data key if the vault's KDF is weaker than configured
+      const upgraded = vaultFormat.upgradeKdf(this.vault, this.sessionKey, password);
+      if (upgraded) {
+        this.vault = upgraded;
+        this.audit(this.vault, `Key derivation changed to ${vaultFormat.describeKdf(this.vault.kdf)}`, { type: 'vault.upgrade_kdf' });
+        await this.saveVault();
+      }
+
+      // Trashed keys past their retention period are purged on unlock
+      const purged = trash.purgeExpired(this.vault);
+      if (purged > 0) {
+        this.audit(this.vault, `Purged ${purged} expired keys from trash`, { type: 'trash.purge' });
+        await this.saveVault();
+      }
+    } catch (error) {
+      if (error.message !== 'Invalid password') {
+        await unlockThrottle.cancelAttempt(UNLOCK_STATE_PATH, attempt, vaultFile.withLockAsync);
+        throw error;
+      }
+
+      // Logged without a data key, straight into the file as it is on disk
+      await vaultFile.updateVault(VAULT_PATH, (latest) => {
+        auditLog.addAuditLog(latest, `Unlock failed: ${error.message}`, null, {
+          type: 'vault.unlock',
+          source: 'mcp',
+          outcome: 'failure',
+          error: error.message
+        });
+        if (attempt.lockedOut) {
+          auditLog.addAuditLog(latest, unlockThrottle.lockoutMessage(latest.settings), null, {
+            type: 'vault.lockout',
+            source: 'mcp',
+            outcome: 'failure'
+          });
+        }
+        return latest;
+      }, vaultFile.withLockAsync);
+
       return {
         content: [
           {
@@ -326,14 +501,104 @@ class KeyVaultMCPServer {
       };
     }
 
-    this.sessionKey = password;
+    await unlockThrottle.clearAttempts(UNLOCK_STATE_PATH, vaultFile.withLockAsync);
+
+    this.audit(this.vault, 'Vault unlocked', { type: 'vault.unlock' });
+
+    // Old values past their grace period are revoked with their providers
+    const revocations = await this.revokeDueValues();
+
+    await this.saveVault();
     await this.saveSession();
 
     return {
       content: [
         {
           type: 'text',
-          text: `✅ Vault unlocked successfully!\n\n📊 ${this.vault.keys.length} API keys available\n\nYou can now use get_api_key to retrieve keys for your code.`,
+          text: `✅ Vault unlocked successfully!\n\n📊 ${this.vault.keys.length} API keys available${revocations}\n\nYou can now use get_api_key to retrieve keys for your code.`,
+        },
+      ],
+    };
+  }
+
+  async changeMasterPassword(currentPassword, newPassword) {
+    await this.loadVault();
+
+    if (!this.vault) {
+      throw new Error('Vault not found. Please initialize KeyVault first.');
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+      throw new Error('New password must be at least 8 characters');
+    }
+
+    if (vaultFormat.isLegacyVault(this.vault)) {
+      throw new Error('Vault uses the legacy format. Unlock it once with unlock_vault to upgrade it first.');
+    }
+
+    // The current password is a guess like any other
+    let attempt;
+    try {
+      attempt = await unlockThrottle.beginAttempt(UNLOCK_STATE_PATH, this.vault.settings, vaultFile.withLockAsync);
+    } catch (error) {
+      if (error.code !== 'EUNLOCKTHROTTLED') {
+        throw error;
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${error.message}. Master password unchanged.`,
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    let dataKey;
+    try {
+      dataKey = vaultFormat.unlockVault(this.vault, currentPassword);
+    } catch (error) {
+      if (error.message !== 'Invalid password') {
+        await unlockThrottle.cancelAttempt(UNLOCK_STATE_PATH, attempt, vaultFile.withLockAsync);
+        throw error;
+      }
+      if (attempt.lockedOut) {
+        await vaultFile.updateVault(VAULT_PATH, (latest) => {
+          auditLog.addAuditLog(latest, unlockThrottle.lockoutMessage(latest.settings), null, {
+            type: 'vault.lockout',
+            source: 'mcp',
+            outcome: 'failure'
+          });
+          return latest;
+        }, vaultFile.withLockAsync);
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Invalid current password. Master password unchanged.',
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    await unlockThrottle.clearAttempts(UNLOCK_STATE_PATH, vaultFile.withLockAsync);
+
+    const rekeyed = vaultFormat.rekeyVault(this.vault, dataKey, newPassword);
+    auditLog.addAuditLog(rekeyed.vault, 'Master password changed', rekeyed.dataKey, { type: 'vault.change_password', source: 'mcp' });
+
+    this.vault = rekeyed.vault;
+    this.sessionKey = rekeyed.dataKey;
+    await this.saveVault();
+    await this.saveSession();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `✅ Master password changed. ${this.vault.keys.length} keys re-encrypted.`,
         },
       ],
     };
@@ -350,7 +615,14 @@ class KeyVaultMCPServer {
       vaultPath: VAULT_PATH,
     };
 
-    if (this.vault) {
+    if (this.vault && this.sessionKey) {
+      vaultFormat.openEntries(this.vault, this.sessionKey);
+    }
+
+    // Sealed entries reveal nothing but their count until unlocked
+    if (this.vault && this.vault.keys.some(vaultFormat.isSealedEntry)) {
+      status.metadataEncrypted = true;
+    } else if (this.vault) {
       const byEnv = {};
       this.vault.keys.forEach(key => {
         byEnv[key.environment] = (byEnv[key.environment] || 0) + 1;
@@ -391,9 +663,11 @@ class KeyVaultMCPServer {
     if (!this.sessionKey) {
       throw new Error('Vault is locked. Please unlock with your master password first using the unlock_vault tool.');
     }
+
+    vaultFormat.openEntries(this.vault, this.sessionKey);
   }
 
-  async listApiKeys(environment, tags) {
+  async listApiKeys(environment, tags, folder) {
     await this.requireUnlocked();
 
     let keys = this.vault.keys;
@@ -406,9 +680,14 @@ class KeyVaultMCPServer {
       keys = keys.filter(k => tags.some(tag => k.tags.includes(tag)));
     }
 
+    if (folder) {
+      keys = keys.filter(k => keyFolders.inFolder(k, folder));
+    }
+
     const keysList = keys.map(key => ({
       serviceName: key.serviceName,
       environment: key.environment,
+      folder: key.folder || '',
       tags: key.tags,
       hasExpiration: !!key.expiresAt,
       lastUsed: key.lastUsed,
@@ -428,16 +707,12 @@ class KeyVaultMCPServer {
   async searchApiKeys(query) {
     await this.requireUnlocked();
 
-    const lowerQuery = query.toLowerCase();
-    const results = this.vault.keys.filter(key =>
-      key.serviceName.toLowerCase().includes(lowerQuery) ||
-      key.tags.some(tag => tag.toLowerCase().includes(lowerQuery)) ||
-      (key.notes && key.notes.toLowerCase().includes(lowerQuery))
-    );
+    const results = searchQuery.searchKeys(this.vault.keys, query);
 
     const resultsList = results.map(key => ({
       serviceName: key.serviceName,
       environment: key.environment,
+      folder: key.folder || '',
       tags: key.tags,
       notes: key.notes,
     }));
@@ -452,7 +727,7 @@ class KeyVaultMCPServer {
     };
   }
 
-  async getApiKey(serviceName, environment = 'development') {
+  async getApiKey(serviceName, environment = 'development', fieldName = null) {
     await this.requireUnlocked();
 
     const key = this.vault.keys.find(k =>
@@ -489,19 +764,35 @@ class KeyVaultMCPServer {
       };
     }
 
-    // Decrypt key
-    const decrypted = this.decrypt(key.keyValue);
+    // Decrypt the key, or just the requested field
+    const field = fieldName ? customFields.findField(key, fieldName) : null;
+    const decrypted = !field ? this.decrypt(key.keyValue) : field.secret ? this.decrypt(field.value) : field.value;
 
-    // Update usage stats
-    key.lastUsed = new Date().toISOString();
-    key.usageCount = (key.usageCount || 0) + 1;
-    await fs.writeFile(VAULT_PATH, JSON.stringify(this.vault, null, 2));
+    // Update usage stats on the latest file, so a CLI change made meanwhile is kept
+    const updated = await vaultFile.updateVault(VAULT_PATH, (latest) => {
+      vaultFormat.openEntries(latest, this.sessionKey);
+      const entry = latest.keys.find(k => k.id === key.id);
+      if (!entry) {
+        return null;
+      }
+      entry.lastUsed = new Date().toISOString();
+      entry.usageCount = (entry.usageCount || 0) + 1;
+      const what = field ? `Key field ${field.name}` : 'Key';
+      this.audit(latest, `${what} retrieved: ${entry.serviceName}`, {
+        type: 'key.retrieve',
+        ...auditEvents.keyFields(entry),
+        field: field && field.name
+      });
+      return vaultFormat.storeEntries(latest, this.sessionKey);
+    }, vaultFile.withLockAsync);
+    this.vault = vaultFormat.openEntries(updated.vault, this.sessionKey);
+    this.vaultRevision = updated.revision;
 
     return {
       content: [
         {
           type: 'text',
-          text: `✅ Retrieved API key for ${serviceName} (${environment}):\n\n${decrypted}\n\n⚠️ This key has been recorded in usage statistics. Use responsibly.`,
+          text: `✅ Retrieved ${field ? `field ${field.name} of the API key` : 'API key'} for ${serviceName} (${environment}):\n\n${decrypted}\n\n⚠️ This key has been recorded in usage statistics. Use responsibly.`,
         },
       ],
     };
@@ -537,6 +828,15 @@ class KeyVaultMCPServer {
       rateLimit: key.rateLimit,
       notes: key.notes,
       domains: key.domains,
+      folder: key.folder || '',
+      fields: customFields.describeFields(key),
+      rotation: {
+        ...keyRotation.rotationPolicy(key, this.vault.settings),
+        rotatedAt: key.rotatedAt || null,
+        dueAt: keyRotation.rotationDueAt(key, this.vault.settings),
+        oldValueValidUntil: keyRotation.graceUntil(key),
+        provider: key.rotationProvider ? key.rotationProvider.id : null,
+      },
     }));
 
     return {
@@ -549,11 +849,186 @@ class KeyVaultMCPServer {
     };
   }
 
+  async rotateApiKey(serviceName, environment, newValue) {
+    await this.requireUnlocked();
+
+    const matches = k => k.serviceName.toLowerCase() === serviceName.toLowerCase() && k.environment === environment;
+    const current = this.vault.keys.find(matches);
+    if (!current) {
+      throw new Error(`API key not found for service: ${serviceName} (${environment})`);
+    }
+
+    if (!newValue) {
+      if (!current.rotationProvider) {
+        throw new Error('new_value is required for keys without a rotation provider');
+      }
+      return await this.rotateWithProvider(current, matches);
+    }
+
+    // Rotated on the latest file, so a CLI change made meanwhile is kept
+    let rotated;
+    const updated = await vaultFile.updateVault(VAULT_PATH, (latest) => {
+      vaultFormat.openEntries(latest, this.sessionKey);
+      const index = latest.keys.findIndex(matches);
+      if (index === -1) {
+        throw new Error(`API key not found for service: ${serviceName} (${environment})`);
+      }
+
+      const key = latest.keys[index];
+      if (this.decrypt(key.keyValue) === newValue) {
+        throw new Error('The new value is the same as the current one');
+      }
+
+      rotated = keyRotation.rotateEntry(key, vaultFormat.encryptValue(this.sessionKey, newValue), latest.settings);
+      latest.keys[index] = rotated;
+      this.audit(latest, `Key rotated: ${key.serviceName} (old value valid until ${new Date(rotated.history[0].validUntil).toISOString()})`, {
+        type: 'key.rotate',
+        ...auditEvents.keyFields(key)
+      });
+      return vaultFormat.storeEntries(latest, this.sessionKey);
+    }, vaultFile.withLockAsync);
+    this.vault = vaultFormat.openEntries(updated.vault, this.sessionKey);
+    this.vaultRevision = updated.revision;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `✅ Rotated ${rotated.serviceName} (${environment}), now version ${rotated.version}. The old value stays valid until ${new Date(rotated.history[0].validUntil).toISOString()}; update deployed copies before then.`,
+        },
+      ],
+    };
+  }
+
+  async rotateWithProvider(current, matches) {
+    const providerId = current.rotationProvider.id;
+
+    let rotated;
+    try {
+      rotated = await rotationEngine.rotateWithProvider({
+        entry: current,
+        dataKey: this.sessionKey,
+        settings: this.vault.settings,
+        providers: rotationProviders.loadProviders(PROVIDERS_DIR),
+        // Swapped into the latest file; if the key changed meanwhile the new
+        // credential is rolled back rather than overwriting that change
+        commit: async (entry) => {
+          const updated = await vaultFile.updateVault(VAULT_PATH, (latest) => {
+            vaultFormat.openEntries(latest, this.sessionKey);
+            const index = latest.keys.findIndex(matches);
+            if (index === -1 || latest.keys[index].version !== current.version) {
+              throw new Error(`${current.serviceName} was changed while rotating; try again`);
+            }
+
+            latest.keys[index] = entry;
+            this.audit(latest, `Key rotated with ${providerId}: ${current.serviceName} (old value valid until ${new Date(entry.history[0].validUntil).toISOString()})`, {
+              type: 'key.rotate',
+              ...auditEvents.keyFields(current)
+            });
+            return vaultFormat.storeEntries(latest, this.sessionKey);
+          }, vaultFile.withLockAsync);
+          this.vault = vaultFormat.openEntries(updated.vault, this.sessionKey);
+          this.vaultRevision = updated.revision;
+          return entry;
+        },
+      });
+    } catch (error) {
+      // Nothing was swapped in; the failure goes into the file as it is on disk
+      await vaultFile.updateVault(VAULT_PATH, (latest) => {
+        this.audit(latest, `Key rotation failed: ${current.serviceName}: ${error.message}`, {
+          type: 'key.rotate',
+          outcome: 'failure',
+          error: error.message,
+          ...auditEvents.keyFields(current)
+        });
+        return latest;
+      }, vaultFile.withLockAsync);
+      throw new Error(`Rotation failed, ${current.serviceName} is unchanged: ${error.message}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `✅ Rotated ${rotated.serviceName} (${rotated.environment}) with ${providerId}, now version ${rotated.version}. The new key was verified. The old value stays valid until ${new Date(rotated.history[0].validUntil).toISOString()} and is revoked on the first unlock after that.`,
+        },
+      ],
+    };
+  }
+
+  async getRotationReport(overdueOnly = false) {
+    await this.requireUnlocked();
+
+    const report = keyRotation.rotationReport(this.vault.keys, this.vault.settings)
+      .filter(entry => !overdueOnly || entry.overdue)
+      .map(entry => ({
+        ...entry,
+        rotatedAt: entry.rotatedAt && new Date(entry.rotatedAt).toISOString(),
+        dueAt: new Date(entry.dueAt).toISOString(),
+        graceUntil: entry.graceUntil && new Date(entry.graceUntil).toISOString(),
+      }));
+
+    // Revocations that failed on unlock, or fell due since
+    const pending = rotationEngine.dueRevocations(this.vault).map(({ entry, version }) => ({
+      id: entry.id,
+      serviceName: entry.serviceName,
+      environment: entry.environment,
+      version: version.version,
+      validUntil: new Date(version.validUntil).toISOString(),
+    }));
+
+    const text = report.length > 0
+      ? `Rotation report (${report.length} keys):\n\n${JSON.stringify(report, null, 2)}`
+      : `No ${overdueOnly ? 'overdue ' : ''}keys with a rotation policy.`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: pending.length > 0
+            ? `${text}\n\nOld values waiting to be revoked (retried on the next unlock, or with keyvault rotation revoke):\n\n${JSON.stringify(pending, null, 2)}`
+            : text,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Revoke the old values whose grace period is over, auditing each attempt
+   * (saved with the vault by the caller). Returns a line for the unlock
+   * reply, or '' when none were due.
+   */
+  async revokeDueValues() {
+    if (rotationEngine.dueRevocations(this.vault).length === 0) {
+      return '';
+    }
+
+    let results;
+    try {
+      results = await rotationEngine.revokeDue(this.vault, this.sessionKey, rotationProviders.loadProviders(PROVIDERS_DIR));
+    } catch (error) {
+      return `\n\n⚠️ Old values due for revocation were not revoked: ${error.message}`;
+    }
+
+    results.forEach((result) => {
+      const { action, event } = rotationEngine.revocationAudit(result);
+      this.audit(this.vault, action, event);
+    });
+
+    const failed = results.filter(result => result.error).length;
+    return `\n\n🔒 ${results.length - failed} old key values past their grace period revoked`
+      + (failed > 0 ? `; ${failed} could not be revoked and are retried on the next unlock` : '');
+  }
+
+  /**
+   * Add an MCP audit event to a vault (written with it)
+   */
+  audit(vault, action, event) {
+    auditLog.addAuditLog(vault, action, this.sessionKey, { source: 'mcp', ...event });
+  }
+
   decrypt(encrypted) {
-    const decipher = crypto.createDecipher('aes-256-cbc', this.sessionKey);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    return vaultFormat.decryptValue(this.sessionKey, encrypted);
   }
 
   async run() {
@@ -1,12 +1,22 @@
 // KeyVault Pro Options Page Script
 
+const AUDIT_PAGE_SIZE = 50;
+const ENVIRONMENTS = ['production', 'staging', 'development', 'testing'];
+
 class OptionsPage {
   constructor() {
+    this.auditPage = 0;
+    this.auditSearchTimer = null;
     this.init();
   }
 
   async init() {
     await this.loadSettings();
+    await this.loadRecoveryKit();
+    await this.loadRotationReport();
+    await this.loadTemplates();
+    await this.loadAuditFilterOptions();
+    await this.loadAuditLog();
     this.setupEventListeners();
   }
 
@@ -14,7 +24,23 @@ class OptionsPage {
     document.getElementById('save-btn').addEventListener('click', () => this.saveSettings());
     document.getElementById('export-btn').addEventListener('click', () => this.exportVault());
     document.getElementById('import-btn').addEventListener('click', () => this.importVault());
-    document.getElementById('audit-log-btn').addEventListener('click', () => this.viewAuditLog());
+    document.getElementById('verify-audit-btn').addEventListener('click', () => this.verifyAuditLog());
+    ['audit-type', 'audit-key', 'audit-source', 'audit-since', 'audit-until'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.showAuditPage(0));
+    });
+    document.getElementById('audit-search').addEventListener('input', () => {
+      clearTimeout(this.auditSearchTimer);
+      this.auditSearchTimer = setTimeout(() => this.showAuditPage(0), 300);
+    });
+    document.getElementById('audit-prev-btn').addEventListener('click', () => this.showAuditPage(this.auditPage - 1));
+    document.getElementById('audit-next-btn').addEventListener('click', () => this.showAuditPage(this.auditPage + 1));
+    document.getElementById('audit-export-jsonl-btn').addEventListener('click', () => this.exportAuditLog('jsonl'));
+    document.getElementById('audit-export-csv-btn').addEventListener('click', () => this.exportAuditLog('csv'));
+    document.getElementById('change-password-btn').addEventListener('click', () => this.changeMasterPassword());
+    document.getElementById('create-kit-btn').addEventListener('click', () => this.createRecoveryKit());
+    document.getElementById('remove-kit-btn').addEventListener('click', () => this.removeRecoveryKit());
+    document.getElementById('load-shares-btn').addEventListener('click', () => this.loadShareFiles());
+    document.getElementById('recover-btn').addEventListener('click', () => this.recoverVault());
   }
 
   async loadSettings() {
@@ -25,25 +51,94 @@ class OptionsPage {
       document.getElementById('clipboard-clear').value = response.clipboardClearSeconds || 30;
       document.getElementById('mask-keys').checked = response.maskKeys !== false;
       document.getElementById('enable-audit').checked = response.enableAuditLog !== false;
+      document.getElementById('encrypt-metadata').checked = response.encryptMetadata === true;
       document.getElementById('enable-autofill').checked = response.enableAutoFill !== false;
       document.getElementById('show-stats').checked = response.showUsageStats !== false;
       document.getElementById('show-warnings').checked = response.showExpirationWarnings !== false;
       document.getElementById('warning-days').value = response.expirationWarningDays || 7;
       document.getElementById('theme').value = response.theme || 'dark';
+      document.getElementById('kdf-algorithm').value = response.kdfAlgorithm || 'scrypt';
+      document.getElementById('scrypt-cost').value = response.scryptCost || 15;
+      document.getElementById('pbkdf2-iterations').value = response.pbkdf2Iterations || 600000;
+      document.getElementById('unlock-free-attempts').value = response.unlockFreeAttempts ?? 3;
+      document.getElementById('unlock-backoff-seconds').value = response.unlockBackoffSeconds ?? 2;
+      document.getElementById('unlock-max-backoff-seconds').value = response.unlockMaxBackoffSeconds ?? 300;
+      document.getElementById('unlock-max-attempts').value = response.unlockMaxAttempts ?? 10;
+      document.getElementById('unlock-lockout-minutes').value = response.unlockLockoutMinutes ?? 60;
+      document.getElementById('history-max-versions').value = response.historyMaxVersions ?? 10;
+      document.getElementById('history-retention-days').value = response.historyRetentionDays ?? 0;
+      document.getElementById('trash-retention-days').value = response.trashRetentionDays ?? 30;
+      document.getElementById('rotation-grace-days').value = response.rotationGraceDays ?? 7;
+      this.renderRotationPolicies(response.rotationPolicies || {});
     }
   }
 
+  renderRotationPolicies(policies) {
+    const tbody = document.getElementById('rotation-policies');
+    tbody.innerHTML = '';
+
+    ENVIRONMENTS.forEach(environment => {
+      const policy = policies[environment] || {};
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${environment}</td>
+        <td><input type="number" min="1" data-environment="${environment}" data-policy="rotationDays"></td>
+        <td><input type="number" min="0" data-environment="${environment}" data-policy="graceDays"></td>
+      `;
+      row.querySelector('[data-policy="rotationDays"]').value = policy.rotationDays || '';
+      row.querySelector('[data-policy="graceDays"]').value = policy.graceDays ?? '';
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Environment policies from the table; environments without a rotation
+   * period are left out
+   */
+  readRotationPolicies() {
+    const policies = {};
+
+    ENVIRONMENTS.forEach(environment => {
+      const read = name => parseInt(document.querySelector(`[data-environment="${environment}"][data-policy="${name}"]`).value);
+      const rotationDays = read('rotationDays');
+      const graceDays = read('graceDays');
+
+      if (rotationDays > 0) {
+        policies[environment] = { rotationDays };
+        if (graceDays >= 0) {
+          policies[environment].graceDays = graceDays;
+        }
+      }
+    });
+
+    return policies;
+  }
+
   async saveSettings() {
     const settings = {
       autoLockMinutes: parseInt(document.getElementById('auto-lock').value),
       clipboardClearSeconds: parseInt(document.getElementById('clipboard-clear').value),
       maskKeys: document.getElementById('mask-keys').checked,
       enableAuditLog: document.getElementById('enable-audit').checked,
+      encryptMetadata: document.getElementById('encrypt-metadata').checked,
       enableAutoFill: document.getElementById('enable-autofill').checked,
       showUsageStats: document.getElementById('show-stats').checked,
       showExpirationWarnings: document.getElementById('show-warnings').checked,
       expirationWarningDays: parseInt(document.getElementById('warning-days').value),
-      theme: document.getElementById('theme').value
+      theme: document.getElementById('theme').value,
+      kdfAlgorithm: document.getElementById('kdf-algorithm').value,
+      scryptCost: Math.min(20, Math.max(14, parseInt(document.getElementById('scrypt-cost').value))),
+      pbkdf2Iterations: Math.max(100000, parseInt(document.getElementById('pbkdf2-iterations').value)),
+      unlockFreeAttempts: Math.max(0, parseInt(document.getElementById('unlock-free-attempts').value) || 0),
+      unlockBackoffSeconds: Math.max(0, parseInt(document.getElementById('unlock-backoff-seconds').value) || 0),
+      unlockMaxBackoffSeconds: Math.max(0, parseInt(document.getElementById('unlock-max-backoff-seconds').value) || 0),
+      unlockMaxAttempts: Math.max(0, parseInt(document.getElementById('unlock-max-attempts').value) || 0),
+      unlockLockoutMinutes: Math.max(1, parseInt(document.getElementById('unlock-lockout-minutes').value) || 1),
+      historyMaxVersions: Math.max(0, parseInt(document.getElementById('history-max-versions').value) || 0),
+      historyRetentionDays: Math.max(0, parseInt(document.getElementById('history-retention-days').value) || 0),
+      trashRetentionDays: Math.max(0, parseInt(document.getElementById('trash-retention-days').value) || 0),
+      rotationGraceDays: Math.max(0, parseInt(document.getElementById('rotation-grace-days').value) || 0),
+      rotationPolicies: this.readRotationPolicies()
     };
 
     const response = await this.sendMessage({
@@ -53,8 +148,196 @@ class OptionsPage {
 
     if (response && response.success) {
       this.showStatus('Settings saved successfully!');
+      await this.loadRotationReport();
+    } else {
+      this.showStatus(response?.error || 'Failed to save settings', true);
+    }
+  }
+
+  async changeMasterPassword() {
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    const confirmPassword = document.getElementById('confirm-password').value;
+
+    if (newPassword !== confirmPassword) {
+      this.showStatus('New passwords do not match', true);
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'changeMasterPassword',
+      data: { currentPassword, newPassword }
+    });
+
+    if (response && response.success) {
+      ['current-password', 'new-password', 'confirm-password'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      this.showStatus('Master password changed successfully!');
+    } else {
+      this.showStatus(response?.error || 'Failed to change master password', true);
+    }
+  }
+
+  async loadRecoveryKit() {
+    const kit = await this.sendMessage({ action: 'getRecoveryKit' });
+    const status = document.getElementById('recovery-status');
+
+    if (kit) {
+      status.textContent = `Recovery kit ${kit.kitId}: any ${kit.threshold} of ${kit.shares} shares can reset the master password (created ${new Date(kit.created).toLocaleDateString()}).`;
+    } else {
+      status.textContent = 'No recovery kit. A forgotten master password cannot be reset.';
+    }
+  }
+
+  async createRecoveryKit() {
+    const threshold = parseInt(document.getElementById('recovery-threshold').value);
+    const shares = parseInt(document.getElementById('recovery-shares').value);
+
+    if (!(threshold >= 2 && threshold <= shares && shares <= 255)) {
+      this.showStatus('Shares needed must be at least 2 and no more than the shares created', true);
+      return;
+    }
+
+    const password = prompt('Enter master password to create a recovery kit:');
+    if (!password) return;
+
+    const response = await this.sendMessage({
+      action: 'createRecoveryKit',
+      data: { masterPassword: password, threshold, shares }
+    });
+
+    if (response && response.success) {
+      this.renderShares(response);
+      await this.loadRecoveryKit();
+      this.showStatus('Recovery kit created. Save every share now.');
     } else {
-      this.showStatus('Failed to save settings', true);
+      this.showStatus(response?.error || 'Failed to create recovery kit', true);
+    }
+  }
+
+  renderShares(kit) {
+    const list = document.getElementById('recovery-share-list');
+    list.querySelectorAll('.share-item').forEach(item => item.remove());
+
+    kit.shares.forEach((share, i) => {
+      const item = document.createElement('div');
+      item.className = 'share-item';
+
+      const label = document.createElement('strong');
+      label.textContent = `Share ${i + 1} of ${kit.count}`;
+
+      const code = document.createElement('code');
+      code.textContent = share;
+
+      const downloadBtn = document.createElement('button');
+      downloadBtn.className = 'btn btn-secondary';
+      downloadBtn.textContent = 'Download';
+      downloadBtn.addEventListener('click', () => this.downloadShare(kit, share, i + 1));
+
+      const printBtn = document.createElement('button');
+      printBtn.className = 'btn btn-secondary';
+      printBtn.textContent = 'Print';
+      printBtn.addEventListener('click', () => this.printShare(item));
+
+      item.append(label, code, downloadBtn, printBtn);
+      list.appendChild(item);
+    });
+
+    list.style.display = 'block';
+  }
+
+  downloadShare(kit, share, index) {
+    const text = [
+      'KeyVault Pro recovery share',
+      '',
+      `Share ${index} of ${kit.count}. Any ${kit.threshold} shares of this kit (${kit.kitId}) can reset`,
+      'the master password of the vault, so keep shares apart and give them only to',
+      'people you trust. Creating a new kit makes this one useless.',
+      '',
+      'To recover: KeyVault Pro settings > Recovery Kit > Recover a Vault',
+      '',
+      share,
+      ''
+    ].join('\n');
+
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `keyvault-recovery-${kit.kitId}-share-${index}-of-${kit.count}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  printShare(item) {
+    document.body.classList.add('printing-share');
+    item.classList.add('printing');
+    window.print();
+    item.classList.remove('printing');
+    document.body.classList.remove('printing-share');
+  }
+
+  async removeRecoveryKit() {
+    if (!confirm('Remove the recovery kit? A forgotten master password can then not be reset.')) return;
+
+    const response = await this.sendMessage({ action: 'removeRecoveryKit' });
+
+    if (response && response.success) {
+      document.getElementById('recovery-share-list').style.display = 'none';
+      await this.loadRecoveryKit();
+      this.showStatus('Recovery kit removed');
+    } else {
+      this.showStatus(response?.error || 'Failed to remove recovery kit', true);
+    }
+  }
+
+  async loadShareFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.txt';
+    input.multiple = true;
+
+    input.onchange = async (e) => {
+      const textarea = document.getElementById('recovery-input');
+      const lines = [];
+
+      for (const file of e.target.files) {
+        const text = await file.text();
+        lines.push(...text.split('\n').map(line => line.trim()).filter(line => line.toLowerCase().startsWith('kvr1-')));
+      }
+
+      textarea.value = [textarea.value.trim(), ...lines].filter(Boolean).join('\n');
+    };
+
+    input.click();
+  }
+
+  async recoverVault() {
+    const shares = document.getElementById('recovery-input').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    const newPassword = document.getElementById('recovery-new-password').value;
+    const confirmPassword = document.getElementById('recovery-confirm-password').value;
+
+    if (newPassword !== confirmPassword) {
+      this.showStatus('New passwords do not match', true);
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'recoverVault',
+      data: { shares, newPassword }
+    });
+
+    if (response && response.success) {
+      ['recovery-input', 'recovery-new-password', 'recovery-confirm-password'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      this.showStatus('Master password reset. Consider creating a new recovery kit.');
+    } else {
+      this.showStatus(response?.error || 'Failed to recover vault', true);
     }
   }
 
@@ -84,7 +367,7 @@ class OptionsPage {
   async importVault() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.kvp';
+    input.accept = '.kvp,.json';
 
     input.onchange = async (e) => {
       const file = e.target.files[0];
@@ -110,20 +393,251 @@ class OptionsPage {
     input.click();
   }
 
-  async viewAuditLog() {
-    const response = await this.sendMessage({ action: 'getAuditLog' });
+  async loadRotationReport() {
+    const response = await this.sendMessage({ action: 'getRotationReport' });
+    const tbody = document.getElementById('rotation-entries');
+    const empty = document.getElementById('rotation-empty');
+    tbody.innerHTML = '';
+
+    if (!response || !response.success) {
+      empty.textContent = 'Unlock the vault to see which keys are due for rotation.';
+      empty.style.display = 'block';
+      return;
+    }
+
+    empty.textContent = 'No keys have a rotation policy. Set one per key in the popup or per environment above.';
+    empty.style.display = response.report.length ? 'none' : 'block';
+    response.report.forEach(entry => tbody.appendChild(this.createRotationRow(entry)));
+  }
+
+  createRotationRow(entry) {
+    const row = document.createElement('tr');
+    const cell = (text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+      return td;
+    };
+    const days = count => `${count} day${count === 1 ? '' : 's'}`;
+
+    cell(entry.serviceName);
+    cell(entry.environment);
+    cell(days(entry.rotationDays));
+    cell(entry.rotatedAt ? new Date(entry.rotatedAt).toLocaleDateString() : 'Never');
+
+    let status = entry.overdue ? `Overdue by ${days(entry.days)}` : `Due in ${days(entry.days)}`;
+    if (entry.graceUntil) {
+      status += ` · old value valid until ${new Date(entry.graceUntil).toLocaleDateString()}`;
+    }
+    cell(status).className = entry.overdue ? 'audit-failure' : '';
+
+    return row;
+  }
+
+  async loadTemplates() {
+    const response = await this.sendMessage({ action: 'getTemplates' });
+    if (!response || !response.success) return;
 
-    if (response && response.length > 0) {
-      const logs = response.map(log =>
-        `${new Date(log.timestamp).toLocaleString()}: ${log.action}`
-      ).join('\n');
+    const tbody = document.getElementById('template-entries');
+    tbody.innerHTML = '';
+    response.templates.forEach(template => tbody.appendChild(this.createTemplateRow(template)));
+  }
+
+  createTemplateRow(template) {
+    const row = document.createElement('tr');
+    const cell = (text, title = '') => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      td.title = title;
+      row.appendChild(td);
+      return td;
+    };
+
+    cell(`${template.serviceName}${template.builtIn ? ' (built in)' : ''}`, template.keyFormat ? `Format: ${template.keyFormat}` : '');
+    cell(template.fields.map(field => `${field.name}${field.secret ? '' : ' (plain)'}`).join(', '));
+    cell(template.envVar || '');
+    cell(template.rotationDays ? `${template.rotationDays} days` : '');
+
+    const actions = cell('');
+    if (!template.builtIn) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-secondary';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => this.deleteTemplate(template));
+      actions.appendChild(deleteBtn);
+    }
 
-      alert('Audit Log:\n\n' + logs);
+    return row;
+  }
+
+  async deleteTemplate(template) {
+    if (!confirm(`Delete the ${template.serviceName} template? Keys added with it are not changed.`)) {
+      return;
+    }
+
+    const response = await this.sendMessage({ action: 'deleteTemplate', data: { id: template.id } });
+
+    if (response.success) {
+      this.showStatus('Template deleted');
+      await this.loadTemplates();
     } else {
-      alert('No audit log entries found.');
+      this.showStatus(response.error || 'Failed to delete template', true);
     }
   }
 
+  async loadAuditFilterOptions() {
+    const options = await this.sendMessage({ action: 'getAuditFilterOptions' });
+    if (!options || !options.success) return;
+
+    const fill = (id, items) => {
+      const select = document.getElementById(id);
+      items.forEach(({ value, label }) => select.add(new Option(label, value)));
+    };
+
+    fill('audit-type', options.types.map(type => ({ value: type, label: type })));
+    fill('audit-key', options.keys.map(key => ({ value: key.keyId, label: key.serviceName })));
+    fill('audit-source', options.sources.map(source => ({ value: source, label: source })));
+  }
+
+  /**
+   * The audit filter set in the form. Dates cover whole local days.
+   */
+  auditFilter() {
+    const value = id => document.getElementById(id).value;
+    const filter = {
+      type: value('audit-type'),
+      keyId: value('audit-key'),
+      source: value('audit-source'),
+      text: value('audit-search')
+    };
+
+    if (value('audit-since')) {
+      filter.since = new Date(`${value('audit-since')}T00:00:00`).getTime();
+    }
+    if (value('audit-until')) {
+      filter.until = new Date(`${value('audit-until')}T23:59:59.999`).getTime();
+    }
+
+    return filter;
+  }
+
+  showAuditPage(page) {
+    this.auditPage = Math.max(0, page);
+    return this.loadAuditLog();
+  }
+
+  async loadAuditLog() {
+    const response = await this.sendMessage({
+      action: 'queryAuditLog',
+      data: {
+        filter: {
+          ...this.auditFilter(),
+          offset: this.auditPage * AUDIT_PAGE_SIZE,
+          limit: AUDIT_PAGE_SIZE
+        }
+      }
+    });
+
+    const tbody = document.getElementById('audit-entries');
+    const empty = document.getElementById('audit-empty');
+
+    if (!response || !response.success) {
+      tbody.replaceChildren();
+      empty.textContent = 'Unlock the vault to see the audit log.';
+      empty.style.display = 'block';
+      return;
+    }
+
+    tbody.replaceChildren(...response.entries.map(entry => this.createAuditRow(entry)));
+    empty.textContent = 'No audit entries match these filters.';
+    empty.style.display = response.total === 0 ? 'block' : 'none';
+
+    const start = this.auditPage * AUDIT_PAGE_SIZE;
+    const end = start + response.entries.length;
+    document.getElementById('audit-page-info').textContent =
+      response.total > 0 ? `${start + 1}–${end} of ${response.total}` : '';
+    document.getElementById('audit-prev-btn').disabled = this.auditPage === 0;
+    document.getElementById('audit-next-btn').disabled = end >= response.total;
+  }
+
+  createAuditRow(entry) {
+    const row = document.createElement('tr');
+    const cell = (text, title = '') => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      td.title = title;
+      row.appendChild(td);
+      return td;
+    };
+
+    cell(new Date(entry.timestamp).toLocaleString());
+    cell(`${entry.mac ? '' : '🔓 '}${entry.action}`, [entry.type, entry.url || entry.domain].filter(Boolean).join(' · '));
+    cell(entry.serviceName ? `${entry.serviceName}${entry.environment ? ` (${entry.environment})` : ''}` : '');
+    cell(entry.source || '');
+
+    const outcome = cell(entry.outcome || '', entry.error || '');
+    if (entry.outcome === 'failure') {
+      outcome.className = 'audit-failure';
+    }
+
+    return row;
+  }
+
+  async exportAuditLog(format) {
+    const response = await this.sendMessage({
+      action: 'exportAuditLog',
+      data: { format, filter: this.auditFilter() }
+    });
+
+    if (response && response.success) {
+      const blob = new Blob([response.data], { type: response.mimeType });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = response.filename;
+      a.click();
+      URL.revokeObjectURL(url);
+      this.showStatus('Audit log exported');
+      await this.loadAuditLog();
+    } else {
+      this.showStatus(response?.error || 'Failed to export audit log', true);
+    }
+  }
+
+  async verifyAuditLog() {
+    const result = await this.sendMessage({ action: 'verifyAuditLog' });
+
+    if (!result) {
+      this.showStatus('Failed to verify audit log', true);
+      return;
+    }
+
+    if (!result.valid) {
+      alert(`Audit log broken at entry ${result.problem.seq}:\n\n${result.problem.message}`);
+      return;
+    }
+
+    const lines = [`Audit log intact: ${result.entries} entries, ${result.authenticated} authenticated.`];
+
+    if (result.pruned > 0) {
+      lines.push(`${result.pruned} older entries were pruned.`);
+    }
+    if (!result.macsChecked) {
+      lines.push('Unlock the vault to check entry MACs; only the hash chain was checked.');
+    }
+    if (result.unauthenticated.length > 0) {
+      lines.push(`${result.unauthenticated.length} entries are not authenticated (written while locked or before the log was chained).`);
+    }
+    if (!result.anchorAuthenticated) {
+      lines.push('The pruning record is not authenticated; entries before it cannot be accounted for.');
+    }
+    if (!result.headAuthenticated) {
+      lines.push('The newest entry is not authenticated; removal of recent entries cannot be ruled out.');
+    }
+
+    alert(lines.join('\n\n'));
+  }
+
   showStatus(message, isError = false) {
     const status = document.getElementById('status');
     status.textContent = message;
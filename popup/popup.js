@@ -1,13 +1,28 @@
 // KeyVault Pro Popup Script
 
+import { folderTree, inFolder, listFolders, normalizeFolder, parentFolder } from '../background/key-folders.js';
+import { highlightMatches, rankKeys } from '../background/fuzzy-match.js';
+
 class KeyVaultPopup {
   constructor() {
     this.currentScreen = 'unlock';
     this.keys = [];
     this.filteredKeys = [];
     this.currentFilter = 'all';
+    this.currentFolder = ''; // '' shows every folder
+    this.expandedFolders = new Set();
+    this.searchError = null;
+    this.searchMatches = new Map(); // key id -> matched characters, while searching
+    this.selectedKeys = new Set(); // ids of keys selected for bulk actions
+    this.lastSelectedId = null; // where a shift-click range starts
+    this.currentDomain = null;
     this.editingKeyId = null;
+    this.templates = [];
+    this.selectedTemplate = null;
+    this.rotatingKeyId = null;
     this.settings = {};
+    // Set when opened from an expiry notification's "Open key"
+    this.requestedKeyId = new URLSearchParams(window.location.search).get('key');
     
     this.init();
   }
@@ -18,6 +33,7 @@ class KeyVaultPopup {
     
     if (response) {
       await this.showMainScreen();
+      await this.openRequestedKey();
     } else {
       this.showUnlockScreen();
     }
@@ -25,6 +41,19 @@ class KeyVaultPopup {
     this.setupEventListeners();
     await this.loadSettings();
     this.applyTheme();
+    this.currentDomain = await this.getCurrentDomain();
+  }
+
+  /**
+   * Hostname of the active tab, to rank its keys first when searching
+   */
+  async getCurrentDomain() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return tab && tab.url ? new URL(tab.url).hostname || null : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   setupEventListeners() {
@@ -33,9 +62,14 @@ class KeyVaultPopup {
     document.getElementById('master-password').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.unlockVault();
     });
+    document.getElementById('recover-link').addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#recovery') });
+    });
 
     // Main screen
     document.getElementById('lock-btn').addEventListener('click', () => this.lockVault());
+    document.getElementById('trash-btn').addEventListener('click', () => this.showTrashScreen());
     document.getElementById('settings-btn').addEventListener('click', () => this.showSettingsScreen());
     document.getElementById('add-key-btn').addEventListener('click', () => this.showKeyForm());
     document.getElementById('add-first-key-btn').addEventListener('click', () => this.showKeyForm());
@@ -46,12 +80,40 @@ class KeyVaultPopup {
       tab.addEventListener('click', (e) => this.setFilter(e.target.dataset.filter));
     });
 
+    // Folders
+    document.getElementById('rename-folder-btn').addEventListener('click', () => this.renameFolder());
+    document.getElementById('delete-folder-btn').addEventListener('click', () => this.deleteFolder());
+    document.getElementById('bulk-tag-btn').addEventListener('click', () => this.bulkTag(true));
+    document.getElementById('bulk-untag-btn').addEventListener('click', () => this.bulkTag(false));
+    document.getElementById('bulk-environment-btn').addEventListener('click', () => this.bulkSetEnvironment());
+    document.getElementById('bulk-move-btn').addEventListener('click', () => this.bulkMove());
+    document.getElementById('bulk-export-btn').addEventListener('click', () => this.bulkExport());
+    document.getElementById('bulk-delete-btn').addEventListener('click', () => this.bulkDelete());
+    document.getElementById('bulk-clear-btn').addEventListener('click', () => this.clearSelection());
+
     // Key form
     document.getElementById('back-btn').addEventListener('click', () => this.showMainScreen());
     document.getElementById('cancel-form-btn').addEventListener('click', () => this.showMainScreen());
     document.getElementById('key-form').addEventListener('submit', (e) => this.saveKey(e));
     document.getElementById('toggle-key-visibility').addEventListener('click', () => this.toggleKeyVisibility());
     document.getElementById('generate-key-btn').addEventListener('click', () => this.generateRandomKey());
+    document.getElementById('add-field-btn').addEventListener('click', () => this.addFieldRow());
+    document.getElementById('key-template').addEventListener('change', (e) => this.applyTemplate(e.target.value));
+    document.getElementById('api-key-value').addEventListener('input', () => this.updateFormatHint());
+    document.getElementById('save-template-btn').addEventListener('click', () => this.saveAsTemplate());
+
+    // Key history
+    document.getElementById('history-back-btn').addEventListener('click', () => this.showMainScreen());
+
+    // Rotate key
+    document.getElementById('rotate-back-btn').addEventListener('click', () => this.showMainScreen());
+    document.getElementById('cancel-rotate-btn').addEventListener('click', () => this.showMainScreen());
+    document.getElementById('rotate-form').addEventListener('submit', (e) => this.rotateKey(e));
+    document.getElementById('rotate-generate-btn').addEventListener('click', () => this.generateRandomKey('rotate-key-value'));
+
+    // Trash
+    document.getElementById('trash-back-btn').addEventListener('click', () => this.showMainScreen());
+    document.getElementById('empty-trash-btn').addEventListener('click', () => this.emptyTrash());
 
     // Settings
     document.getElementById('settings-back-btn').addEventListener('click', () => this.showMainScreen());
@@ -59,6 +121,16 @@ class KeyVaultPopup {
     document.getElementById('export-vault-btn').addEventListener('click', () => this.exportVault());
     document.getElementById('import-vault-btn').addEventListener('click', () => this.importVault());
     document.getElementById('view-audit-log-btn').addEventListener('click', () => this.viewAuditLog());
+    document.getElementById('find-duplicates-btn').addEventListener('click', () => this.showDuplicatesScreen());
+    
+    // Duplicates screen
+    document.getElementById('duplicates-back-btn').addEventListener('click', () => this.showSettingsScreen());
+    document.getElementById('change-password-btn').addEventListener('click', () => this.showChangePasswordScreen());
+
+    // Change master password
+    document.getElementById('change-password-back-btn').addEventListener('click', () => this.showSettingsScreen());
+    document.getElementById('cancel-change-password-btn').addEventListener('click', () => this.showSettingsScreen());
+    document.getElementById('change-password-form').addEventListener('submit', (e) => this.changeMasterPassword(e));
   }
 
   async sendMessage(message) {
@@ -81,10 +153,36 @@ class KeyVaultPopup {
     await this.loadKeys();
   }
 
-  showKeyForm(keyId = null) {
+  /**
+   * Open the form for the key given in the popup URL, once
+   */
+  async openRequestedKey() {
+    const keyId = this.requestedKeyId;
+    this.requestedKeyId = null;
+
+    if (keyId && this.keys.some(key => key.id === keyId)) {
+      await this.showKeyForm(keyId);
+    }
+  }
+
+  async showKeyForm(keyId = null) {
     this.hideAllScreens();
     document.getElementById('key-form-screen').style.display = 'flex';
     
+    document.getElementById('key-form').reset();
+    document.getElementById('key-fields').innerHTML = '';
+    document.getElementById('change-reason-group').style.display = keyId ? 'block' : 'none';
+    document.getElementById('template-group').style.display = keyId ? 'none' : 'flex';
+    document.getElementById('api-key-value').placeholder = 'Enter your API key';
+    this.selectedTemplate = null;
+    await this.loadTemplates();
+    this.updateFormatHint();
+
+    // New keys start in the folder being viewed
+    document.getElementById('folder').value = keyId ? '' : this.currentFolder;
+    document.getElementById('folder-options').innerHTML = listFolders(this.keys)
+      .map(folder => `<option value="${this.escapeHtml(folder)}"></option>`).join('');
+
     if (keyId) {
       this.editingKeyId = keyId;
       document.getElementById('form-title').textContent = 'Edit Key';
@@ -92,7 +190,130 @@ class KeyVaultPopup {
     } else {
       this.editingKeyId = null;
       document.getElementById('form-title').textContent = 'Add New Key';
-      document.getElementById('key-form').reset();
+    }
+  }
+
+  async showHistoryScreen(keyId) {
+    const response = await this.sendMessage({
+      action: 'getKeyHistory',
+      data: { id: keyId }
+    });
+
+    if (!response.success) {
+      this.showNotification(response.error || 'Failed to load history', 'error');
+      return;
+    }
+
+    this.hideAllScreens();
+    document.getElementById('history-screen').style.display = 'flex';
+    document.getElementById('history-title').textContent =
+      `${response.serviceName} · v${response.currentVersion}`;
+
+    const historyList = document.getElementById('history-list');
+    historyList.innerHTML = '';
+    document.getElementById('history-empty').style.display = response.versions.length ? 'none' : 'flex';
+
+    response.versions.forEach(version => {
+      historyList.appendChild(this.createVersionItem(keyId, version));
+    });
+  }
+
+  async showTrashScreen() {
+    const response = await this.sendMessage({ action: 'getTrash' });
+
+    if (!response.success) {
+      this.showNotification(response.error || 'Failed to load trash', 'error');
+      return;
+    }
+
+    this.hideAllScreens();
+    document.getElementById('trash-screen').style.display = 'flex';
+
+    const trashList = document.getElementById('trash-list');
+    trashList.innerHTML = '';
+    document.getElementById('trash-empty').style.display = response.keys.length ? 'none' : 'flex';
+    document.getElementById('empty-trash-btn').disabled = response.keys.length === 0;
+
+    response.keys.forEach(key => {
+      trashList.appendChild(this.createTrashItem(key));
+    });
+  }
+
+  async showDuplicatesScreen() {
+    const response = await this.sendMessage({ action: 'findDuplicates' });
+
+    if (!response.success) {
+      this.showNotification(response.error || 'Failed to check for duplicates', 'error');
+      return;
+    }
+
+    this.hideAllScreens();
+    document.getElementById('duplicates-screen').style.display = 'flex';
+
+    const list = document.getElementById('duplicates-list');
+    list.innerHTML = '';
+    document.getElementById('duplicates-empty').style.display = response.findings.length ? 'none' : 'flex';
+
+    response.findings.forEach(finding => {
+      list.appendChild(this.createDuplicateItem(finding));
+    });
+  }
+
+  /**
+   * One finding: the keys sharing a secret, and for whole keys a merge into
+   * the chosen one (most used first)
+   */
+  createDuplicateItem(finding) {
+    const labels = { duplicate: 'Duplicate', reused: 'Reused across environments', similar: 'Near-identical', 'same-service': 'Same service and environment' };
+    const div = document.createElement('div');
+    div.className = 'key-item duplicate-item';
+
+    div.innerHTML = `
+      <div class="key-info">
+        <div class="key-name">${labels[finding.type]}</div>
+        <div class="key-meta"><span>${this.escapeHtml(finding.reason)}</span></div>
+      </div>
+
+      <ul class="duplicate-entries">
+        ${finding.entries.map(entry => `
+          <li>
+            ${this.escapeHtml(entry.serviceName)}${entry.field ? ` · ${this.escapeHtml(entry.field)}` : ''}
+            <span class="key-meta">${this.escapeHtml(entry.environment)}${entry.folder ? ` · 📁 ${this.escapeHtml(entry.folder)}` : ''}</span>
+          </li>
+        `).join('')}
+      </ul>
+
+      ${finding.mergeable ? `
+        <div class="key-actions">
+          <select class="merge-keep" title="Key to keep">
+            ${finding.entries.map(entry => `<option value="${entry.id}">Keep ${this.escapeHtml(entry.serviceName)}</option>`).join('')}
+          </select>
+          <button class="key-action-btn" data-action="merge">Merge</button>
+        </div>
+      ` : ''}
+    `;
+
+    if (finding.mergeable) {
+      div.querySelector('[data-action="merge"]').addEventListener('click', () => {
+        this.mergeKeys(div.querySelector('.merge-keep').value, finding.entries.map(entry => entry.id));
+      });
+    }
+
+    return div;
+  }
+
+  async mergeKeys(keepId, ids) {
+    if (!confirm(`Merge ${ids.length - 1} other keys into this one? They move to the trash; its value is kept.`)) {
+      return;
+    }
+
+    const response = await this.sendMessage({ action: 'mergeKeys', data: { keepId, ids } });
+
+    if (response.success) {
+      this.showNotification(`${response.merged} keys merged`);
+      await this.showDuplicatesScreen();
+    } else {
+      this.showNotification(response.error || 'Failed to merge keys', 'error');
     }
   }
 
@@ -102,6 +323,42 @@ class KeyVaultPopup {
     this.loadSettingsIntoForm();
   }
 
+  showRotateScreen(key) {
+    this.hideAllScreens();
+    document.getElementById('rotate-screen').style.display = 'flex';
+    document.getElementById('rotate-form').reset();
+    document.getElementById('rotate-title').textContent = `Rotate ${key.serviceName}`;
+    this.rotatingKeyId = key.id;
+    document.getElementById('rotate-key-value').focus();
+  }
+
+  async rotateKey(e) {
+    e.preventDefault();
+
+    const response = await this.sendMessage({
+      action: 'rotateKey',
+      data: {
+        id: this.rotatingKeyId,
+        keyValue: document.getElementById('rotate-key-value').value
+      }
+    });
+
+    if (response.success) {
+      this.showNotification(`Key rotated. Old value valid until ${new Date(response.graceUntil).toLocaleDateString()}`);
+      await this.showMainScreen();
+    } else {
+      this.showNotification(response.error || 'Failed to rotate key', 'error');
+    }
+  }
+
+  showChangePasswordScreen() {
+    this.hideAllScreens();
+    document.getElementById('change-password-screen').style.display = 'flex';
+    document.getElementById('change-password-form').reset();
+    document.getElementById('change-password-error').style.display = 'none';
+    document.getElementById('current-password').focus();
+  }
+
   hideAllScreens() {
     document.querySelectorAll('.screen').forEach(screen => {
       screen.style.display = 'none';
@@ -127,6 +384,7 @@ class KeyVaultPopup {
       errorDiv.style.display = 'none';
       document.getElementById('master-password').value = '';
       await this.showMainScreen();
+      await this.openRequestedKey();
     } else {
       errorDiv.textContent = response.error || 'Failed to unlock vault';
       errorDiv.style.display = 'block';
@@ -139,16 +397,55 @@ class KeyVaultPopup {
     this.showUnlockScreen();
   }
 
+  async changeMasterPassword(e) {
+    e.preventDefault();
+
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    const confirmPassword = document.getElementById('confirm-password').value;
+    const errorDiv = document.getElementById('change-password-error');
+
+    if (newPassword !== confirmPassword) {
+      errorDiv.textContent = 'New passwords do not match';
+      errorDiv.style.display = 'block';
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'changeMasterPassword',
+      data: { currentPassword, newPassword }
+    });
+
+    if (response.success) {
+      document.getElementById('change-password-form').reset();
+      this.showNotification('Master password changed');
+      this.showSettingsScreen();
+    } else {
+      errorDiv.textContent = response.error || 'Failed to change master password';
+      errorDiv.style.display = 'block';
+    }
+  }
+
   async loadKeys() {
     const response = await this.sendMessage({ action: 'getKeys' });
     
     if (response.success) {
       this.keys = response.keys;
+
+      // A folder emptied by a move or delete is gone, and so are deleted keys' selection
+      if (this.currentFolder && !listFolders(this.keys).includes(this.currentFolder)) {
+        this.currentFolder = '';
+      }
+      const ids = new Set(this.keys.map(key => key.id));
+      this.selectedKeys = new Set([...this.selectedKeys].filter(id => ids.has(id)));
+      this.renderFolderTree();
       this.applyFilter();
     }
   }
 
   applyFilter() {
+    this.searchMatches = new Map();
+
     switch (this.currentFilter) {
       case 'favorites':
         this.filteredKeys = this.keys.filter(k => k.favorite);
@@ -159,10 +456,101 @@ class KeyVaultPopup {
       default:
         this.filteredKeys = this.keys;
     }
+
+    this.filteredKeys = this.filteredKeys.filter(key => inFolder(key, this.currentFolder));
     
     this.renderKeys();
   }
 
+  setFolder(folder) {
+    this.currentFolder = folder;
+    this.renderFolderTree();
+    this.applyFilter();
+  }
+
+  /**
+   * Folder tree above the key list; hidden while no key is in a folder.
+   * Selecting a folder shows its keys and those of its subfolders.
+   */
+  renderFolderTree() {
+    const tree = folderTree(this.keys);
+    const container = document.getElementById('folder-tree');
+    const actions = document.getElementById('folder-actions');
+
+    container.style.display = tree.length > 0 ? 'block' : 'none';
+    actions.style.display = this.currentFolder ? 'flex' : 'none';
+    document.getElementById('current-folder').textContent = `📁 ${this.currentFolder}`;
+    container.innerHTML = '';
+
+    // The path to the selected folder stays open
+    this.currentFolder.split('/').forEach((segment, index, segments) => {
+      this.expandedFolders.add(segments.slice(0, index + 1).join('/'));
+    });
+
+    const addNode = (node, depth) => {
+      const expanded = this.expandedFolders.has(node.path);
+      const row = document.createElement('div');
+      row.className = `folder-node${node.path === this.currentFolder ? ' active' : ''}`;
+      row.style.paddingLeft = `${8 + depth * 14}px`;
+      row.innerHTML = `
+        <span class="folder-toggle">${node.children.length > 0 ? (expanded ? '▾' : '▸') : ''}</span>
+        <span class="folder-name">${node.path ? '📁 ' : ''}${this.escapeHtml(node.name)}</span>
+        <span class="folder-count">${node.count}</span>
+      `;
+
+      row.querySelector('.folder-toggle').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (expanded) {
+          this.expandedFolders.delete(node.path);
+        } else {
+          this.expandedFolders.add(node.path);
+        }
+        this.renderFolderTree();
+      });
+      row.addEventListener('click', () => this.setFolder(node.path));
+      container.appendChild(row);
+
+      if (expanded) {
+        node.children.forEach(child => addNode(child, depth + 1));
+      }
+    };
+
+    addNode({ name: 'All keys', path: '', count: this.keys.length, children: tree }, 0);
+  }
+
+  async renameFolder() {
+    const from = this.currentFolder;
+    const to = prompt(`Rename or move folder ${from} to (e.g. clients/acme):`, from);
+    if (to === null || to.trim() === from) {
+      return;
+    }
+
+    const response = await this.sendMessage({ action: 'renameFolder', data: { from, to } });
+    if (response.success) {
+      this.currentFolder = normalizeFolder(to);
+      this.showNotification(`Folder renamed (${response.moved} keys)`);
+      await this.loadKeys();
+    } else {
+      this.showNotification(response.error || 'Failed to rename folder', 'error');
+    }
+  }
+
+  async deleteFolder() {
+    const folder = this.currentFolder;
+    if (!confirm(`Delete folder ${folder}? Its keys and subfolders move up one level.`)) {
+      return;
+    }
+
+    const response = await this.sendMessage({ action: 'deleteFolder', data: { folder } });
+    if (response.success) {
+      this.currentFolder = parentFolder(folder);
+      this.showNotification(`Folder deleted (${response.moved} keys moved)`);
+      await this.loadKeys();
+    } else {
+      this.showNotification(response.error || 'Failed to delete folder', 'error');
+    }
+  }
+
   setFilter(filter) {
     this.currentFilter = filter;
     
@@ -173,17 +561,27 @@ class KeyVaultPopup {
     this.applyFilter();
   }
 
+  /**
+   * Search all keys with the query language in background/search-query.js,
+   * best matches first (see background/fuzzy-match.js); an empty query goes
+   * back to the current tab and folder
+   */
   searchKeys(query) {
-    if (!query) {
-      this.filteredKeys = this.keys;
-    } else {
-      const lowerQuery = query.toLowerCase();
-      this.filteredKeys = this.keys.filter(key =>
-        key.serviceName.toLowerCase().includes(lowerQuery) ||
-        key.tags.some(tag => tag.toLowerCase().includes(lowerQuery)) ||
-        key.environment.toLowerCase().includes(lowerQuery) ||
-        key.notes.toLowerCase().includes(lowerQuery)
-      );
+    this.searchError = null;
+
+    if (!query.trim()) {
+      this.applyFilter();
+      return;
+    }
+
+    try {
+      const results = rankKeys(this.keys, query, { domain: this.currentDomain });
+      this.filteredKeys = results.map(result => result.key);
+      this.searchMatches = new Map(results.map(result => [result.key.id, result.matches]));
+    } catch (error) {
+      this.filteredKeys = [];
+      this.searchMatches = new Map();
+      this.searchError = error.message;
     }
     
     this.renderKeys();
@@ -195,7 +593,10 @@ class KeyVaultPopup {
     
     if (this.filteredKeys.length === 0) {
       keysList.innerHTML = '';
+      document.getElementById('empty-state-message').textContent =
+        this.searchError || (this.keys.length > 0 ? 'No matching keys' : 'No API keys yet');
       emptyState.style.display = 'flex';
+      this.renderSelection();
       return;
     }
     
@@ -206,26 +607,147 @@ class KeyVaultPopup {
       const keyItem = this.createKeyItem(key);
       keysList.appendChild(keyItem);
     });
+    this.renderSelection();
+  }
+
+  /**
+   * Clicking a key selects or deselects it; shift-click selects every listed
+   * key from the last one clicked
+   */
+  toggleSelection(keyId, range) {
+    const ids = this.filteredKeys.map(key => key.id);
+    const from = ids.indexOf(this.lastSelectedId);
+
+    if (range && from !== -1) {
+      const to = ids.indexOf(keyId);
+      ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedKeys.add(id));
+    } else if (this.selectedKeys.has(keyId)) {
+      this.selectedKeys.delete(keyId);
+    } else {
+      this.selectedKeys.add(keyId);
+    }
+
+    this.lastSelectedId = keyId;
+    this.renderSelection();
+  }
+
+  clearSelection() {
+    this.selectedKeys.clear();
+    this.lastSelectedId = null;
+    this.renderSelection();
+  }
+
+  renderSelection() {
+    document.querySelectorAll('#keys-list .key-item').forEach(item => {
+      item.classList.toggle('selected', this.selectedKeys.has(item.dataset.keyId));
+    });
+
+    const count = this.selectedKeys.size;
+    document.getElementById('bulk-actions').style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('bulk-count').textContent = `${count} selected`;
+  }
+
+  /**
+   * Run a bulk action on the selected keys, then reload. Each action is a
+   * single change in the vault with one audit entry.
+   */
+  async runBulkAction(action, data, success) {
+    const response = await this.sendMessage({ action, data: { ids: [...this.selectedKeys], ...data } });
+
+    if (response.success) {
+      this.showNotification(success(response));
+      await this.loadKeys();
+    } else {
+      this.showNotification(response.error || 'Bulk action failed', 'error');
+    }
+    return response;
+  }
+
+  async bulkTag(add) {
+    const input = prompt(add ? 'Add tags (comma-separated):' : 'Remove tags (comma-separated):');
+    const tags = (input || '').split(',').map(t => t.trim()).filter(t => t);
+    if (tags.length === 0) {
+      return;
+    }
+
+    await this.runBulkAction('tagKeys', add ? { add: tags } : { remove: tags },
+      response => `Tags updated on ${response.changed} keys`);
+  }
+
+  async bulkSetEnvironment() {
+    const environment = prompt('Environment for the selected keys (e.g. production, staging, development):');
+    if (!environment || !environment.trim()) {
+      return;
+    }
+
+    await this.runBulkAction('setKeysEnvironment', { environment },
+      response => `Environment set on ${response.changed} keys`);
+  }
+
+  async bulkMove() {
+    const folder = prompt('Move the selected keys to folder (empty for the top level):', this.currentFolder);
+    if (folder === null) {
+      return;
+    }
+
+    await this.runBulkAction('moveKeys', { folder }, response => `${response.moved} keys moved`);
+  }
+
+  async bulkExport() {
+    const password = prompt('Enter master password to export the selected keys:');
+    if (!password) return;
+
+    const response = await this.sendMessage({
+      action: 'exportKeys',
+      data: { ids: [...this.selectedKeys], masterPassword: password }
+    });
+
+    if (response.success) {
+      const blob = new Blob([response.data], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `keyvault-selection-${Date.now()}.kvp`;
+      a.click();
+      URL.revokeObjectURL(url);
+      this.showNotification(`${response.exported} keys exported`);
+    } else {
+      this.showNotification(response.error || 'Failed to export keys', 'error');
+    }
+  }
+
+  async bulkDelete() {
+    if (!confirm(`Move ${this.selectedKeys.size} keys to the trash?`)) {
+      return;
+    }
+
+    const response = await this.runBulkAction('deleteKeys', {}, result => `${result.deleted} keys moved to trash`);
+    if (response.success) {
+      this.clearSelection();
+    }
   }
 
   createKeyItem(key) {
     const div = document.createElement('div');
     div.className = 'key-item';
+    div.dataset.keyId = key.id;
     
     const maskedValue = this.settings.maskKeys ? '••••••••••••' : key.keyValue.substring(0, 20) + '...';
     
     const expirationWarning = this.getExpirationWarning(key);
+    const matches = this.searchMatches.get(key.id) || { serviceName: [], tags: {} };
     
     div.innerHTML = `
       <div class="key-item-header">
         <div class="key-color-indicator" style="background: ${key.color}"></div>
         <div class="key-info">
           <div class="key-name">
-            ${this.escapeHtml(key.serviceName)}
+            ${highlightMatches(key.serviceName, matches.serviceName)}
             ${key.favorite ? ' ⭐' : ''}
           </div>
           <div class="key-meta">
             <span>${key.environment}</span>
+            ${key.folder ? `<span>📁 ${this.escapeHtml(key.folder)}</span>` : ''}
             ${this.settings.showUsageStats ? `<span>Used ${key.usageCount || 0} times</span>` : ''}
             ${key.lastUsed ? `<span>Last: ${this.formatDate(key.lastUsed)}</span>` : ''}
           </div>
@@ -234,7 +756,7 @@ class KeyVaultPopup {
       
       ${key.tags.length > 0 ? `
         <div class="key-tags">
-          ${key.tags.map(tag => `<span class="key-tag">${this.escapeHtml(tag)}</span>`).join('')}
+          ${key.tags.map((tag, i) => `<span class="key-tag">${highlightMatches(tag, matches.tags[i])}</span>`).join('')}
         </div>
       ` : ''}
       
@@ -245,8 +767,18 @@ class KeyVaultPopup {
       <div class="key-actions">
         <button class="key-action-btn" data-action="copy">Copy</button>
         <button class="key-action-btn" data-action="edit">Edit</button>
+        <button class="key-action-btn" data-action="rotate">Rotate</button>
+        <button class="key-action-btn" data-action="history">History</button>
         <button class="key-action-btn" data-action="delete">Delete</button>
       </div>
+
+      ${key.fields.length > 0 ? `
+        <div class="key-actions">
+          ${key.fields.map((field, index) => `
+            <button class="key-action-btn" data-field="${index}">Copy ${this.escapeHtml(field.name)}</button>
+          `).join('')}
+        </div>
+      ` : ''}
     `;
     
     // Add event listeners
@@ -255,19 +787,172 @@ class KeyVaultPopup {
       this.copyKey(key);
     });
     
+    div.querySelectorAll('[data-field]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.copyKey(key, key.fields[btn.dataset.field]);
+      });
+    });
+
     div.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
       e.stopPropagation();
       this.showKeyForm(key.id);
     });
     
+    div.querySelector('[data-action="rotate"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showRotateScreen(key);
+    });
+    
+    div.querySelector('[data-action="history"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showHistoryScreen(key.id);
+    });
+    
     div.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
       e.stopPropagation();
       this.deleteKey(key.id);
     });
+
+    div.addEventListener('click', (e) => {
+      if (e.shiftKey) {
+        // Keep shift-click from selecting the text in between
+        window.getSelection().removeAllRanges();
+      }
+      this.toggleSelection(key.id, e.shiftKey);
+    });
     
     return div;
   }
 
+  createVersionItem(keyId, version) {
+    const div = document.createElement('div');
+    div.className = 'key-item';
+
+    const maskedValue = this.settings.maskKeys ? '••••••••••••' : version.keyValue.substring(0, 20) + '...';
+
+    div.innerHTML = `
+      <div class="key-item-header">
+        <div class="key-info">
+          <div class="key-name">Version ${version.version}</div>
+          <div class="key-meta">
+            <span>Replaced ${this.formatDate(version.replacedAt)}</span>
+            <span>${this.escapeHtml(version.reason || '')}</span>
+            ${version.validUntil > Date.now() ? `<span>Valid until ${new Date(version.validUntil).toLocaleDateString()}</span>` : ''}
+          </div>
+        </div>
+      </div>
+
+      <div class="key-value-preview">${maskedValue}</div>
+
+      <div class="key-actions">
+        <button class="key-action-btn" data-action="copy">Copy</button>
+        <button class="key-action-btn" data-action="restore">Restore</button>
+      </div>
+    `;
+
+    div.querySelector('[data-action="copy"]').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(version.keyValue);
+        this.showNotification('Version copied to clipboard');
+        await this.sendMessage({
+          action: 'recordKeyUsage',
+          data: { id: keyId, domain: '', use: 'copy', version: version.version }
+        });
+      } catch (error) {
+        this.showNotification('Failed to copy version', 'error');
+      }
+    });
+
+    div.querySelector('[data-action="restore"]').addEventListener('click', () => {
+      this.restoreKeyVersion(keyId, version.version);
+    });
+
+    return div;
+  }
+
+  createTrashItem(key) {
+    const div = document.createElement('div');
+    div.className = 'key-item';
+
+    div.innerHTML = `
+      <div class="key-item-header">
+        <div class="key-color-indicator" style="background: ${key.color}"></div>
+        <div class="key-info">
+          <div class="key-name">${this.escapeHtml(key.serviceName)}</div>
+          <div class="key-meta">
+            <span>${key.environment}</span>
+            <span>Deleted ${this.formatDate(key.deletedAt)}</span>
+            ${key.purgeAt ? `<span>Purged ${new Date(key.purgeAt).toLocaleDateString()}</span>` : ''}
+          </div>
+        </div>
+      </div>
+
+      <div class="key-actions">
+        <button class="key-action-btn" data-action="restore">Restore</button>
+        <button class="key-action-btn" data-action="purge">Delete Forever</button>
+      </div>
+    `;
+
+    div.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreFromTrash(key.id));
+    div.querySelector('[data-action="purge"]').addEventListener('click', () => this.emptyTrash(key.id));
+
+    return div;
+  }
+
+  async restoreFromTrash(keyId) {
+    const response = await this.sendMessage({
+      action: 'restoreFromTrash',
+      data: { id: keyId }
+    });
+
+    if (response.success) {
+      this.showNotification('Key restored');
+      await this.showTrashScreen();
+    } else {
+      this.showNotification(response.error || 'Failed to restore key', 'error');
+    }
+  }
+
+  async emptyTrash(keyId = null) {
+    const message = keyId
+      ? 'Permanently delete this key? This cannot be undone.'
+      : 'Permanently delete every key in the trash? This cannot be undone.';
+    if (!confirm(message)) {
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'emptyTrash',
+      data: { id: keyId }
+    });
+
+    if (response.success) {
+      this.showNotification(keyId ? 'Key deleted' : 'Trash emptied');
+      await this.showTrashScreen();
+    } else {
+      this.showNotification(response.error || 'Failed to empty trash', 'error');
+    }
+  }
+
+  async restoreKeyVersion(keyId, version) {
+    if (!confirm(`Restore version ${version}? The current value is kept in the history.`)) {
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'restoreKeyVersion',
+      data: { id: keyId, version }
+    });
+
+    if (response.success) {
+      this.showNotification(`Version ${version} restored`);
+      await this.showHistoryScreen(keyId);
+    } else {
+      this.showNotification(response.error || 'Failed to restore version', 'error');
+    }
+  }
+
   getExpirationWarning(key) {
     if (!key.expiresAt || !this.settings.showExpirationWarnings) {
       return null;
@@ -286,16 +971,18 @@ class KeyVaultPopup {
     return null;
   }
 
-  async copyKey(key) {
+  async copyKey(key, field = null) {
+    const value = field ? field.value : key.keyValue;
+
     try {
-      await navigator.clipboard.writeText(key.keyValue);
-      this.showNotification('Key copied to clipboard');
+      await navigator.clipboard.writeText(value);
+      this.showNotification(field ? `${field.name} copied to clipboard` : 'Key copied to clipboard');
       
       // Clear clipboard after timeout
       if (this.settings.clipboardClearSeconds > 0) {
         setTimeout(async () => {
           const current = await navigator.clipboard.readText();
-          if (current === key.keyValue) {
+          if (current === value) {
             await navigator.clipboard.writeText('');
           }
         }, this.settings.clipboardClearSeconds * 1000);
@@ -304,7 +991,7 @@ class KeyVaultPopup {
       // Record usage
       await this.sendMessage({
         action: 'recordKeyUsage',
-        data: { id: key.id, domain: '' }
+        data: { id: key.id, domain: '', use: 'copy', field: field ? field.name : undefined }
       });
     } catch (error) {
       this.showNotification('Failed to copy key', 'error');
@@ -312,7 +999,7 @@ class KeyVaultPopup {
   }
 
   async deleteKey(keyId) {
-    if (!confirm('Are you sure you want to delete this key?')) {
+    if (!confirm('Move this key to the trash?')) {
       return;
     }
     
@@ -322,7 +1009,7 @@ class KeyVaultPopup {
     });
     
     if (response.success) {
-      this.showNotification('Key deleted');
+      this.showNotification('Key moved to trash');
       await this.loadKeys();
     } else {
       this.showNotification('Failed to delete key', 'error');
@@ -340,11 +1027,20 @@ class KeyVaultPopup {
       document.getElementById('service-name').value = key.serviceName;
       document.getElementById('api-key-value').value = key.keyValue;
       document.getElementById('environment').value = key.environment;
+      document.getElementById('folder').value = key.folder || '';
       document.getElementById('tags').value = key.tags.join(', ');
       document.getElementById('domains').value = key.domains.join(', ');
       document.getElementById('rate-limit').value = key.rateLimit || '';
       document.getElementById('notes').value = key.notes || '';
       document.getElementById('favorite').checked = key.favorite;
+      document.getElementById('env-var').value = key.envVar || '';
+      document.getElementById('rotation-days').value = key.rotationDays || '';
+      document.getElementById('rotation-grace-days').value = key.rotationGraceDays ?? '';
+      key.fields.forEach(field => this.addFieldRow(field));
+
+      // Keys added from a template keep being checked against its format
+      this.selectedTemplate = this.templates.find(t => t.id === key.template) || null;
+      this.updateFormatHint();
       
       if (key.expiresAt) {
         const date = new Date(key.expiresAt);
@@ -360,12 +1056,27 @@ class KeyVaultPopup {
       serviceName: document.getElementById('service-name').value,
       keyValue: document.getElementById('api-key-value').value,
       environment: document.getElementById('environment').value,
+      folder: document.getElementById('folder').value,
       tags: document.getElementById('tags').value.split(',').map(t => t.trim()).filter(t => t),
       domains: document.getElementById('domains').value.split(',').map(d => d.trim()).filter(d => d),
       rateLimit: document.getElementById('rate-limit').value,
       notes: document.getElementById('notes').value,
-      favorite: document.getElementById('favorite').checked
+      favorite: document.getElementById('favorite').checked,
+      envVar: document.getElementById('env-var').value.trim(),
+      rotationDays: parseInt(document.getElementById('rotation-days').value) || null,
+      rotationGraceDays: this.readOptionalNumber('rotation-grace-days'),
+      // Template fields left empty are not stored
+      fields: this.readFieldRows().filter(field => field.value)
     };
+
+    if (this.selectedTemplate && !this.editingKeyId) {
+      keyData.template = this.selectedTemplate.id;
+    }
+
+    const formatMismatch = this.formatMismatch(keyData.keyValue);
+    if (formatMismatch && !confirm(`${formatMismatch}. Save anyway?`)) {
+      return;
+    }
     
     const expiresAt = document.getElementById('expires-at').value;
     if (expiresAt) {
@@ -376,7 +1087,11 @@ class KeyVaultPopup {
     if (this.editingKeyId) {
       response = await this.sendMessage({
         action: 'updateKey',
-        data: { id: this.editingKeyId, updates: keyData }
+        data: {
+          id: this.editingKeyId,
+          updates: keyData,
+          reason: document.getElementById('change-reason').value.trim()
+        }
       });
     } else {
       response = await this.sendMessage({
@@ -389,10 +1104,164 @@ class KeyVaultPopup {
       this.showNotification(this.editingKeyId ? 'Key updated' : 'Key added');
       await this.showMainScreen();
     } else {
-      this.showNotification('Failed to save key', 'error');
+      this.showNotification(response.error || 'Failed to save key', 'error');
     }
   }
 
+  async loadTemplates() {
+    const response = await this.sendMessage({ action: 'getTemplates' });
+    this.templates = response && response.success ? response.templates : [];
+
+    const select = document.getElementById('key-template');
+    select.innerHTML = '<option value="">None</option>';
+    this.templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.builtIn ? template.serviceName : `${template.serviceName} (yours)`;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Pre-fill the add form from a template. Values already typed in are kept.
+   */
+  applyTemplate(templateId) {
+    const template = this.templates.find(t => t.id === templateId) || null;
+    this.selectedTemplate = template;
+
+    if (template) {
+      document.getElementById('service-name').value = template.serviceName;
+      document.getElementById('api-key-value').placeholder = template.placeholder || 'Enter your API key';
+      document.getElementById('tags').value = template.tags.join(', ');
+      document.getElementById('domains').value = template.domains.join(', ');
+      document.getElementById('rate-limit').value = template.rateLimit;
+      document.getElementById('env-var').value = template.envVar;
+      document.getElementById('rotation-days').value = template.rotationDays || '';
+
+      const existing = this.readFieldRows();
+      document.getElementById('key-fields').innerHTML = '';
+      template.fields.forEach(field => {
+        const typed = existing.find(f => f.name.trim().toLowerCase() === field.name.toLowerCase());
+        this.addFieldRow({ ...field, value: typed ? typed.value : '' });
+      });
+    } else {
+      document.getElementById('api-key-value').placeholder = 'Enter your API key';
+    }
+
+    this.updateFormatHint();
+  }
+
+  /**
+   * Why the value doesn't match the selected template's format, or null
+   */
+  formatMismatch(keyValue) {
+    if (!this.selectedTemplate || !this.selectedTemplate.keyFormat || !keyValue) {
+      return null;
+    }
+
+    return new RegExp(this.selectedTemplate.keyFormat).test(keyValue)
+      ? null
+      : `This doesn't look like a ${this.selectedTemplate.serviceName} key`;
+  }
+
+  updateFormatHint() {
+    const hint = document.getElementById('key-format-hint');
+    const template = this.selectedTemplate;
+
+    if (!template || !template.keyFormat) {
+      hint.style.display = 'none';
+      return;
+    }
+
+    const mismatch = this.formatMismatch(document.getElementById('api-key-value').value);
+    hint.textContent = mismatch || `Expected format: ${template.placeholder || template.keyFormat}`;
+    hint.className = mismatch ? 'format-mismatch' : '';
+    hint.style.display = 'block';
+  }
+
+  /**
+   * Save the form's service name, metadata and field layout (never values)
+   * as a user template
+   */
+  async saveAsTemplate() {
+    const serviceName = document.getElementById('service-name').value.trim();
+    if (!serviceName) {
+      this.showNotification('Enter a service name first', 'error');
+      return;
+    }
+
+    const template = {
+      serviceName,
+      keyFormat: this.selectedTemplate ? this.selectedTemplate.keyFormat : '',
+      placeholder: this.selectedTemplate ? this.selectedTemplate.placeholder : '',
+      tags: document.getElementById('tags').value.split(',').map(t => t.trim()).filter(t => t),
+      domains: document.getElementById('domains').value.split(',').map(d => d.trim()).filter(d => d),
+      rateLimit: document.getElementById('rate-limit').value,
+      envVar: document.getElementById('env-var').value.trim(),
+      rotationDays: parseInt(document.getElementById('rotation-days').value) || null,
+      fields: this.readFieldRows().map(({ name, secret }) => ({ name, secret }))
+    };
+
+    const existing = this.templates.find(t => !t.builtIn && t.serviceName.toLowerCase() === serviceName.toLowerCase());
+    if (existing && !confirm(`Replace your ${existing.serviceName} template?`)) {
+      return;
+    }
+
+    const response = await this.sendMessage({
+      action: 'saveTemplate',
+      data: { template }
+    });
+
+    if (response.success) {
+      this.showNotification(`Template saved: ${response.template.serviceName}`);
+      await this.loadTemplates();
+      document.getElementById('key-template').value = this.selectedTemplate && !this.editingKeyId ? this.selectedTemplate.id : '';
+    } else {
+      this.showNotification(response.error || 'Failed to save template', 'error');
+    }
+  }
+
+  /**
+   * Add a name/value row for an extra field to the key form
+   */
+  addFieldRow(field = { name: '', value: '', secret: true }) {
+    const row = document.createElement('div');
+    row.className = 'key-field-row';
+    row.innerHTML = `
+      <input type="text" class="field-name" placeholder="Name">
+      <input type="password" class="field-value" placeholder="Value">
+      <label title="Encrypt this value"><input type="checkbox" class="field-secret"> Secret</label>
+      <button type="button" class="btn-icon-small" title="Remove Field">✕</button>
+    `;
+
+    const valueInput = row.querySelector('.field-value');
+    const secretInput = row.querySelector('.field-secret');
+    row.querySelector('.field-name').value = field.name;
+    valueInput.value = field.value;
+    secretInput.checked = field.secret;
+    valueInput.type = field.secret ? 'password' : 'text';
+
+    secretInput.addEventListener('change', () => {
+      valueInput.type = secretInput.checked ? 'password' : 'text';
+    });
+    row.querySelector('button').addEventListener('click', () => row.remove());
+
+    document.getElementById('key-fields').appendChild(row);
+  }
+
+  /**
+   * Fields from the key form; rows left completely empty are ignored
+   */
+  readFieldRows() {
+    return Array.from(document.querySelectorAll('#key-fields .key-field-row'))
+      .map(row => ({
+        name: row.querySelector('.field-name').value,
+        value: row.querySelector('.field-value').value,
+        secret: row.querySelector('.field-secret').checked
+      }))
+      .filter(field => field.name.trim() || field.value);
+  }
+
   toggleKeyVisibility() {
     const input = document.getElementById('api-key-value');
     const btn = document.getElementById('toggle-key-visibility');
@@ -406,14 +1275,22 @@ class KeyVaultPopup {
     }
   }
 
-  async generateRandomKey() {
+  /**
+   * A number input's value, or null when it is empty (so 0 can be told apart)
+   */
+  readOptionalNumber(id) {
+    const value = parseInt(document.getElementById(id).value);
+    return Number.isNaN(value) ? null : value;
+  }
+
+  async generateRandomKey(inputId = 'api-key-value') {
     const response = await this.sendMessage({
       action: 'generateKey',
       data: { length: 32 }
     });
     
     if (response.success) {
-      document.getElementById('api-key-value').value = response.key;
+      document.getElementById(inputId).value = response.key;
       this.showNotification('Random key generated');
     }
   }
@@ -430,6 +1307,7 @@ class KeyVaultPopup {
     document.getElementById('clipboard-clear-seconds').value = this.settings.clipboardClearSeconds || 30;
     document.getElementById('mask-keys').checked = this.settings.maskKeys !== false;
     document.getElementById('enable-audit-log').checked = this.settings.enableAuditLog !== false;
+    document.getElementById('encrypt-metadata').checked = this.settings.encryptMetadata === true;
     document.getElementById('enable-auto-fill').checked = this.settings.enableAutoFill !== false;
     document.getElementById('show-usage-stats').checked = this.settings.showUsageStats !== false;
     document.getElementById('show-expiration-warnings').checked = this.settings.showExpirationWarnings !== false;
@@ -443,6 +1321,7 @@ class KeyVaultPopup {
       clipboardClearSeconds: parseInt(document.getElementById('clipboard-clear-seconds').value),
       maskKeys: document.getElementById('mask-keys').checked,
       enableAuditLog: document.getElementById('enable-audit-log').checked,
+      encryptMetadata: document.getElementById('encrypt-metadata').checked,
       enableAutoFill: document.getElementById('enable-auto-fill').checked,
       showUsageStats: document.getElementById('show-usage-stats').checked,
       showExpirationWarnings: document.getElementById('show-expiration-warnings').checked,
@@ -461,7 +1340,7 @@ class KeyVaultPopup {
       this.showNotification('Settings saved');
       await this.showMainScreen();
     } else {
-      this.showNotification('Failed to save settings', 'error');
+      this.showNotification(response.error || 'Failed to save settings', 'error');
     }
   }
 
@@ -504,7 +1383,7 @@ class KeyVaultPopup {
   async importVault() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.kvp';
+    input.accept = '.kvp,.json';
     
     input.onchange = async (e) => {
       const file = e.target.files[0];
@@ -531,16 +1410,9 @@ class KeyVaultPopup {
     input.click();
   }
 
-  async viewAuditLog() {
-    const response = await this.sendMessage({ action: 'getAuditLog' });
-    
-    if (response) {
-      const logs = response.map(log => 
-        `${new Date(log.timestamp).toLocaleString()}: ${log.action}`
-      ).join('\n');
-      
-      alert('Audit Log:\n\n' + logs);
-    }
+  viewAuditLog() {
+    // The audit screen needs more room than the popup has
+    chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#audit') });
   }
 
   showNotification(message, type = 'success') {